@@ -0,0 +1,5036 @@
+/**
+ * Klarna Payment Selector Demo - shared backend
+ *
+ * All /api/* routes, written once with Hono and served by every runtime adapter:
+ *   - Vercel: api/[...].ts
+ *   - Node:   server.ts (npm start)
+ *   - Val Town: kn-api-requests.ts
+ * What differs between runtimes (environment, mTLS transport, ledger storage) comes
+ * from backend/runtime.ts. Supports both Acquiring Partner and Sub Partner authentication modes.
+ *
+ * Environment Variables (Vercel dashboard, .env for npm start, Val Town settings):
+ *
+ *    Acquiring Partner credentials:
+ *    - AP_CLIENT_ID: Client ID for Acquiring Partner mode
+ *    - AP_API_KEY: Base64 encoded API credentials for Acquiring Partner mode
+ *    - PARTNER_ACCOUNT_ID: Partner account ID (required for Acquiring Partner mode)
+ *
+ *    Sub Partner credentials:
+ *    - SP_CLIENT_ID: Client ID for Sub Partner mode
+ *    - SP_API_KEY: Base64 encoded API credentials for Sub Partner mode
+ *
+ *    Common settings:
+ *    - KLARNA_API_BASE_URL: (optional) overrides the playground/production base URL,
+ *      e.g. http://localhost:4010 for the local stand-in (scripts/mock-klarna-server.ts)
+ *    - MTLS_CERT: (optional) Base64 encoded PEM certificate for mTLS
+ *    - MTLS_KEY: (optional) Base64 encoded PEM private key for mTLS
+ *      (checked to be a matching pair at startup; presented on https:// Klarna calls)
+ *    - KLARNA_CUSTOMER_TOKENS: (optional) JSON object of country->token mappings
+ *    - PAYTRAIL_API_URL: (optional) defaults to https://services.paytrail.com,
+ *      e.g. http://localhost:4020 for the local stand-in (scripts/mock-paytrail-server.ts)
+ *    - LEDGER_FILE: (optional) JSON file for the transaction ledger, default data/transaction-ledger.json
+ *      (/tmp/transaction-ledger.json on Vercel, where only /tmp is writable; in memory on Val Town)
+ *    - KLARNA_WEBHOOK_SIGNING_KEY: (optional) signing key for Klarna notifications sent to /api/klarna/webhooks
+ *    - UPSTREAM_TIMEOUT_MS: (optional) per-attempt timeout for Klarna/Paytrail calls, default 10000
+ *    - UPSTREAM_MAX_RETRIES: (optional) retries after the first attempt, default 2
+ *    - CREDENTIAL_SESSION_SECRET: (optional) key for the encrypted credential session cookie; set it on Vercel
+ *      and Val Town so every instance can read sessions (random per process otherwise)
+ *    - LOG_REVEAL_SECRETS: (optional) "true" logs API keys, signatures and tokens in full (local debugging only)
+ *
+ * Authentication Modes:
+ * - SUB_PARTNER: SDK uses only CLIENT_ID, API calls use /v2/payment/requests and /v2/payment/presentation
+ * - ACQUIRING_PARTNER: SDK uses CLIENT_ID + PARTNER_ACCOUNT_ID, API calls use /v2/accounts/{id}/payment/authorize and /v2/accounts/{id}/payment/presentation
+ */
+
+import { Hono } from "hono";
+import { cors } from "hono/cors";
+import { deleteCookie, getCookie, setCookie } from "hono/cookie";
+import { streamSSE } from "hono/streaming";
+import type { Context, MiddlewareHandler } from "hono";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { maskSecret, redactSecrets } from "../public/js/redaction.js";
+import { describeFieldErrors, validatePaytrailPayload } from "./paytrail-validation.ts";
+import type { FieldError, PaytrailSchemaName } from "./paytrail-validation.ts";
+import { getRuntime } from "./runtime.ts";
+
+const app = new Hono();
+const runtime = getRuntime();
+
+// Configuration from environment variables
+const getEnv = (key: string): string => {
+  return runtime.getEnv(key) || "";
+};
+
+const KLARNA_BASE_PLAYGROUND = "https://api-global.test.klarna.com";
+const KLARNA_BASE_PRODUCTION = "https://api-global.klarna.com";
+const KLARNA_API_BASE_URL = getEnv("KLARNA_API_BASE_URL").replace(/\/+$/, "");
+
+/**
+ * Resolve Klarna API base URL from client-provided environment (playground | production).
+ * KLARNA_API_BASE_URL, when set, wins over both so all calls go to e.g. a local stand-in.
+ */
+function getKlarnaBaseUrl(env: string | undefined): string {
+  if (KLARNA_API_BASE_URL) return KLARNA_API_BASE_URL;
+  return env === "production" ? KLARNA_BASE_PRODUCTION : KLARNA_BASE_PLAYGROUND;
+}
+
+// Acquiring Partner credentials
+const AP_CLIENT_ID = getEnv("AP_CLIENT_ID");
+const AP_API_KEY = getEnv("AP_API_KEY");
+const PARTNER_ACCOUNT_ID = getEnv("PARTNER_ACCOUNT_ID");
+
+// Sub Partner credentials
+const SP_CLIENT_ID = getEnv("SP_CLIENT_ID");
+const SP_API_KEY = getEnv("SP_API_KEY");
+
+// Paytrail API configuration
+const PAYTRAIL_API_URL = getEnv("PAYTRAIL_API_URL") ||
+  "https://services.paytrail.com";
+const PAYTRAIL_MERCHANT_ID = getEnv("PAYTRAIL_MERCHANT_ID");
+const PAYTRAIL_SECRET_KEY = getEnv("PAYTRAIL_SECRET_KEY");
+// Further merchant accounts whose callbacks are verified, as JSON: {"375917":"SAIPPUAKAUPPIAS"}.
+// Unlike the ledger, config is the same on every Vercel function instance.
+const PAYTRAIL_MERCHANTS_RAW = getEnv("PAYTRAIL_MERCHANTS");
+
+type AuthMode = "SUB_PARTNER" | "ACQUIRING_PARTNER";
+
+// Check which auth modes are configured
+const hasAcquiringPartnerConfig = !!(AP_CLIENT_ID && AP_API_KEY && PARTNER_ACCOUNT_ID);
+const hasSubPartnerConfig = !!(SP_CLIENT_ID && SP_API_KEY);
+
+// Interface for auth configuration
+interface AuthConfig {
+  clientId: string;
+  apiKey: string;
+  partnerAccountId: string | null;
+  isAcquiringPartner: boolean;
+}
+
+// Get credentials for a specific auth mode
+function getAuthConfig(mode: AuthMode): AuthConfig | null {
+  if (mode === "ACQUIRING_PARTNER") {
+    if (hasAcquiringPartnerConfig) {
+      return {
+        clientId: AP_CLIENT_ID,
+        apiKey: AP_API_KEY,
+        partnerAccountId: PARTNER_ACCOUNT_ID,
+        isAcquiringPartner: true,
+      };
+    }
+    return null;
+  }
+  if (hasSubPartnerConfig) {
+    return {
+      clientId: SP_CLIENT_ID,
+      apiKey: SP_API_KEY,
+      partnerAccountId: null,
+      isAcquiringPartner: false,
+    };
+  }
+  return null;
+}
+
+// Default mode: Acquiring Partner when configured, otherwise Sub Partner
+const defaultAuthMode: AuthMode = hasAcquiringPartnerConfig
+  ? "ACQUIRING_PARTNER"
+  : "SUB_PARTNER";
+
+function authModeOf(auth: AuthConfig): AuthMode {
+  return auth.isAcquiringPartner ? "ACQUIRING_PARTNER" : "SUB_PARTNER";
+}
+
+// mTLS configuration (optional) - certificates should be base64 encoded PEM
+const MTLS_CERT_B64 = getEnv("MTLS_CERT");
+const MTLS_KEY_B64 = getEnv("MTLS_KEY");
+
+// Customer tokens for tokenized payments (optional)
+// Stored as JSON object mapping country codes to tokens: {"SE":"tok_xxx","US":"tok_yyy"}
+const KLARNA_CUSTOMER_TOKENS_RAW = getEnv("KLARNA_CUSTOMER_TOKENS");
+
+// Why KLARNA_CUSTOMER_TOKENS was ignored, reported by /api/health
+let customerTokensError: string | null = null;
+
+// Parse customer tokens JSON
+function parseCustomerTokens(): Record<string, string> {
+  if (!KLARNA_CUSTOMER_TOKENS_RAW) return {};
+  try {
+    const parsed = JSON.parse(KLARNA_CUSTOMER_TOKENS_RAW);
+    if (typeof parsed === "object" && parsed !== null && !Array.isArray(parsed)) {
+      return parsed;
+    }
+    customerTokensError = "KLARNA_CUSTOMER_TOKENS is not a valid JSON object";
+    console.warn(customerTokensError);
+    return {};
+  } catch (error) {
+    customerTokensError = `Failed to parse KLARNA_CUSTOMER_TOKENS: ${
+      error instanceof Error ? error.message : String(error)
+    }`;
+    console.error(customerTokensError);
+    return {};
+  }
+}
+
+const CUSTOMER_TOKENS = parseCustomerTokens();
+
+// Parse Paytrail merchant secrets JSON
+function parsePaytrailMerchants(): Record<string, string> {
+  if (!PAYTRAIL_MERCHANTS_RAW) return {};
+  try {
+    const parsed = JSON.parse(PAYTRAIL_MERCHANTS_RAW);
+    if (typeof parsed === "object" && parsed !== null && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {
+    // Reported below
+  }
+  console.warn("⚠️ PAYTRAIL_MERCHANTS is not a JSON object of merchant ID to secret key, ignoring it");
+  return {};
+}
+
+const PAYTRAIL_MERCHANTS = parsePaytrailMerchants();
+const CONFIGURED_TOKEN_COUNTRIES = Object.keys(CUSTOMER_TOKENS);
+const hasAnyCustomerToken = CONFIGURED_TOKEN_COUNTRIES.length > 0;
+
+// Get customer token for a specific country
+function getCustomerTokenForCountry(country: string): string | null {
+  if (!country) return null;
+  // Normalize country code (e.g., "se" -> "SE")
+  const normalizedCountry = country.toUpperCase();
+  return CUSTOMER_TOKENS[normalizedCountry] || null;
+}
+
+// Decode base64 to string (for PEM certificates)
+function decodeBase64(b64: string): string {
+  return Buffer.from(b64, "base64").toString("utf-8");
+}
+
+// Check if mTLS is configured
+const isMtlsConfigured = Boolean(MTLS_CERT_B64 && MTLS_KEY_B64);
+
+// Client certificate loaded at startup; only used when the certificate and key belong together
+interface MtlsState {
+  configured: boolean;
+  active: boolean;
+  cert: string | null;
+  key: string | null;
+  certificate: {
+    subject: string;
+    issuer: string;
+    validFrom: string;
+    validTo: string;
+    fingerprint256: string;
+    expired: boolean;
+  } | null;
+  error: string | null;
+}
+
+function loadMtlsState(): MtlsState {
+  const state: MtlsState = {
+    configured: isMtlsConfigured,
+    active: false,
+    cert: null,
+    key: null,
+    certificate: null,
+    error: null,
+  };
+  if (!isMtlsConfigured) return state;
+
+  try {
+    const cert = decodeBase64(MTLS_CERT_B64);
+    const key = decodeBase64(MTLS_KEY_B64);
+    const x509 = new crypto.X509Certificate(cert);
+    const privateKey = crypto.createPrivateKey(key);
+    state.certificate = {
+      subject: x509.subject,
+      issuer: x509.issuer,
+      validFrom: new Date(x509.validFrom).toISOString(),
+      validTo: new Date(x509.validTo).toISOString(),
+      fingerprint256: x509.fingerprint256,
+      expired: new Date(x509.validTo).getTime() < Date.now(),
+    };
+    if (!x509.checkPrivateKey(privateKey)) {
+      state.error = "MTLS_KEY does not match the public key of MTLS_CERT";
+    } else {
+      state.cert = cert;
+      state.key = key;
+      state.active = true;
+    }
+  } catch (error) {
+    state.error = `Failed to load mTLS credentials: ${
+      error instanceof Error ? error.message : String(error)
+    }`;
+  }
+
+  if (state.active) {
+    console.log("🔐 mTLS client certificate loaded:", state.certificate?.subject);
+    if (state.certificate?.expired) {
+      console.warn("⚠️ mTLS client certificate expired on", state.certificate.validTo);
+    }
+  } else {
+    console.error("❌ mTLS disabled:", state.error);
+  }
+  return state;
+}
+
+const mtlsState = loadMtlsState();
+
+// Last klarna-mtls-verification-status header seen on a Klarna response
+let lastMtlsVerification: { status: string; url: string; receivedAt: string } | null = null;
+
+// Helper to get auth config for the mode requested by the frontend
+// Falls back to the default mode when the requested one is not configured
+function resolveAuthConfig(requestedMode?: string): AuthConfig {
+  const normalized = requestedMode?.toUpperCase();
+  const mode: AuthMode = normalized === "SUB_PARTNER" ||
+      normalized === "ACQUIRING_PARTNER"
+    ? normalized
+    : defaultAuthMode;
+
+  const config = getAuthConfig(mode) || getAuthConfig(defaultAuthMode);
+  if (!config) {
+    throw new Error("No authentication configuration available. Set AP_CLIENT_ID/AP_API_KEY/PARTNER_ACCOUNT_ID or SP_CLIENT_ID/SP_API_KEY environment variables.");
+  }
+  return config;
+}
+
+// ============================================================================
+// LOG REDACTION
+// ============================================================================
+
+// API keys, secret keys, signatures and customer/session tokens are masked in console logs
+// and backend events, using the same policy as the browser logs (public/js/redaction.js)
+const LOG_REVEAL_SECRETS = getEnv("LOG_REVEAL_SECRETS") === "true";
+if (LOG_REVEAL_SECRETS) {
+  console.warn("⚠️ LOG_REVEAL_SECRETS is on: secrets are logged in full. Use for local debugging only.");
+}
+
+/**
+ * Copy of data that is safe to log (data itself when LOG_REVEAL_SECRETS is on).
+ */
+function forLog<T>(data: T): T {
+  return redactSecrets(data, { reveal: LOG_REVEAL_SECRETS }) as T;
+}
+
+/**
+ * Masked form of a single secret value (the value itself when LOG_REVEAL_SECRETS is on).
+ */
+function maskForLog(value: string): string {
+  return LOG_REVEAL_SECRETS ? value : maskSecret(value);
+}
+
+// ============================================================================
+// BACKEND EVENT STREAM
+// ============================================================================
+
+// Structured events about upstream calls, streamed to the browser session that caused them
+// over GET /api/logs/stream. The session is a cookie set on the first /api call; the request
+// context travels with AsyncLocalStorage so upstreamFetch can tag events without extra parameters.
+// Subscribers only see events from their own function instance (one process with npm start).
+const BACKEND_EVENT_COOKIE = "backend_log_session";
+const BACKEND_EVENT_BUFFER_SIZE = 50;
+const BACKEND_EVENT_SESSION_TTL_MS = 30 * 60 * 1000;
+// Each stream closes after this long so a serverless function does not stay open; EventSource
+// reconnects by itself (after BACKEND_EVENT_RETRY_MS) and Last-Event-ID replays what it missed
+const BACKEND_EVENT_STREAM_MAX_MS = 25 * 1000;
+const BACKEND_EVENT_RETRY_MS = 1000;
+const BACKEND_EVENT_KEEPALIVE_MS = 15 * 1000;
+
+type BackendEventType =
+  | "upstream.request"
+  | "upstream.response"
+  | "upstream.retry"
+  | "upstream.error";
+
+interface BackendEvent {
+  id: number;
+  type: BackendEventType;
+  at: string;
+  route: string;
+  [key: string]: unknown;
+}
+
+interface BackendEventSession {
+  events: BackendEvent[];
+  subscribers: Set<(event: BackendEvent) => void>;
+  touchedAt: number;
+}
+
+const backendEventContext = new AsyncLocalStorage<{ sessionId: string; route: string }>();
+const backendEventSessions = new Map<string, BackendEventSession>();
+// Seeded with the clock so IDs keep increasing across restarts (browsers resume from the last ID they saw)
+let backendEventSeq = Date.now();
+
+function getBackendEventSession(sessionId: string): BackendEventSession {
+  let session = backendEventSessions.get(sessionId);
+  if (!session) {
+    session = { events: [], subscribers: new Set(), touchedAt: Date.now() };
+    backendEventSessions.set(sessionId, session);
+  }
+  session.touchedAt = Date.now();
+  return session;
+}
+
+/**
+ * Publish an event to the browser session of the current request (no-op outside a request).
+ */
+function emitBackendEvent(type: BackendEventType, data: Record<string, unknown>): void {
+  const context = backendEventContext.getStore();
+  if (!context) return;
+  const now = Date.now();
+  for (const [sessionId, session] of backendEventSessions) {
+    if (session.subscribers.size === 0 && now - session.touchedAt > BACKEND_EVENT_SESSION_TTL_MS) {
+      backendEventSessions.delete(sessionId);
+    }
+  }
+  const event: BackendEvent = {
+    id: ++backendEventSeq,
+    type,
+    at: new Date(now).toISOString(),
+    route: context.route,
+    ...forLog(data),
+  };
+  const session = getBackendEventSession(context.sessionId);
+  session.events.push(event);
+  if (session.events.length > BACKEND_EVENT_BUFFER_SIZE) session.events.shift();
+  session.subscribers.forEach((send) => send(event));
+}
+
+// ============================================================================
+// UPSTREAM CLIENT
+// ============================================================================
+
+// Shared by Klarna and Paytrail calls: per-attempt timeout, bounded exponential backoff
+// with Retry-After support, and a record of every attempt for the log panels.
+const UPSTREAM_TIMEOUT_MS = Number(getEnv("UPSTREAM_TIMEOUT_MS")) || 10000;
+const UPSTREAM_MAX_RETRIES = getEnv("UPSTREAM_MAX_RETRIES") === ""
+  ? 2
+  : Math.max(0, Number(getEnv("UPSTREAM_MAX_RETRIES")) || 0);
+const UPSTREAM_BACKOFF_BASE_MS = 250;
+const UPSTREAM_BACKOFF_MAX_MS = 4000;
+// A Retry-After longer than this is not waited for; the response is returned instead
+const UPSTREAM_RETRY_AFTER_MAX_MS = 10000;
+
+interface UpstreamAttempt {
+  attempt: number;
+  startedAt: string;
+  durationMs: number;
+  status: number | null;
+  error?: string;
+  retryInMs?: number;
+}
+
+// Attempts behind each upstream Response (see getUpstreamAttempts)
+const upstreamAttempts = new WeakMap<Response, UpstreamAttempt[]>();
+
+/**
+ * Attempts made to obtain an upstream response, for _response metadata.
+ */
+function getUpstreamAttempts(response: Response): UpstreamAttempt[] {
+  return upstreamAttempts.get(response) || [];
+}
+
+/**
+ * Delay requested by a Retry-After header (delta-seconds or HTTP date), in ms.
+ */
+function parseRetryAfter(value: string | null): number | null {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt: number): number {
+  const ceiling = Math.min(UPSTREAM_BACKOFF_MAX_MS, UPSTREAM_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Call an upstream API with a timeout per attempt and retries.
+ * send is invoked once per attempt (so signed requests get a fresh nonce) with an abort signal.
+ * 429 is retried for every request (it was not processed); 5xx, timeouts and network errors
+ * only when the operation is idempotent. Errors thrown carry the attempts as error.attempts.
+ */
+async function upstreamFetch(
+  label: string,
+  send: (signal: AbortSignal) => Promise<Response>,
+  options: { idempotent: boolean; timeoutMs?: number },
+): Promise<Response> {
+  const timeoutMs = options.timeoutMs ?? UPSTREAM_TIMEOUT_MS;
+  const maxAttempts = UPSTREAM_MAX_RETRIES + 1;
+  const attempts: UpstreamAttempt[] = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    const record: UpstreamAttempt = {
+      attempt,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: 0,
+      status: null,
+    };
+    attempts.push(record);
+    emitBackendEvent("upstream.request", { label, attempt });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response: Response | null = null;
+    try {
+      response = await send(controller.signal);
+    } catch (error) {
+      record.error = controller.signal.aborted
+        ? `Timed out after ${timeoutMs}ms`
+        : error instanceof Error ? error.message : String(error);
+    } finally {
+      clearTimeout(timer);
+      record.durationMs = Date.now() - startedAt;
+    }
+
+    if (response) {
+      record.status = response.status;
+      emitBackendEvent("upstream.response", {
+        label,
+        attempt,
+        status: response.status,
+        durationMs: record.durationMs,
+      });
+      const retryable = response.status === 429 ||
+        (options.idempotent && response.status >= 500);
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+      if (
+        !retryable || attempt >= maxAttempts ||
+        (retryAfter !== null && retryAfter > UPSTREAM_RETRY_AFTER_MAX_MS)
+      ) {
+        upstreamAttempts.set(response, attempts);
+        return response;
+      }
+      record.retryInMs = retryAfter ?? backoffDelay(attempt);
+      await response.arrayBuffer().catch(() => undefined);
+    } else {
+      emitBackendEvent("upstream.error", {
+        label,
+        attempt,
+        error: record.error,
+        durationMs: record.durationMs,
+      });
+      if (!options.idempotent || attempt >= maxAttempts) {
+        const error = new Error(
+          `${label} failed after ${attempt} attempt${attempt > 1 ? "s" : ""}: ${record.error}`,
+        ) as Error & { attempts?: UpstreamAttempt[]; upstream?: ErrorSource };
+        error.attempts = attempts;
+        error.upstream = label.startsWith("Paytrail") ? "paytrail" : "klarna";
+        throw error;
+      }
+      record.retryInMs = backoffDelay(attempt);
+    }
+
+    console.warn(
+      `🔁 ${label}: attempt ${attempt} ${record.error || `returned ${record.status}`}, retrying in ${record.retryInMs}ms`,
+    );
+    emitBackendEvent("upstream.retry", {
+      label,
+      attempt,
+      retryInMs: record.retryInMs,
+      reason: record.error || `HTTP ${record.status}`,
+    });
+    await new Promise((resolve) => setTimeout(resolve, record.retryInMs));
+  }
+}
+
+// Fetch with optional mTLS support, through the upstream client
+// The client certificate is presented on https:// URLs (e.g. not on a local http stand-in).
+// GETs and requests carrying an Idempotency-Key are idempotent and retried on 5xx and timeouts.
+async function fetchWithMtls(
+  url: string,
+  options: RequestInit,
+): Promise<Response> {
+  const method = (options.method || "GET").toUpperCase();
+  const idempotent = method === "GET" || method === "HEAD" ||
+    new Headers(options.headers).has("Idempotency-Key");
+  const response = await upstreamFetch(
+    `Klarna ${method} ${new URL(url).pathname}`,
+    (signal) =>
+      mtlsState.active && url.startsWith("https://")
+        ? runtime.mtlsFetch(url, { ...options, signal }, { cert: mtlsState.cert!, key: mtlsState.key! })
+        : fetch(url, { ...options, signal }),
+    { idempotent },
+  );
+
+  const verificationStatus = response.headers.get("klarna-mtls-verification-status");
+  if (verificationStatus) {
+    lastMtlsVerification = {
+      status: verificationStatus,
+      url,
+      receivedAt: new Date().toISOString(),
+    };
+  }
+  return response;
+}
+
+// ============================================================================
+// ERROR ENVELOPE
+// ============================================================================
+
+// Every failing route answers with one shape, whether the problem was the request, the
+// configuration or Klarna/Paytrail:
+//   { status: "ERROR", message, error: { code, message, source, upstreamStatus, correlationId,
+//     fields, hint, details? }, timestamp }
+// message repeats error.message for callers that only show one line. Routes add their own
+// fields next to it (e.g. _request/_response of the Klarna call, transactionId).
+
+type ErrorCode =
+  | "BAD_REQUEST" // body or parameters missing or malformed
+  | "VALIDATION_FAILED" // payload does not match the upstream schema, see fields
+  | "CREDENTIALS_REQUIRED" // no Paytrail merchant credentials / Klarna API key in the body or session
+  | "NOT_CONFIGURED" // a server environment variable the route needs is not set
+  | "NOT_FOUND"
+  | "SIGNATURE_INVALID" // webhook, callback or redirect signature did not verify
+  | "CONFLICT" // clashes with an earlier request (Idempotency-Key reused with another body, callback after a final status)
+  | "UPSTREAM_AUTH_FAILED" // Klarna/Paytrail answered 401 or 403
+  | "UPSTREAM_REJECTED" // Klarna/Paytrail answered another 4xx
+  | "UPSTREAM_UNAVAILABLE" // 5xx, timeout or network error after retries
+  | "UPSTREAM_BAD_RESPONSE" // the upstream answer could not be used (not JSON, fields missing)
+  | "INTERNAL_ERROR";
+
+type ErrorSource = "api" | "klarna" | "paytrail";
+
+interface ApiError {
+  code: ErrorCode;
+  message: string;
+  source: ErrorSource;
+  upstreamStatus: number | null;
+  correlationId: string | null;
+  fields: FieldError[];
+  hint: string | null;
+  details?: unknown; // upstream error body
+}
+
+// What to try next, when the route has nothing more specific to say
+function defaultErrorHint(code: ErrorCode, source: ErrorSource): string | null {
+  const upstream = source === "paytrail" ? "Paytrail" : "Klarna";
+  switch (code) {
+    case "VALIDATION_FAILED":
+      return "Fix the listed fields and send the request again.";
+    case "CREDENTIALS_REQUIRED":
+      return "Save credentials in the credentials dialog (they are kept in the encrypted session) or send them in the request body.";
+    case "NOT_CONFIGURED":
+      return "Set the environment variable named in the message; /diagnostics lists what is missing.";
+    case "SIGNATURE_INVALID":
+      return "Check that both sides use the same signing key or secret.";
+    case "UPSTREAM_AUTH_FAILED":
+      return source === "paytrail"
+        ? "Check the Paytrail merchant ID and secret key; test accounts only work against the test environment."
+        : "Check the Klarna API key and that it belongs to the selected environment (playground or production), and the mTLS certificate.";
+    case "UPSTREAM_REJECTED":
+      return `${upstream} rejected the request; the fields and details show why.`;
+    case "UPSTREAM_UNAVAILABLE":
+      return `${upstream} did not answer in time or returned a server error. Try again; /diagnostics?deep=true checks connectivity.`;
+    case "UPSTREAM_BAD_RESPONSE":
+      return `${upstream} answered with something this demo does not understand; the details hold the response.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Error response in the shared envelope. Unset parts default to null / [] / the code's hint.
+ */
+function errorResponse(
+  c: Context,
+  httpStatus: number,
+  error: Pick<ApiError, "code" | "message"> & Partial<ApiError>,
+  extras: Record<string, unknown> = {},
+): Response {
+  const source = error.source || "api";
+  const body: ApiError = {
+    code: error.code,
+    message: error.message,
+    source,
+    upstreamStatus: null,
+    correlationId: null,
+    fields: [],
+    ...error,
+    hint: error.hint ?? defaultErrorHint(error.code, source),
+  };
+  return c.json(
+    { status: "ERROR", message: body.message, error: body, ...extras, timestamp: new Date().toISOString() },
+    httpStatus as 400,
+  );
+}
+
+function upstreamErrorCode(status: number): ErrorCode {
+  if (status === 401 || status === 403) return "UPSTREAM_AUTH_FAILED";
+  if (status >= 500) return "UPSTREAM_UNAVAILABLE";
+  return "UPSTREAM_REJECTED";
+}
+
+// Upstream 4xx are passed on; 5xx become 502 so they are not mistaken for failures of this API
+function upstreamHttpStatus(status: number): number {
+  return status >= 500 ? 502 : status >= 400 ? status : 502;
+}
+
+/**
+ * Envelope for a failed Klarna response ({ error_code, error_message, validation_errors, correlation_id }).
+ */
+function klarnaErrorResponse(
+  c: Context,
+  klarnaResponse: Response,
+  klarnaData: Record<string, unknown>,
+  fallbackMessage: string,
+  extras: Record<string, unknown> = {},
+): Response {
+  const validationErrors = Array.isArray(klarnaData.validation_errors)
+    ? klarnaData.validation_errors as { parameter?: string; reason?: string }[]
+    : [];
+  const message = typeof klarnaData.error_message === "string" && klarnaData.error_message
+    ? klarnaData.error_message
+    : fallbackMessage;
+  return errorResponse(c, upstreamHttpStatus(klarnaResponse.status), {
+    code: validationErrors.length ? "VALIDATION_FAILED" : upstreamErrorCode(klarnaResponse.status),
+    message: typeof klarnaData.error_code === "string" ? `${message} (${klarnaData.error_code})` : message,
+    source: "klarna",
+    upstreamStatus: klarnaResponse.status,
+    correlationId: klarnaResponse.headers.get("klarna-correlation-id") ||
+      (typeof klarnaData.correlation_id === "string" ? klarnaData.correlation_id : null),
+    fields: validationErrors.map((error) => ({ field: error.parameter || "", message: error.reason || "is invalid" })),
+    details: klarnaData,
+  }, extras);
+}
+
+/**
+ * Parsed JSON body of a Klarna or Paytrail response ({} when empty). A body that is not JSON
+ * (e.g. an HTML error page from a proxy) throws an error that thrownErrorResponse answers with
+ * 502 UPSTREAM_BAD_RESPONSE, instead of the SyntaxError passing for a malformed request body.
+ */
+async function readUpstreamJson(response: Response, upstream: "klarna" | "paytrail"): Promise<any> {
+  const text = await response.text();
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    const err = new Error(
+      `${upstream === "klarna" ? "Klarna" : "Paytrail"} answered HTTP ${response.status} with a body that is not JSON (${
+        parseError instanceof Error ? parseError.message : String(parseError)
+      })`,
+    ) as Error & { badResponse?: Pick<ApiError, "source" | "upstreamStatus" | "correlationId" | "details"> };
+    err.badResponse = {
+      source: upstream,
+      upstreamStatus: response.status,
+      correlationId: upstream === "klarna"
+        ? response.headers.get("klarna-correlation-id")
+        : paytrailRequestId(response),
+      details: text.slice(0, 500),
+    };
+    throw err;
+  }
+}
+
+// Paytrail lists problems in meta as strings such as '"amount" must be a positive integer'
+function paytrailFieldErrors(errorData: unknown): FieldError[] {
+  const meta = (errorData as { meta?: unknown } | null)?.meta;
+  if (!Array.isArray(meta)) return [];
+  return meta.flatMap((entry) => {
+    const match = typeof entry === "string" ? entry.match(/^"([^"]+)"\s+(.+)$/) : null;
+    return match ? [{ field: match[1], message: match[2] }] : [];
+  });
+}
+
+/**
+ * Envelope for an error thrown while handling a route, prefixed with what failed (e.g. "Refund failed"):
+ *   - Paytrail error responses (status/errorData, from makePaytrailRequestWithCreds)
+ *   - upstream calls that failed after retries (attempts, from upstreamFetch)
+ *   - upstream answers that are not JSON (badResponse, from readUpstreamJson)
+ *   - a request body that is not JSON
+ *   - anything else is an internal error
+ */
+function thrownErrorResponse(
+  c: Context,
+  error: unknown,
+  failed: string,
+  extras: Record<string, unknown> = {},
+): Response {
+  const err = error as Error & {
+    status?: number;
+    errorData?: unknown;
+    requestId?: string | null;
+    attempts?: UpstreamAttempt[];
+    upstream?: ErrorSource;
+    badResponse?: Pick<ApiError, "source" | "upstreamStatus" | "correlationId" | "details">;
+  };
+  const reason = err instanceof Error ? err.message : String(error);
+  const message = `${failed}: ${reason}`;
+  if (err?.status && err.status >= 400) {
+    const fields = paytrailFieldErrors(err.errorData);
+    return errorResponse(c, upstreamHttpStatus(err.status), {
+      code: fields.length && err.status === 400 ? "VALIDATION_FAILED" : upstreamErrorCode(err.status),
+      message,
+      source: "paytrail",
+      upstreamStatus: err.status,
+      correlationId: err.requestId || null,
+      fields,
+      details: err.errorData,
+    }, extras);
+  }
+  if (err?.attempts) {
+    return errorResponse(c, 502, { code: "UPSTREAM_UNAVAILABLE", message, source: err.upstream || "api" }, extras);
+  }
+  if (err?.badResponse) {
+    return errorResponse(c, 502, { code: "UPSTREAM_BAD_RESPONSE", message, ...err.badResponse }, extras);
+  }
+  if (err instanceof SyntaxError) {
+    return errorResponse(c, 400, {
+      code: "BAD_REQUEST",
+      message: `${failed}: request body is not valid JSON (${reason})`,
+      hint: "Send a JSON body with Content-Type: application/json.",
+    }, extras);
+  }
+  return errorResponse(c, 500, { code: "INTERNAL_ERROR", message }, extras);
+}
+
+/**
+ * 400 for a Paytrail route called without merchant credentials in the body or session
+ */
+function paytrailCredentialsRequired(
+  c: Context,
+  message = "Save credentials to the session (POST /api/credentials/session) or include merchantId and secretKey in the body",
+): Response {
+  return errorResponse(c, 400, {
+    code: "CREDENTIALS_REQUIRED",
+    message: `Paytrail credentials required: ${message}`,
+    source: "paytrail",
+  });
+}
+
+// Enable CORS
+app.use("*", cors());
+
+// Tag every API request with the browser's event-stream session (cookie, created on first use)
+app.use("/api/*", async (c, next) => {
+  let sessionId = getCookie(c, BACKEND_EVENT_COOKIE);
+  if (!sessionId || !/^[\w-]{1,64}$/.test(sessionId)) {
+    sessionId = crypto.randomUUID();
+    setCookie(c, BACKEND_EVENT_COOKIE, sessionId, {
+      path: "/",
+      httpOnly: true,
+      sameSite: "Lax",
+    });
+  }
+  await backendEventContext.run(
+    { sessionId, route: `${c.req.method} ${c.req.path}` },
+    () => next(),
+  );
+});
+
+// The upstream request/response copies in _request / _response are only shown in the log panels,
+// so they leave the server redacted like the console logs; the route's own fields stay complete
+app.use("/api/*", async (c, next) => {
+  await next();
+  if (!c.res.headers.get("Content-Type")?.includes("application/json")) return;
+  const body = await c.res.clone().json().catch(() => null) as Record<string, unknown> | null;
+  if (!body || typeof body !== "object" || !("_request" in body || "_response" in body)) return;
+  const redacted = { ...body };
+  if ("_request" in body) redacted._request = forLog(body._request);
+  if ("_response" in body) redacted._response = forLog(body._response);
+  c.res = new Response(JSON.stringify(redacted), { status: c.res.status, headers: c.res.headers });
+});
+
+// GET /api/logs/stream – Server-Sent Events with this browser session's backend events
+// Buffered events newer than Last-Event-ID (or ?since= after a page load) are replayed on connect.
+app.get("/api/logs/stream", (c) => {
+  const sessionId = backendEventContext.getStore()!.sessionId;
+  const lastEventId = Math.max(
+    Number(c.req.header("Last-Event-ID")) || 0,
+    Number(c.req.query("since")) || 0,
+  );
+  return streamSSE(c, async (stream) => {
+    const session = getBackendEventSession(sessionId);
+    const closesAt = Date.now() + BACKEND_EVENT_STREAM_MAX_MS;
+    const send = (event: BackendEvent) => {
+      stream.writeSSE({ id: String(event.id), data: JSON.stringify(event) }).catch(() => {});
+    };
+    const unsubscribe = () => {
+      session.subscribers.delete(send);
+      session.touchedAt = Date.now();
+    };
+    await stream.write(`retry: ${BACKEND_EVENT_RETRY_MS}\n\n`);
+    for (const event of session.events) {
+      if (event.id > lastEventId) send(event);
+    }
+    session.subscribers.add(send);
+    stream.onAbort(unsubscribe);
+    // Comment lines keep proxies from closing an idle stream until the stream's lifetime is up
+    while (!stream.aborted && Date.now() < closesAt) {
+      await stream.sleep(Math.min(BACKEND_EVENT_KEEPALIVE_MS, closesAt - Date.now()));
+      if (!stream.aborted && Date.now() < closesAt) await stream.write(": keep-alive\n\n");
+    }
+    unsubscribe();
+  });
+});
+
+// ============================================================================
+// CREDENTIAL SESSIONS
+// ============================================================================
+
+// The browser sends Paytrail merchant credentials and the Klarna API key once, to POST /api/credentials/session.
+// They are kept in an AES-256-GCM encrypted HttpOnly cookie (no server state, so every Vercel instance can
+// read it) and routes resolve credentials from it first, falling back to merchantId/secretKey/klarnaApiKey
+// in the body or the X-Paytrail-* / X-Klarna-Api-Key headers.
+// The cookie holds named profiles (e.g. "FI test merchant", "SE prod"); routes use the active one.
+const CREDENTIAL_SESSION_COOKIE = "credential_session";
+const CREDENTIAL_SESSION_TTL_SECONDS = 8 * 60 * 60;
+// Keeps the sealed cookie under the 4 KB browsers accept
+const MAX_CREDENTIAL_PROFILES = 8;
+const MAX_PROFILE_NAME_LENGTH = 40;
+const DEFAULT_CREDENTIAL_PROFILE = "default";
+// Without CREDENTIAL_SESSION_SECRET the key is random per process, so sessions end on restart
+// (and on Vercel only work on the instance that created them)
+const CREDENTIAL_SESSION_SECRET = getEnv("CREDENTIAL_SESSION_SECRET");
+const credentialSessionKey = CREDENTIAL_SESSION_SECRET
+  ? crypto.createHash("sha256").update(CREDENTIAL_SESSION_SECRET).digest()
+  : crypto.randomBytes(32);
+
+interface CredentialProfile {
+  merchantId?: string;
+  secretKey?: string;
+  klarnaApiKey?: string;
+  klarnaEnvironment?: string;
+}
+
+// The active profile of a session, as the credential resolvers see it
+interface CredentialSession extends CredentialProfile {
+  expiresAt: string;
+}
+
+interface CredentialProfileStore {
+  activeProfile: string;
+  profiles: Record<string, CredentialProfile>;
+  expiresAt: string;
+}
+
+// AES-256-GCM with the credential session key: iv, auth tag and ciphertext, base64url encoded
+function sealValue(plain: string): string {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", credentialSessionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64url");
+}
+
+// Throws when the value was tampered with or sealed with another key
+function unsealValue(sealed: string): string {
+  const data = Buffer.from(sealed, "base64url");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", credentialSessionKey, data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString("utf8");
+}
+
+function sealCredentialSession(store: CredentialProfileStore): string {
+  return sealValue(JSON.stringify(store));
+}
+
+function unsealCredentialSession(sealed: string): CredentialProfileStore | null {
+  try {
+    const stored = JSON.parse(unsealValue(sealed));
+    if (!(Date.parse(stored.expiresAt) > Date.now())) return null;
+    if (stored.profiles && typeof stored.profiles === "object") return stored as CredentialProfileStore;
+    // Cookies sealed before profiles existed hold a single set of credentials
+    const { expiresAt, ...profile } = stored as CredentialSession;
+    return { activeProfile: DEFAULT_CREDENTIAL_PROFILE, profiles: { [DEFAULT_CREDENTIAL_PROFILE]: profile }, expiresAt };
+  } catch {
+    // Tampered, expired or sealed with another key (e.g. before a restart)
+    return null;
+  }
+}
+
+/**
+ * All credential profiles of the current request, or null when there is no session (or it cannot be read).
+ */
+function getCredentialProfiles(c: Context): CredentialProfileStore | null {
+  const sealed = getCookie(c, CREDENTIAL_SESSION_COOKIE);
+  return sealed ? unsealCredentialSession(sealed) : null;
+}
+
+/**
+ * Active credential profile of the current request, or null when there is none.
+ */
+function getCredentialSession(c: Context): CredentialSession | null {
+  const store = getCredentialProfiles(c);
+  const profile = store?.profiles[store.activeProfile];
+  return store && profile ? { ...profile, expiresAt: store.expiresAt } : null;
+}
+
+function describeCredentialProfile(profile: CredentialProfile | undefined) {
+  return {
+    paytrail: {
+      configured: !!(profile?.merchantId && profile?.secretKey),
+      merchantId: profile?.merchantId || null,
+    },
+    klarna: {
+      configured: !!profile?.klarnaApiKey,
+      environment: profile?.klarnaEnvironment || null,
+    },
+  };
+}
+
+/**
+ * What a session holds, without the secrets themselves. paytrail/klarna describe the active profile.
+ */
+function describeCredentialSession(store: CredentialProfileStore | null) {
+  const active = store?.profiles[store.activeProfile];
+  return {
+    active: !!active,
+    activeProfile: store?.activeProfile || null,
+    ...describeCredentialProfile(active),
+    profiles: Object.entries(store?.profiles ?? {}).map(([name, profile]) => ({
+      name,
+      ...describeCredentialProfile(profile),
+    })),
+    expiresAt: store?.expiresAt || null,
+  };
+}
+
+function writeCredentialSession(c: Context, store: CredentialProfileStore | null): void {
+  if (!store || Object.keys(store.profiles).length === 0) {
+    deleteCookie(c, CREDENTIAL_SESSION_COOKIE, { path: "/api" });
+    return;
+  }
+  setCookie(c, CREDENTIAL_SESSION_COOKIE, sealCredentialSession(store), {
+    path: "/api",
+    httpOnly: true,
+    sameSite: "Lax",
+    secure: new URL(c.req.url).protocol === "https:",
+    maxAge: CREDENTIAL_SESSION_TTL_SECONDS,
+  });
+}
+
+/**
+ * Paytrail credentials for a request: the session's when it has them, else the ones sent with the request.
+ * Returns empty strings when neither has both, so callers keep their own "credentials required" responses.
+ */
+function resolvePaytrailCredentials(
+  c: Context,
+  requestMerchantId?: unknown,
+  requestSecretKey?: unknown,
+): { merchantId: string; secretKey: string } {
+  const session = getCredentialSession(c);
+  if (session?.merchantId && session.secretKey) {
+    return { merchantId: session.merchantId, secretKey: session.secretKey };
+  }
+  return {
+    merchantId: requestMerchantId ? String(requestMerchantId).trim() : "",
+    secretKey: requestSecretKey ? String(requestSecretKey).trim() : "",
+  };
+}
+
+/**
+ * Klarna API key and environment for a request: session first, then the request's own values.
+ * An environment sent with the request wins, since it is a per-call choice rather than a secret.
+ */
+function resolveKlarnaCredentials(
+  c: Context,
+  requestApiKey?: unknown,
+  requestEnvironment?: unknown,
+): { apiKey: string; klarnaEnvironment: string | undefined } {
+  const session = getCredentialSession(c);
+  const apiKey = session?.klarnaApiKey ||
+    (typeof requestApiKey === "string" ? requestApiKey.trim() : "");
+  const klarnaEnvironment = typeof requestEnvironment === "string" && requestEnvironment
+    ? requestEnvironment
+    : session?.klarnaEnvironment;
+  return { apiKey, klarnaEnvironment };
+}
+
+// POST /api/credentials/session – Store credentials in the encrypted session cookie
+// (body: { profile?, copyFrom?, merchantId?, secretKey?, klarnaApiKey?, klarnaEnvironment? }). The fields go into
+// the named profile (default: the active one), which becomes active; copyFrom starts a new profile from another's
+// credentials. Fields left out keep their value and null clears one, so the browser can update the Klarna key
+// without resending Paytrail's, and { profile } alone switches profiles.
+app.post("/api/credentials/session", async (c) => {
+  const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must be a JSON object with merchantId and secretKey, klarnaApiKey, or both" });
+  }
+
+  const existing = getCredentialProfiles(c);
+  const profiles = { ...existing?.profiles };
+  const profileName = typeof body.profile === "string" && body.profile.trim()
+    ? body.profile.trim()
+    : existing?.activeProfile || DEFAULT_CREDENTIAL_PROFILE;
+  if (profileName.length > MAX_PROFILE_NAME_LENGTH) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: `profile must be at most ${MAX_PROFILE_NAME_LENGTH} characters` });
+  }
+
+  const copyFrom = typeof body.copyFrom === "string" ? body.copyFrom.trim() : "";
+  const profile: CredentialProfile = { ...(copyFrom ? profiles[copyFrom] : undefined), ...profiles[profileName] };
+  const fields = ["merchantId", "secretKey", "klarnaApiKey", "klarnaEnvironment"] as const;
+  for (const name of fields) {
+    if (!(name in body)) continue;
+    const value = typeof body[name] === "string" ? (body[name] as string).trim() : "";
+    if (value) profile[name] = value;
+    else delete profile[name];
+  }
+
+  // A merchant ID is only useful together with its secret key
+  if (!profile.secretKey) delete profile.merchantId;
+  if (profile.secretKey && !profile.merchantId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "merchantId is required with secretKey" });
+  }
+
+  // A profile without secrets is not stored; switching to it makes routes use the request's credentials
+  if (profile.secretKey || profile.klarnaApiKey) profiles[profileName] = profile;
+  else delete profiles[profileName];
+  if (Object.keys(profiles).length > MAX_CREDENTIAL_PROFILES) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: `A session holds at most ${MAX_CREDENTIAL_PROFILES} credential profiles; delete one first` });
+  }
+
+  const store: CredentialProfileStore = {
+    activeProfile: profileName,
+    profiles,
+    expiresAt: new Date(Date.now() + CREDENTIAL_SESSION_TTL_SECONDS * 1000).toISOString(),
+  };
+  writeCredentialSession(c, store);
+  if (!Object.keys(profiles).length) return c.json(describeCredentialSession(null));
+  console.log(`🔑 Credential session saved (profile "${profileName}"` +
+    (profile.merchantId ? `, merchant ${profile.merchantId})` : ")"));
+  return c.json(describeCredentialSession(store));
+});
+
+// GET /api/credentials/session – Which credentials the session holds (never the secrets)
+app.get("/api/credentials/session", (c) => {
+  return c.json(describeCredentialSession(getCredentialProfiles(c)));
+});
+
+// DELETE /api/credentials/session – End the session (or ?profile=name deletes one profile);
+// routes fall back to credentials in the request
+app.delete("/api/credentials/session", (c) => {
+  const profileName = c.req.query("profile")?.trim();
+  const existing = getCredentialProfiles(c);
+  if (!profileName || !existing) {
+    writeCredentialSession(c, null);
+    return c.json(describeCredentialSession(null));
+  }
+  const { [profileName]: _deleted, ...profiles } = existing.profiles;
+  const store = { ...existing, profiles };
+  writeCredentialSession(c, store);
+  return c.json(describeCredentialSession(Object.keys(profiles).length ? store : null));
+});
+
+// Paytrail's public test accounts (https://docs.paytrail.com/#/?id=test-credentials); any other merchant is live
+const PAYTRAIL_TEST_MERCHANT_IDS = new Set(["375917", "695861"]);
+
+interface KlarnaKeyCheck {
+  environment: string;
+  status?: number;
+  correlationId?: string | null;
+  mtlsVerificationStatus?: string | null;
+  error?: string;
+}
+
+// Presentation is the cheapest authenticated Klarna call: a GET with no side effects
+async function checkKlarnaApiKey(apiKey: string, environment: string): Promise<KlarnaKeyCheck> {
+  try {
+    const response = await fetchWithMtls(`${getKlarnaBaseUrl(environment)}/v2/payment/presentation?currency=EUR`, {
+      method: "GET",
+      headers: { "Authorization": `Basic ${apiKey.replace(/^Basic\s+/i, "")}` },
+    });
+    await response.text().catch(() => "");
+    return {
+      environment,
+      status: response.status,
+      correlationId: response.headers.get("klarna-correlation-id"),
+      mtlsVerificationStatus: response.headers.get("klarna-mtls-verification-status"),
+    };
+  } catch (error) {
+    return { environment, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+function isKlarnaAuthRejected(check: KlarnaKeyCheck): boolean {
+  return check.status === 401 || check.status === 403;
+}
+
+// POST /api/credentials/verify – Check credentials with one authenticated call per upstream before saving them
+// (body: { merchantId?, secretKey?, klarnaApiKey?, klarnaEnvironment? }). Values in the body are checked first;
+// secrets left out fall back to the session, so a form that keeps a saved secret can still be verified.
+app.post("/api/credentials/verify", async (c) => {
+  const body = await c.req.json().catch(() => ({})) as Record<string, unknown>;
+  const field = (name: string) => typeof body?.[name] === "string" ? (body[name] as string).trim() : "";
+  const session = getCredentialSession(c);
+
+  const merchantId = field("merchantId") || session?.merchantId || "";
+  const secretKey = field("secretKey") || (session?.merchantId === merchantId ? session?.secretKey : "") || "";
+  const klarnaApiKey = field("klarnaApiKey") || session?.klarnaApiKey || "";
+  const klarnaEnvironment = field("klarnaEnvironment") || session?.klarnaEnvironment || "playground";
+
+  if (!(merchantId && secretKey) && !klarnaApiKey) {
+    return errorResponse(c, 400, { code: "CREDENTIALS_REQUIRED", message: "Send merchantId and secretKey, klarnaApiKey, or both (or save them to the credential session first)" });
+  }
+
+  const verifyPaytrail = async () => {
+    if (!merchantId || !secretKey) return { configured: false };
+    const result = {
+      configured: true,
+      merchantId,
+      environment: PAYTRAIL_TEST_MERCHANT_IDS.has(merchantId) ? "test" : "production",
+    };
+    try {
+      const response = await sendSignedPaytrailRequest("GET", "/merchants/payment-providers", "", merchantId, secretKey);
+      const data = await response.json().catch(() => ({}));
+      return {
+        ...result,
+        valid: response.ok,
+        status: response.status,
+        ...(!response.ok && { message: data.message || `Paytrail answered ${response.status}` }),
+      };
+    } catch (error) {
+      return { ...result, valid: null, message: error instanceof Error ? error.message : String(error) };
+    }
+  };
+
+  const verifyKlarna = async () => {
+    if (!klarnaApiKey) return { configured: false, check: null };
+    let check = await checkKlarnaApiKey(klarnaApiKey, klarnaEnvironment);
+    // A key rejected by one environment may belong to the other (unless KLARNA_API_BASE_URL pins a single one)
+    if (isKlarnaAuthRejected(check) && !KLARNA_API_BASE_URL) {
+      const other = await checkKlarnaApiKey(klarnaApiKey, klarnaEnvironment === "production" ? "playground" : "production");
+      if (other.status && !isKlarnaAuthRejected(other)) check = other;
+    }
+    const accepted = check.status !== undefined && !isKlarnaAuthRejected(check);
+    return {
+      configured: true,
+      // Any answer other than 401/403 means the key authenticated
+      valid: check.error ? null : accepted && check.environment === klarnaEnvironment,
+      requestedEnvironment: klarnaEnvironment,
+      environment: accepted ? check.environment : null,
+      status: check.status ?? null,
+      correlationId: check.correlationId ?? null,
+      ...(check.error && { message: check.error }),
+      ...(accepted && check.environment !== klarnaEnvironment && {
+        message: `The key belongs to Klarna ${check.environment}, not ${klarnaEnvironment}`,
+      }),
+      ...(!check.error && !accepted && { message: `Klarna rejected the key (${check.status})` }),
+      check,
+    };
+  };
+
+  const [paytrail, { check, ...klarna }] = await Promise.all([verifyPaytrail(), verifyKlarna()]);
+  const mtlsVerificationStatus = check?.mtlsVerificationStatus ?? null;
+  const results = [paytrail, klarna].filter((result) => result.configured) as { valid?: boolean | null }[];
+
+  console.log("🔑 Credentials verified:", JSON.stringify(forLog({ paytrail, klarna })));
+  return c.json({
+    valid: results.every((result) => result.valid === true),
+    paytrail,
+    klarna,
+    mtls: {
+      configured: mtlsState.configured,
+      active: mtlsState.active,
+      // Only known when Klarna was called; VALID means the client certificate was accepted
+      verificationStatus: mtlsVerificationStatus,
+      accepted: mtlsVerificationStatus ? mtlsVerificationStatus === "VALID" : null,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// ============================================================================
+// IDEMPOTENCY
+// ============================================================================
+
+// Responses of payment-creating routes, kept so a retried request gets the original answer
+// instead of creating a second payment. In-memory only: each Vercel instance has its own cache.
+const IDEMPOTENCY_TTL_MS = 10 * 60 * 1000;
+
+interface IdempotencyEntry {
+  fingerprint: string;
+  expiresAt: number;
+  // Resolves once the first request finished; null when its result must not be replayed
+  response: Promise<{ status: number; headers: [string, string][]; body: string } | null>;
+}
+
+const idempotencyCache = new Map<string, IdempotencyEntry>();
+
+function pruneIdempotencyCache(now: number): void {
+  for (const [key, entry] of idempotencyCache) {
+    if (entry.expiresAt <= now) idempotencyCache.delete(key);
+  }
+}
+
+/**
+ * Idempotency key of a request: the caller's Idempotency-Key header, else the key derived from the body.
+ */
+function resolveIdempotencyKey(
+  c: Context,
+  derivedKey: string | null | undefined,
+): string | null {
+  return c.req.header("Idempotency-Key")?.trim() || derivedKey || null;
+}
+
+/**
+ * Route middleware that replays the stored response for a repeated idempotency key.
+ * deriveKey builds a key from the JSON body when the caller sent no Idempotency-Key header;
+ * scopeOf separates callers (e.g. per merchant) so equal keys from different accounts do not collide.
+ * Reusing a key with a different body is rejected with 409 CONFLICT. Only successful responses (and those accepted by
+ * isReplayable) are stored; failures are forgotten so a corrected request can reuse the key.
+ */
+function idempotent(
+  route: string,
+  options: {
+    deriveKey: (body: Record<string, unknown>) => string | null | undefined;
+    scopeOf?: (body: Record<string, unknown>, c: Context) => string;
+    isReplayable?: (status: number) => boolean;
+  },
+): MiddlewareHandler {
+  return async (c, next) => {
+    const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+    const key = resolveIdempotencyKey(c, body ? options.deriveKey(body) : null);
+    if (!body || !key) return next();
+
+    const scope = options.scopeOf ? options.scopeOf(body, c) : "";
+    const cacheKey = `${route}:${scope}:${key}`;
+    const fingerprint = crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+    const now = Date.now();
+    pruneIdempotencyCache(now);
+
+    const existing = idempotencyCache.get(cacheKey);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return errorResponse(c, 409, {
+          code: "CONFLICT",
+          message: `Idempotency-Key "${key}" was already used with a different request body`,
+          hint: "Send a new Idempotency-Key (or stamp / paymentRequestReference) for a different request.",
+        });
+      }
+      const stored = await existing.response;
+      if (stored) {
+        console.log(`🔁 Replaying ${route} response for idempotency key ${key}`);
+        const headers = new Headers(stored.headers);
+        headers.set("Idempotent-Replayed", "true");
+        return new Response(stored.body, { status: stored.status, headers });
+      }
+    }
+
+    let settle: (value: Awaited<IdempotencyEntry["response"]>) => void = () => {};
+    idempotencyCache.set(cacheKey, {
+      fingerprint,
+      expiresAt: now + IDEMPOTENCY_TTL_MS,
+      response: new Promise((resolve) => {
+        settle = resolve;
+      }),
+    });
+
+    try {
+      await next();
+    } catch (error) {
+      idempotencyCache.delete(cacheKey);
+      settle(null);
+      throw error;
+    }
+
+    const replayable = c.res.status < 400 ||
+      (options.isReplayable?.(c.res.status) ?? false);
+    if (!replayable) {
+      idempotencyCache.delete(cacheKey);
+      settle(null);
+      return;
+    }
+    const responseBody = await c.res.clone().text();
+    settle({
+      status: c.res.status,
+      headers: [...c.res.headers.entries()],
+      body: responseBody,
+    });
+  };
+}
+
+// Paytrail routes: stamp is unique per merchant, so it identifies a payment creation attempt
+const paytrailIdempotency: Parameters<typeof idempotent>[1] = {
+  deriveKey: (body: Record<string, unknown>) => {
+    const payment = (body.payment ?? body) as { stamp?: unknown };
+    return payment.stamp ? `stamp:${payment.stamp}` : null;
+  },
+  scopeOf: (body: Record<string, unknown>, c: Context) =>
+    resolvePaytrailCredentials(c, body.merchantId, body.secretKey).merchantId,
+};
+
+// Klarna and card token payments: a 403 step-up (stepUpUrl, threeDSecureUrl) already created the
+// transaction, so it is replayed too
+const paytrailStepUpIdempotency: Parameters<typeof idempotent>[1] = {
+  ...paytrailIdempotency,
+  isReplayable: (status) => status === 403,
+};
+
+// ============================================================================
+// TRANSACTION LEDGER
+// ============================================================================
+
+// Klarna payment requests and Paytrail transactions created through this API, with every
+// operation run against them, persisted to a JSON file so they survive reloads and restarts.
+// Entries sharing a reference (e.g. the product page's purchase reference) are linked.
+// Runtimes without a writable file system (Val Town) keep it in memory only.
+// Each entry lists its owners: the browser session that created it and the (hashed) Paytrail
+// credentials / Klarna API key it was created with. Only owners can read it.
+const LEDGER_FILE = getEnv("LEDGER_FILE") || runtime.defaultLedgerFile;
+const LEDGER_MAX_ENTRIES = 1000;
+
+type LedgerKind = "klarna_payment_request" | "paytrail_transaction";
+type LedgerOperationType = "refund" | "capture" | "commit" | "revert" | "cancel" | "update";
+
+interface LedgerOperation {
+  type: LedgerOperationType;
+  at: string;
+  ok: boolean;
+  httpStatus: number;
+  amount?: number;
+  result?: unknown;
+}
+
+interface LedgerEntry {
+  kind: LedgerKind;
+  id: string;
+  reference?: string;
+  merchantId?: string;
+  amount?: number;
+  currency?: string;
+  status: string;
+  provider?: string;
+  createdAt: string;
+  updatedAt: string;
+  operations: LedgerOperation[];
+  owners?: string[];
+  // Paytrail transactions: the merchant's secret key, sealed with the credential session key, to verify callbacks
+  secretKeySealed?: string;
+}
+
+let ledger: LedgerEntry[] | null = null;
+
+function loadLedger(): LedgerEntry[] {
+  if (ledger) return ledger;
+  if (!LEDGER_FILE) return ledger = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LEDGER_FILE, "utf8"));
+    ledger = Array.isArray(parsed.entries) ? parsed.entries : [];
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`⚠️ Could not read ledger ${LEDGER_FILE}, starting empty:`, error);
+    }
+    ledger = [];
+  }
+  return ledger!;
+}
+
+function saveLedger(): void {
+  if (!LEDGER_FILE) return;
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+    const tmpFile = `${LEDGER_FILE}.${crypto.randomUUID()}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries: loadLedger() }, null, 2));
+    fs.renameSync(tmpFile, LEDGER_FILE);
+  } catch (error) {
+    console.warn(`⚠️ Could not write ledger ${LEDGER_FILE} (kept in memory):`, error);
+  }
+}
+
+/**
+ * Owner key of a credential: Paytrail merchantId + secretKey, or a Klarna API key. Hashed, so the
+ * ledger file holds no secrets; holding the same credential later gives the same key.
+ */
+function ledgerCredentialOwner(kind: "paytrail" | "klarna", ...secret: string[]): string | null {
+  if (secret.some((part) => !part)) return null;
+  const material = kind === "klarna" ? secret[0].replace(/^Basic\s+/i, "") : secret.join(":");
+  return `${kind}:${crypto.createHash("sha256").update(material).digest("hex").slice(0, 32)}`;
+}
+
+function ledgerSessionOwner(): string | null {
+  const sessionId = backendEventContext.getStore()?.sessionId;
+  return sessionId ? `session:${sessionId}` : null;
+}
+
+function addLedgerOwners(entry: LedgerEntry, owners: (string | null | undefined)[]): void {
+  for (const owner of owners) {
+    if (!owner) continue;
+    entry.owners = entry.owners || [];
+    if (!entry.owners.includes(owner)) entry.owners.push(owner);
+  }
+}
+
+/**
+ * Owner keys of the current caller: their browser session and the credentials in their credential
+ * session or the X-Paytrail-Merchant-Id / X-Paytrail-Secret-Key / X-Klarna-Api-Key headers.
+ */
+function ledgerReaderKeys(c: Context): Set<string> {
+  const { merchantId, secretKey } = resolvePaytrailCredentials(
+    c,
+    c.req.header("X-Paytrail-Merchant-Id"),
+    c.req.header("X-Paytrail-Secret-Key"),
+  );
+  const { apiKey } = resolveKlarnaCredentials(c, c.req.header("X-Klarna-Api-Key"));
+  return new Set(
+    [
+      ledgerSessionOwner(),
+      ledgerCredentialOwner("paytrail", merchantId, secretKey),
+      ledgerCredentialOwner("klarna", apiKey),
+    ].filter((owner): owner is string => !!owner),
+  );
+}
+
+function findLedgerEntry(kind: LedgerKind, id: string): LedgerEntry | undefined {
+  return loadLedger().find((entry) => entry.kind === kind && entry.id === id);
+}
+
+/**
+ * Add a created payment request / transaction to the ledger, or refresh it if already known.
+ * The current browser session and credentialOwner (ledgerCredentialOwner) become owners of the entry.
+ */
+function ledgerRecord(
+  kind: LedgerKind,
+  id: string | undefined,
+  fields: Partial<Omit<LedgerEntry, "kind" | "id" | "operations" | "createdAt" | "updatedAt" | "owners">> & { status: string },
+  credentialOwner: string | null = null,
+): void {
+  if (!id) return;
+  const now = new Date().toISOString();
+  const entries = loadLedger();
+  const existing = findLedgerEntry(kind, id);
+  const defined = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ""),
+  );
+  const entry = existing || { kind, id, status: fields.status, createdAt: now, updatedAt: now, operations: [] };
+  Object.assign(entry, defined, { updatedAt: now });
+  addLedgerOwners(entry, [ledgerSessionOwner(), credentialOwner]);
+  if (!existing) {
+    entries.push(entry);
+    if (entries.length > LEDGER_MAX_ENTRIES) entries.shift();
+  }
+  saveLedger();
+}
+
+/**
+ * Update the status of a known entry (lookups, callbacks, webhooks). Unknown IDs are ignored.
+ */
+function ledgerUpdateStatus(kind: LedgerKind, id: string | undefined, status: string | undefined): void {
+  const entry = id ? findLedgerEntry(kind, id) : undefined;
+  if (!entry || !status || entry.status === status) return;
+  entry.status = status;
+  entry.updatedAt = new Date().toISOString();
+  saveLedger();
+}
+
+/**
+ * Record an operation (successful or not) against a known entry. Unknown IDs are ignored, so
+ * calls with made-up IDs leave nothing behind. The upstream accepting the operation shows the
+ * caller holds the entry's credentials, so on success they become an owner too.
+ */
+function ledgerRecordOperation(
+  kind: LedgerKind,
+  id: string,
+  operation: Omit<LedgerOperation, "at">,
+  credentialOwner: string | null = null,
+): void {
+  const entry = findLedgerEntry(kind, id);
+  if (!entry) return;
+  if (operation.ok) addLedgerOwners(entry, [ledgerSessionOwner(), credentialOwner]);
+  entry.operations.push({ ...operation, at: new Date().toISOString() });
+  entry.updatedAt = new Date().toISOString();
+  saveLedger();
+}
+
+// Paytrail operation routes (/api/payments/:transactionId/<suffix>) and what they do to the transaction
+const LEDGER_PAYTRAIL_OPERATIONS: Record<string, LedgerOperationType> = {
+  "refund": "refund",
+  "activate-invoice": "capture",
+  "klarna/commit": "commit",
+  "token/commit": "commit",
+  "klarna/revert": "revert",
+  "token/revert": "revert",
+  "cancel-order": "cancel",
+};
+
+/**
+ * Record the outcome of a Paytrail operation route against its transaction.
+ */
+const ledgerPaytrailOperations: MiddlewareHandler = async (c, next) => {
+  const transactionId = c.req.param("transactionId")?.trim();
+  const suffix = c.req.path.split("/").slice(4).join("/");
+  const type = LEDGER_PAYTRAIL_OPERATIONS[suffix];
+  if (c.req.method !== "POST" || !transactionId || !type) return next();
+
+  const body = await c.req.json().catch(() => ({})) as { amount?: unknown; merchantId?: unknown; secretKey?: unknown };
+  await next();
+  const result = await c.res.clone().json().catch(() => undefined);
+  const { merchantId, secretKey } = resolvePaytrailCredentials(c, body.merchantId, body.secretKey);
+  ledgerRecordOperation("paytrail_transaction", transactionId, {
+    type,
+    ok: c.res.ok,
+    httpStatus: c.res.status,
+    ...(typeof body.amount === "number" && { amount: body.amount }),
+    ...(result !== undefined && { result }),
+  }, ledgerCredentialOwner("paytrail", merchantId, secretKey));
+};
+
+app.use("/api/payments/:transactionId/*", ledgerPaytrailOperations);
+
+// GET /api/transactions – The caller's ledger entries, newest first (?reference=, ?kind=, ?id=, ?limit= filter)
+// Only entries owned by the caller's browser session or credentials (session, or X-Paytrail-* / X-Klarna-Api-Key
+// headers) are listed. Each entry lists the caller's other entries sharing its reference under linked.
+app.get("/api/transactions", (c) => {
+  const reference = c.req.query("reference")?.trim();
+  const kind = c.req.query("kind")?.trim();
+  const id = c.req.query("id")?.trim();
+  const limit = Math.min(Number(c.req.query("limit")) || 100, LEDGER_MAX_ENTRIES);
+
+  const readerKeys = ledgerReaderKeys(c);
+  const entries = loadLedger().filter((entry) => entry.owners?.some((owner) => readerKeys.has(owner)));
+  const transactions = entries
+    .filter((entry) =>
+      (!reference || entry.reference === reference) &&
+      (!kind || entry.kind === kind) &&
+      (!id || entry.id === id)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ owners: _owners, secretKeySealed: _secretKeySealed, ...entry }) => ({
+      ...entry,
+      linked: entry.reference
+        ? entries
+          .filter((other) => other.id !== entry.id && other.reference === entry.reference)
+          .map((other) => ({ kind: other.kind, id: other.id, status: other.status }))
+        : [],
+    }));
+
+  return c.json({ total: entries.length, transactions });
+});
+
+// ============================================================================
+// HEALTH DIAGNOSTICS
+// ============================================================================
+
+// Environment variables reported by /api/health (presence only, never values)
+const DIAGNOSTIC_ENV_VARS = [
+  "AP_CLIENT_ID",
+  "AP_API_KEY",
+  "PARTNER_ACCOUNT_ID",
+  "SP_CLIENT_ID",
+  "SP_API_KEY",
+  "KLARNA_API_BASE_URL",
+  "MTLS_CERT",
+  "MTLS_KEY",
+  "KLARNA_CUSTOMER_TOKENS",
+  "PAYTRAIL_API_URL",
+  "PAYTRAIL_MERCHANT_ID",
+  "PAYTRAIL_SECRET_KEY",
+  "PAYTRAIL_MERCHANTS",
+  "LEDGER_FILE",
+  "KLARNA_WEBHOOK_SIGNING_KEY",
+  "UPSTREAM_TIMEOUT_MS",
+  "UPSTREAM_MAX_RETRIES",
+  "CREDENTIAL_SESSION_SECRET",
+  "LOG_REVEAL_SECRETS",
+] as const;
+
+const AUTH_MODE_ENV_VARS: Record<AuthMode, string[]> = {
+  ACQUIRING_PARTNER: ["AP_CLIENT_ID", "AP_API_KEY", "PARTNER_ACCOUNT_ID"],
+  SUB_PARTNER: ["SP_CLIENT_ID", "SP_API_KEY"],
+};
+
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+const MTLS_EXPIRY_WARNING_DAYS = 30;
+// Paytrail rejects a checkout-timestamp too far from its own clock (the stand-in allows 5 minutes)
+const CLOCK_SKEW_ERROR_MS = 5 * 60 * 1000;
+const CLOCK_SKEW_WARNING_MS = 30 * 1000;
+
+interface HealthIssue {
+  severity: "error" | "warning";
+  area: string;
+  message: string;
+}
+
+interface UpstreamProbe {
+  name: string;
+  url: string;
+  reachable: boolean;
+  status?: number;
+  latencyMs: number;
+  serverDate?: string | null;
+  // Local clock minus the upstream's Date header (1 s resolution); positive means this server is ahead
+  clockSkewMs?: number | null;
+  error?: string;
+}
+
+/**
+ * Configuration completeness: env vars, auth modes, customer tokens and the mTLS certificate.
+ * Cheap and local, so it is part of every /api/health response.
+ */
+function diagnoseConfiguration(issues: HealthIssue[]) {
+  const env = Object.fromEntries(DIAGNOSTIC_ENV_VARS.map((name) => [name, !!getEnv(name)]));
+
+  const authModes = Object.fromEntries(
+    (Object.keys(AUTH_MODE_ENV_VARS) as AuthMode[]).map((mode) => {
+      const missing = AUTH_MODE_ENV_VARS[mode].filter((name) => !getEnv(name));
+      const configured = missing.length === 0;
+      if (!configured && missing.length < AUTH_MODE_ENV_VARS[mode].length) {
+        issues.push({ severity: "warning", area: "klarna", message: `${mode} is partly configured; missing ${missing.join(", ")}` });
+      }
+      return [mode, { configured, missing }];
+    }),
+  );
+  if (!hasAcquiringPartnerConfig && !hasSubPartnerConfig) {
+    issues.push({
+      severity: "error",
+      area: "klarna",
+      message: "No Klarna auth mode configured: set AP_CLIENT_ID/AP_API_KEY/PARTNER_ACCOUNT_ID or SP_CLIENT_ID/SP_API_KEY",
+    });
+  }
+
+  if (customerTokensError) {
+    issues.push({ severity: "warning", area: "customerTokens", message: customerTokensError });
+  }
+
+  if (!!MTLS_CERT_B64 !== !!MTLS_KEY_B64) {
+    issues.push({ severity: "warning", area: "mtls", message: "Only one of MTLS_CERT and MTLS_KEY is set; mTLS is off" });
+  }
+  let daysUntilExpiry: number | null = null;
+  let notYetValid = false;
+  if (mtlsState.certificate) {
+    daysUntilExpiry = Math.floor((Date.parse(mtlsState.certificate.validTo) - Date.now()) / 86400000);
+    notYetValid = Date.parse(mtlsState.certificate.validFrom) > Date.now();
+    if (daysUntilExpiry < 0) {
+      issues.push({ severity: "error", area: "mtls", message: `Client certificate expired on ${mtlsState.certificate.validTo}` });
+    } else if (daysUntilExpiry < MTLS_EXPIRY_WARNING_DAYS) {
+      issues.push({ severity: "warning", area: "mtls", message: `Client certificate expires in ${daysUntilExpiry} days` });
+    }
+    if (notYetValid) {
+      issues.push({ severity: "error", area: "mtls", message: `Client certificate is not valid before ${mtlsState.certificate.validFrom}` });
+    }
+  }
+  if (mtlsState.error) issues.push({ severity: "error", area: "mtls", message: mtlsState.error });
+
+  if (runtime.name !== "node" && !CREDENTIAL_SESSION_SECRET) {
+    issues.push({
+      severity: "warning",
+      area: "credentials",
+      message: "CREDENTIAL_SESSION_SECRET is not set, so credential sessions only work on the instance that created them",
+    });
+  }
+
+  return {
+    env,
+    authModes,
+    customerTokens: {
+      present: !!KLARNA_CUSTOMER_TOKENS_RAW,
+      parsed: !!KLARNA_CUSTOMER_TOKENS_RAW && !customerTokensError,
+      countries: CONFIGURED_TOKEN_COUNTRIES,
+      error: customerTokensError,
+    },
+    mtlsCertificate: { daysUntilExpiry, notYetValid },
+  };
+}
+
+// Any HTTP answer counts as reachable; no credentials are sent
+async function probeUpstream(name: string, url: string): Promise<UpstreamProbe> {
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(url, { method: "GET", signal: AbortSignal.timeout(HEALTH_PROBE_TIMEOUT_MS) });
+    const finishedAt = Date.now();
+    await response.text().catch(() => "");
+    const serverDate = response.headers.get("date");
+    const serverTime = serverDate ? Date.parse(serverDate) : NaN;
+    return {
+      name,
+      url,
+      reachable: true,
+      status: response.status,
+      latencyMs: finishedAt - startedAt,
+      serverDate,
+      // Compared with the middle of the round trip, when the upstream most likely stamped the response
+      clockSkewMs: isNaN(serverTime) ? null : Math.round((startedAt + finishedAt) / 2 - serverTime),
+    };
+  } catch (error) {
+    return {
+      name,
+      url,
+      reachable: false,
+      latencyMs: Date.now() - startedAt,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * Reachability of the Klarna and Paytrail base URLs and this server's clock skew against them
+ */
+async function diagnoseUpstreams(issues: HealthIssue[]) {
+  const targets: [string, string][] = [["Paytrail", PAYTRAIL_API_URL]];
+  if (KLARNA_API_BASE_URL) {
+    targets.push(["Klarna (KLARNA_API_BASE_URL)", KLARNA_API_BASE_URL]);
+  } else {
+    targets.push(["Klarna playground", KLARNA_BASE_PLAYGROUND], ["Klarna production", KLARNA_BASE_PRODUCTION]);
+  }
+  const upstreams = await Promise.all(targets.map(([name, url]) => probeUpstream(name, url)));
+
+  for (const upstream of upstreams) {
+    if (!upstream.reachable) {
+      issues.push({ severity: "error", area: "upstreams", message: `${upstream.name} (${upstream.url}) is unreachable: ${upstream.error}` });
+    }
+  }
+
+  // The upstream with the largest offset decides; Paytrail's is the one that breaks signatures
+  const skews = upstreams.filter((u) => typeof u.clockSkewMs === "number");
+  const worst = skews.reduce<UpstreamProbe | null>(
+    (max, u) => !max || Math.abs(u.clockSkewMs!) > Math.abs(max.clockSkewMs!) ? u : max,
+    null,
+  );
+  const skewMs = worst ? worst.clockSkewMs! : null;
+  if (skewMs !== null && Math.abs(skewMs) > CLOCK_SKEW_WARNING_MS) {
+    issues.push({
+      severity: Math.abs(skewMs) > CLOCK_SKEW_ERROR_MS ? "error" : "warning",
+      area: "clock",
+      message: `Server clock is ${Math.round(Math.abs(skewMs) / 1000)} s ${skewMs > 0 ? "ahead of" : "behind"} ${worst!.name}; ` +
+        "Paytrail rejects requests whose checkout-timestamp is too far off",
+    });
+  }
+
+  return {
+    upstreams,
+    clock: {
+      serverTime: new Date().toISOString(),
+      skewMs,
+      measuredAgainst: worst?.name ?? null,
+      resolutionMs: 1000,
+    },
+  };
+}
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+// Health check endpoint
+// GET /api/health – configuration diagnostics (env vars present, auth modes, customer tokens, mTLS certificate);
+// add ?deep=true to also check that the upstream base URLs answer and measure clock skew against them,
+// and ?probe=true to call Klarna and read a fresh klarna-mtls-verification-status
+app.get("/api/health", async (c) => {
+  const deep = c.req.query("deep") === "true";
+  let probe: { status?: number; mtlsVerificationStatus?: string | null; error?: string } | null = null;
+  if (c.req.query("probe") === "true" && mtlsState.configured) {
+    const klarnaEnvironment = c.req.query("klarna_environment");
+    const auth = getAuthConfig(defaultAuthMode);
+    try {
+      const probeResponse = await fetchWithMtls(
+        `${getKlarnaBaseUrl(klarnaEnvironment)}/v2/payment/presentation?currency=EUR`,
+        {
+          method: "GET",
+          headers: auth ? { "Authorization": `Basic ${auth.apiKey}` } : {},
+        },
+      );
+      probe = {
+        status: probeResponse.status,
+        mtlsVerificationStatus:
+          probeResponse.headers.get("klarna-mtls-verification-status"),
+      };
+    } catch (error) {
+      probe = { error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  const issues: HealthIssue[] = [];
+  const { mtlsCertificate, ...configuration } = diagnoseConfiguration(issues);
+  const connectivity = deep ? await diagnoseUpstreams(issues) : null;
+
+  return c.json({
+    status: issues.some((issue) => issue.severity === "error")
+      ? "error"
+      : issues.length ? "degraded" : "ok",
+    timestamp: new Date().toISOString(),
+    runtime: runtime.name,
+    // null when neither Klarna auth mode is configured
+    authMode: hasAcquiringPartnerConfig || hasSubPartnerConfig ? defaultAuthMode : null,
+    issues,
+    configuration,
+    mtls: {
+      configured: mtlsState.configured,
+      active: mtlsState.active,
+      certificate: mtlsState.certificate && { ...mtlsState.certificate, ...mtlsCertificate },
+      error: mtlsState.error,
+      "klarna-mtls-verification-status": probe?.mtlsVerificationStatus ??
+        lastMtlsVerification?.status ?? null,
+      lastVerification: lastMtlsVerification,
+      ...(probe && { probe }),
+    },
+    ...connectivity,
+  });
+});
+
+// SDK configuration endpoint - provides client IDs of the configured auth modes to frontend
+app.get("/api/config", (c) => {
+  const availableModes: {
+    mode: AuthMode;
+    clientId: string;
+    partnerAccountId?: string;
+  }[] = [];
+
+  const apConfig = getAuthConfig("ACQUIRING_PARTNER");
+  if (apConfig) {
+    availableModes.push({
+      mode: "ACQUIRING_PARTNER",
+      clientId: apConfig.clientId,
+      partnerAccountId: apConfig.partnerAccountId || undefined,
+    });
+  }
+
+  const spConfig = getAuthConfig("SUB_PARTNER");
+  if (spConfig) {
+    availableModes.push({
+      mode: "SUB_PARTNER",
+      clientId: spConfig.clientId,
+    });
+  }
+
+  if (availableModes.length === 0) {
+    return errorResponse(c, 500, {
+      code: "NOT_CONFIGURED",
+      message:
+        "No authentication modes configured. Please set either AP_CLIENT_ID/AP_API_KEY/PARTNER_ACCOUNT_ID for Acquiring Partner mode, or SP_CLIENT_ID/SP_API_KEY for Sub Partner mode.",
+    });
+  }
+
+  // Acquiring Partner is listed first, so it is the default when both are available
+  const defaultMode = availableModes[0];
+
+  return c.json({
+    // Available authentication modes
+    availableModes,
+    defaultMode: defaultMode.mode,
+    // Legacy fields for backward compatibility
+    clientId: defaultMode.clientId,
+    ...(defaultMode.partnerAccountId &&
+      { partnerAccountId: defaultMode.partnerAccountId }),
+    authMode: defaultMode.mode,
+    mtlsEnabled: mtlsState.active,
+    // Customer token configuration - returns list of countries with tokens
+    customerTokenConfigured: hasAnyCustomerToken,
+    customerTokenCountries: CONFIGURED_TOKEN_COUNTRIES,
+  });
+});
+
+// Generate Identity SDK Token endpoint (for tokenized payments)
+app.post("/api/identity/sdk-tokens", async (c) => {
+  try {
+    const body = await c.req.json();
+    const { country, klarnaEnvironment, authMode: requestedAuthMode } = body;
+
+    let auth: AuthConfig;
+    try {
+      auth = resolveAuthConfig(requestedAuthMode);
+    } catch (error) {
+      return errorResponse(c, 500, {
+        code: "NOT_CONFIGURED",
+        message: "Server configuration error: No authentication configured",
+      });
+    }
+
+    const customerToken = country ? getCustomerTokenForCountry(country) : null;
+
+    // Acquiring Partner: /v2/accounts/{accountId}/identity/sdk-tokens
+    const apiPath = auth.isAcquiringPartner
+      ? `/v2/accounts/${auth.partnerAccountId}/identity/sdk-tokens`
+      : `/v2/identity/sdk-tokens`;
+    const klarnaBaseUrl = getKlarnaBaseUrl(klarnaEnvironment);
+    const requestUrl = `${klarnaBaseUrl}${apiPath}`;
+
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${auth.apiKey}`,
+      "Content-Type": "application/json",
+    };
+
+    if (customerToken) {
+      headers["Klarna-Customer-Token"] = customerToken;
+    }
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify({}),
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: authModeOf(auth),
+      method: "POST",
+      klarnaCustomerToken: customerToken,
+      requestBody: {},
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "SDK token generation failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    return c.json({
+      status: "OK",
+      sdkToken: klarnaData.sdk_token,
+      expiresAt: klarnaData.expires_at,
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  } catch (error) {
+    console.error("Identity SDK Token error:", error);
+    return thrownErrorResponse(c, error, "Identity SDK Token failed");
+  }
+});
+
+// Customer journeys that can be started with an interoperability test token
+const INTEROPERABILITY_CUSTOMER_JOURNEYS = [
+  "KLARNA_EXPRESS_CHECKOUT",
+  "SIGN_IN_WITH_KLARNA",
+  "KLARNA_PRE_QUALIFICATION",
+  "KLARNA_ACCOUNT_LINKING",
+];
+// Region of the test customer behind KLARNA_CUSTOMER_TOKENS
+const INTEROPERABILITY_CUSTOMER_REGION = "krn:test:us1:test";
+
+/**
+ * Resolve Acquiring Partner credentials for the interoperability routes, or the error response to send.
+ */
+function resolveInteroperabilityAuth(
+  c: Context,
+  requestedAuthMode: string | undefined,
+): AuthConfig | Response {
+  let auth: AuthConfig;
+  try {
+    auth = resolveAuthConfig(requestedAuthMode);
+  } catch (error) {
+    return errorResponse(c, 500, {
+      code: "NOT_CONFIGURED",
+      message: "Server configuration error: No authentication configured",
+    });
+  }
+  if (!auth.isAcquiringPartner) {
+    return errorResponse(c, 400, {
+      code: "BAD_REQUEST",
+      message: "Interoperability flows are only available for Acquiring Partners",
+    });
+  }
+  if (!auth.partnerAccountId) {
+    return errorResponse(c, 500, {
+      code: "NOT_CONFIGURED",
+      message: "Server configuration error: PARTNER_ACCOUNT_ID not set (required for interoperability)",
+    });
+  }
+  return auth;
+}
+
+// POST /api/interoperability/test-tokens – test token for an interoperability customer journey (Acquiring Partner only)
+// (body: { customerJourney, country, authMode, klarnaEnvironment })
+app.post("/api/interoperability/test-tokens", async (c) => {
+  try {
+    const body = await c.req.json();
+    const {
+      customerJourney,
+      country,
+      klarnaEnvironment,
+      authMode: requestedAuthMode,
+    } = body;
+
+    const auth = resolveInteroperabilityAuth(c, requestedAuthMode);
+    if (auth instanceof Response) return auth;
+
+    if (!customerJourney) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing required field: customerJourney",
+      });
+    }
+    if (!INTEROPERABILITY_CUSTOMER_JOURNEYS.includes(customerJourney)) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: `Invalid customerJourney. Must be one of: ${
+          INTEROPERABILITY_CUSTOMER_JOURNEYS.join(", ")
+        }`,
+      });
+    }
+
+    // Test tokens are issued for a known customer, identified by the country's customer token
+    const customerToken = country ? getCustomerTokenForCountry(country) : null;
+    if (!customerToken) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: `No customer token configured for country: ${country}`,
+      });
+    }
+
+    const requestUrl = `${getKlarnaBaseUrl(klarnaEnvironment)}/v2/accounts/${auth.partnerAccountId}/interoperability/test-tokens`;
+    const requestBody = {
+      customer_journey: customerJourney,
+    };
+
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${auth.apiKey}`,
+      "Content-Type": "application/json",
+      "Klarna-Customer-Token": customerToken,
+      "Klarna-Customer-Region": INTEROPERABILITY_CUSTOMER_REGION,
+    };
+
+    console.log("🔄 Interoperability test token: journey=" + customerJourney + ", country=" + country);
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify(requestBody),
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: authModeOf(auth),
+      method: "POST",
+      klarnaCustomerToken: customerToken,
+      klarnaCustomerRegion: INTEROPERABILITY_CUSTOMER_REGION,
+      requestBody,
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "Interoperability test token generation failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    return c.json({
+      status: "OK",
+      interoperabilityToken: klarnaData.interoperability_token,
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  } catch (error) {
+    console.error("Interoperability test token error:", error);
+    return thrownErrorResponse(c, error, "Interoperability test token failed");
+  }
+});
+
+// POST /api/interoperability/sdk-tokens – exchange an interoperability token for an SDK token (Acquiring Partner only)
+// (body: { interoperabilityToken, authMode, klarnaEnvironment })
+app.post("/api/interoperability/sdk-tokens", async (c) => {
+  try {
+    const body = await c.req.json();
+    const {
+      interoperabilityToken,
+      klarnaEnvironment,
+      authMode: requestedAuthMode,
+    } = body;
+
+    const auth = resolveInteroperabilityAuth(c, requestedAuthMode);
+    if (auth instanceof Response) return auth;
+
+    if (!interoperabilityToken) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing required field: interoperabilityToken",
+      });
+    }
+
+    const requestUrl = `${getKlarnaBaseUrl(klarnaEnvironment)}/v2/accounts/${auth.partnerAccountId}/interoperability/sdk-tokens`;
+
+    // The interoperability token travels as a header; the request has no body
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${auth.apiKey}`,
+      "Content-Type": "application/json",
+      "Klarna-Interoperability-Token": interoperabilityToken,
+    };
+
+    console.log("🔄 Interoperability SDK token exchange");
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "POST",
+        headers,
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: authModeOf(auth),
+      method: "POST",
+      klarnaInteroperabilityToken: interoperabilityToken,
+      requestBody: {},
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "Interoperability SDK token generation failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    return c.json({
+      status: "OK",
+      sdkToken: klarnaData.sdk_token,
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  } catch (error) {
+    console.error("Interoperability SDK token error:", error);
+    return thrownErrorResponse(c, error, "Interoperability SDK token failed");
+  }
+});
+
+// Payment Presentation API endpoint (GET with query params)
+app.get("/api/presentation", async (c) => {
+  try {
+    const currency = c.req.query("currency");
+    const locale = c.req.query("locale");
+    const amount = c.req.query("amount");
+    const intents = c.req.query("intents");
+    const subscriptionBillingInterval = c.req.query(
+      "subscription_billing_interval",
+    );
+    const subscriptionBillingIntervalFrequency = c.req.query(
+      "subscription_billing_interval_frequency",
+    );
+    const includeCustomerToken =
+      c.req.query("include_customer_token") === "true";
+    const country = c.req.query("country");
+    const klarnaEnvironment = c.req.query("klarna_environment");
+    const requestedAuthMode = c.req.query("auth_mode");
+
+    if (!currency) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing required query parameter: currency",
+      });
+    }
+
+    let auth: AuthConfig;
+    try {
+      auth = resolveAuthConfig(requestedAuthMode);
+    } catch (error) {
+      return errorResponse(c, 500, {
+        code: "NOT_CONFIGURED",
+        message: "Server configuration error: No authentication configured",
+      });
+    }
+
+    const queryParams = new URLSearchParams();
+    queryParams.append("currency", currency);
+    if (locale) queryParams.append("locale", locale);
+    if (amount) queryParams.append("amount", amount);
+    if (intents) {
+      const intentList = intents.split(",");
+      intentList.forEach((intent) =>
+        queryParams.append("intents[]", intent.trim())
+      );
+    }
+    if (subscriptionBillingInterval) {
+      queryParams.append(
+        "subscription_billing_interval",
+        subscriptionBillingInterval,
+      );
+    }
+    if (subscriptionBillingIntervalFrequency) {
+      queryParams.append(
+        "subscription_billing_interval_frequency",
+        subscriptionBillingIntervalFrequency,
+      );
+    }
+
+    // Acquiring Partner: /v2/accounts/{accountId}/payment/presentation
+    const apiPath = auth.isAcquiringPartner
+      ? `/v2/accounts/${auth.partnerAccountId}/payment/presentation`
+      : `/v2/payment/presentation`;
+    const klarnaBaseUrl = getKlarnaBaseUrl(klarnaEnvironment);
+    const requestUrl =
+      `${klarnaBaseUrl}${apiPath}?${queryParams.toString()}`;
+
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${auth.apiKey}`,
+    };
+
+    const customerToken = includeCustomerToken && country
+      ? getCustomerTokenForCountry(country)
+      : null;
+    if (customerToken) {
+      headers["Klarna-Customer-Token"] = customerToken;
+    }
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "GET",
+        headers,
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: authModeOf(auth),
+      method: "GET",
+      queryParams: Object.fromEntries(queryParams.entries()),
+      klarnaCustomerToken: customerToken,
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "Presentation API failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    return c.json({
+      status: "OK",
+      presentation: klarnaData,
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  } catch (error) {
+    console.error("Presentation API error:", error);
+    return thrownErrorResponse(c, error, "Presentation API failed");
+  }
+});
+
+// Payment Request endpoint (for SUB_PARTNER mode)
+// Klarna docs: "The API key should be included in the Authorization header in the following format:
+//   Authorization: Basic <API key>
+// The API key can be in its raw form or base64-encoded."
+// https://docs.klarna.com/klarna-network-distribution/setup-your-integration/connection-configuration/manage-your-api-credentials/
+// Retries with the same Idempotency-Key header (or the same paymentRequestReference) replay the first response.
+app.post("/api/payment-request", idempotent("payment-request", {
+  deriveKey: (body) => {
+    const reference = (body.paymentRequestData as { paymentRequestReference?: string } | undefined)
+      ?.paymentRequestReference;
+    return reference ? `ref:${reference}` : null;
+  },
+  // The Klarna account the request is sent for (body, session or env), hashed so the key is not kept
+  scopeOf: (body, c) => {
+    const { apiKey, klarnaEnvironment } = resolveKlarnaCredentials(c, body.klarnaApiKey, body.klarnaEnvironment);
+    return crypto.createHash("sha256")
+      .update(`${klarnaEnvironment || ""}:${apiKey.replace(/^Basic\s+/i, "")}`)
+      .digest("hex");
+  },
+}), async (c) => {
+  try {
+    const body = await c.req.json();
+    const {
+      klarnaClientId,
+      klarnaApiKey,
+      klarnaNetworkSessionToken,
+      paymentOptionId,
+      paymentRequestData,
+      returnUrl,
+      appReturnUrl,
+      includeCustomerToken,
+      country,
+    } = body;
+
+    const { apiKey: apiKeyRaw, klarnaEnvironment } = resolveKlarnaCredentials(
+      c,
+      klarnaApiKey,
+      body.klarnaEnvironment,
+    );
+    if (!apiKeyRaw) {
+      return errorResponse(c, 400, {
+        code: "CREDENTIALS_REQUIRED",
+        message: "Klarna API Key is required for server-side REST API calls. Use the API key from the Klarna Partner Portal (raw or base64-encoded). Set it in the Paytrail credentials section on the website.",
+        source: "klarna",
+      });
+    }
+    // Use API key as-is: raw form or base64-encoded per Klarna docs. Strip "Basic " if user pasted full header.
+    const basicAuth = apiKeyRaw.replace(/^Basic\s+/i, "");
+
+    if (!paymentRequestData) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing required field: paymentRequestData is required",
+      });
+    }
+
+    const intents = paymentRequestData.intents as string[] | undefined;
+    const isOnlyAddToWallet = intents && intents.length === 1 &&
+      intents[0] === "ADD_TO_WALLET";
+
+    const resolvedPaymentOptionId = paymentOptionId ||
+      paymentRequestData.paymentOptionId;
+
+    // paymentOptionId is optional when using Klarna.Payment.button() directly
+    // Only include it in the payment request if it's provided
+    const paymentRequest: Record<string, unknown> = {
+      currency: paymentRequestData.currency,
+      payment_request_reference: paymentRequestData.paymentRequestReference ||
+        `req_${Date.now()}`,
+      customer_interaction_config: {
+        method: "HANDOVER",
+        return_url: returnUrl ||
+          `${new URL(c.req.url).origin}/payment-complete`,
+        ...(appReturnUrl && { app_return_url: appReturnUrl }),
+      },
+    };
+    
+    // Only include payment_option_id if it was provided
+    if (resolvedPaymentOptionId) {
+      paymentRequest.payment_option_id = resolvedPaymentOptionId;
+    }
+
+    if (!isOnlyAddToWallet) {
+      paymentRequest.amount = paymentRequestData.amount;
+    }
+
+    if (paymentRequestData.supplementaryPurchaseData) {
+      paymentRequest.supplementary_purchase_data =
+        transformSupplementaryPurchaseData(
+          paymentRequestData.supplementaryPurchaseData,
+        );
+    }
+
+    if (paymentRequestData.requestCustomerToken) {
+      paymentRequest.request_customer_token = {
+        scopes: paymentRequestData.requestCustomerToken.scopes,
+        customer_token_reference:
+          paymentRequestData.requestCustomerToken.customerTokenReference,
+      };
+    }
+
+    const klarnaBaseUrl = getKlarnaBaseUrl(klarnaEnvironment);
+    const requestUrl = `${klarnaBaseUrl}/v2/payment/requests`;
+    console.log("🔄 Payment request: Klarna env=" + (klarnaEnvironment || "playground") + ", baseUrl=" + klarnaBaseUrl);
+
+    // Idempotency key: caller's Idempotency-Key header, else derived from payment_request_reference,
+    // so a retried request reaches Klarna with the same key. Random only when neither is available.
+    const idempotencyKey = resolveIdempotencyKey(
+      c,
+      paymentRequestData.paymentRequestReference
+        ? `ref:${paymentRequestData.paymentRequestReference}`
+        : null,
+    ) || `idemp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${basicAuth}`,
+      "Content-Type": "application/json",
+      "Idempotency-Key": idempotencyKey,
+    };
+    if (klarnaNetworkSessionToken) {
+      headers["Klarna-Network-Session-Token"] = klarnaNetworkSessionToken;
+    }
+    const customerToken = includeCustomerToken && country
+      ? getCustomerTokenForCountry(country)
+      : null;
+    if (customerToken) {
+      headers["Klarna-Customer-Token"] = customerToken;
+    }
+    
+    console.log("🔄 Payment Request with idempotency key:", idempotencyKey);
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify(paymentRequest),
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: "SUB_PARTNER",
+      method: "POST",
+      klarnaNetworkSessionToken: klarnaNetworkSessionToken || null,
+      klarnaCustomerToken: customerToken,
+      requestBody: paymentRequest,
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      const message = klarnaData.error_message || "Payment request creation failed";
+      console.warn("Klarna payment request failed: status=" + klarnaResponse.status + ", env=" + (klarnaEnvironment || "playground") + ", message=" + message);
+      console.warn("Klarna response body:", JSON.stringify(forLog(klarnaData), null, 2));
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "Payment request creation failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    const paymentRequestState = klarnaData.state;
+    ledgerRecord("klarna_payment_request", klarnaData.payment_request_id ||
+      klarnaData.state_context?.customer_interaction?.payment_request_id, {
+      reference: klarnaData.payment_request_reference,
+      amount: klarnaData.amount,
+      currency: klarnaData.currency,
+      status: paymentRequestState,
+    }, ledgerCredentialOwner("klarna", apiKeyRaw));
+
+    if (paymentRequestState === "COMPLETED") {
+      const paymentRequestId = klarnaData.payment_request_id;
+      console.log("✅ Payment Request ID (COMPLETED):", paymentRequestId);
+      const returnUrlFromResponse =
+        klarnaData.customer_interaction_config?.return_url || returnUrl ||
+        "/payment-complete";
+      return c.json({
+        status: "COMPLETED",
+        paymentRequestId: paymentRequestId,
+        successUrl: returnUrlFromResponse,
+        expiresAt: klarnaData.expires_at,
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    const paymentRequestId = klarnaData.state_context?.customer_interaction
+      ?.payment_request_id;
+    const paymentRequestUrl = klarnaData.state_context?.customer_interaction
+      ?.payment_request_url;
+    
+    console.log("✅ Payment Request ID (CREATED):", paymentRequestId);
+
+    return c.json({
+      status: "CREATED",
+      paymentRequestId,
+      paymentRequestUrl,
+      expiresAt: klarnaData.expires_at,
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  } catch (error) {
+    console.error("Payment request error:", error);
+    return thrownErrorResponse(c, error, "Payment request failed");
+  }
+});
+
+// Payment request lifecycle (SUB_PARTNER mode): read, cancel and update a payment request after creation.
+// Same credentials as /api/payment-request: the credential session, else klarnaApiKey / klarnaEnvironment
+// in the body, or for the GET the X-Klarna-Api-Key header and klarna_environment query parameter.
+// /api/payment-request only creates payment requests with a Sub Partner API key, so a request for
+// ACQUIRING_PARTNER mode (authMode in the body, auth_mode for the GET) is rejected, not sent elsewhere.
+async function forwardPaymentRequestCall(
+  c: Context,
+  options: {
+    paymentRequestId: string;
+    apiKey: unknown;
+    klarnaEnvironment: string | undefined;
+    authMode: unknown;
+    method: "GET" | "POST" | "PATCH";
+    action?: string;
+    body?: Record<string, unknown>;
+    idempotencyKey?: string | null;
+  },
+): Promise<Response> {
+  if (typeof options.authMode === "string" && options.authMode.toUpperCase() === "ACQUIRING_PARTNER") {
+    return errorResponse(c, 400, {
+      code: "BAD_REQUEST",
+      message: "Payment requests can only be read, cancelled and updated in SUB_PARTNER mode",
+      hint: "Payment requests are created with a Sub Partner API key; omit authMode or send SUB_PARTNER.",
+    });
+  }
+  const { apiKey: apiKeyRaw, klarnaEnvironment } = resolveKlarnaCredentials(
+    c,
+    options.apiKey,
+    options.klarnaEnvironment,
+  );
+  if (!apiKeyRaw) {
+    return errorResponse(c, 400, {
+      code: "CREDENTIALS_REQUIRED",
+      message: "Klarna API Key is required for server-side REST API calls. Set it in the Paytrail credentials section on the website.",
+      source: "klarna",
+    });
+  }
+  const basicAuth = apiKeyRaw.replace(/^Basic\s+/i, "");
+
+  const requestUrl = `${getKlarnaBaseUrl(klarnaEnvironment)}/v2/payment/requests/${
+    encodeURIComponent(options.paymentRequestId)
+  }${options.action || ""}`;
+  const headers: Record<string, string> = {
+    "Authorization": `Basic ${basicAuth}`,
+  };
+  if (options.body) {
+    headers["Content-Type"] = "application/json";
+  }
+  if (options.idempotencyKey) {
+    headers["Idempotency-Key"] = options.idempotencyKey;
+  }
+
+  const klarnaResponse = await fetchWithMtls(requestUrl, {
+    method: options.method,
+    headers,
+    ...(options.body && { body: JSON.stringify(options.body) }),
+  });
+
+  const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+  const requestMeta = {
+    url: requestUrl,
+    authMode: "SUB_PARTNER",
+    method: options.method,
+    ...(options.body && { requestBody: options.body }),
+  };
+  const responseMeta = {
+    correlationId: klarnaResponse.headers.get("klarna-correlation-id") || null,
+    mtlsVerificationStatus:
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null,
+    responseBody: klarnaData,
+    attempts: getUpstreamAttempts(klarnaResponse),
+  };
+
+  if (options.method !== "GET") {
+    ledgerRecordOperation("klarna_payment_request", options.paymentRequestId, {
+      type: options.action === "/cancel" ? "cancel" : "update",
+      ok: klarnaResponse.ok,
+      httpStatus: klarnaResponse.status,
+      ...(typeof options.body?.amount === "number" && { amount: options.body.amount }),
+    }, ledgerCredentialOwner("klarna", apiKeyRaw));
+  }
+
+  if (!klarnaResponse.ok) {
+    const message = klarnaData.error_message ||
+      `Payment request ${options.method === "GET" ? "lookup" : "update"} failed`;
+    console.warn(
+      `Klarna ${options.method} payment request ${options.paymentRequestId}${options.action || ""} failed: status=${klarnaResponse.status}, message=${message}`,
+    );
+    return klarnaErrorResponse(c, klarnaResponse, klarnaData, message, {
+      _request: requestMeta,
+      _response: responseMeta,
+    });
+  }
+
+  ledgerUpdateStatus("klarna_payment_request", options.paymentRequestId, klarnaData.state);
+
+  return c.json({
+    status: "OK",
+    paymentRequestId: klarnaData.payment_request_id || options.paymentRequestId,
+    state: klarnaData.state,
+    expiresAt: klarnaData.expires_at,
+    paymentRequest: klarnaData,
+    _request: requestMeta,
+    _response: responseMeta,
+  });
+}
+
+// GET /api/payment-request/:id – Current state and expiry of a payment request
+app.get("/api/payment-request/:id", async (c) => {
+  try {
+    return await forwardPaymentRequestCall(c, {
+      paymentRequestId: c.req.param("id"),
+      apiKey: c.req.header("X-Klarna-Api-Key"),
+      klarnaEnvironment: c.req.query("klarna_environment"),
+      authMode: c.req.query("auth_mode"),
+      method: "GET",
+    });
+  } catch (error) {
+    console.error("Payment request lookup error:", error);
+    return thrownErrorResponse(c, error, "Payment request lookup failed");
+  }
+});
+
+// POST /api/payment-request/:id/cancel – Cancel a payment request that has not completed
+// Cancelling is idempotent, so the call is sent with a key derived from the ID and retried like a GET.
+app.post("/api/payment-request/:id/cancel", async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const paymentRequestId = c.req.param("id");
+    return await forwardPaymentRequestCall(c, {
+      paymentRequestId,
+      apiKey: body.klarnaApiKey,
+      klarnaEnvironment: body.klarnaEnvironment,
+      authMode: body.authMode,
+      method: "POST",
+      action: "/cancel",
+      idempotencyKey: resolveIdempotencyKey(c, `cancel:${paymentRequestId}`),
+    });
+  } catch (error) {
+    console.error("Payment request cancel error:", error);
+    return thrownErrorResponse(c, error, "Payment request cancel failed");
+  }
+});
+
+// PATCH /api/payment-request/:id – Update amount and/or supplementaryPurchaseData before completion
+app.patch("/api/payment-request/:id", async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { amount, supplementaryPurchaseData } = body;
+
+    if (amount === undefined && !supplementaryPurchaseData) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Nothing to update: provide amount and/or supplementaryPurchaseData",
+      });
+    }
+    if (amount !== undefined && !(Number.isInteger(amount) && amount >= 0)) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "amount must be a non-negative integer in minor units",
+      });
+    }
+
+    const update: Record<string, unknown> = {};
+    if (amount !== undefined) {
+      update.amount = amount;
+    }
+    if (supplementaryPurchaseData) {
+      update.supplementary_purchase_data = transformSupplementaryPurchaseData(
+        supplementaryPurchaseData,
+      );
+    }
+
+    return await forwardPaymentRequestCall(c, {
+      paymentRequestId: c.req.param("id"),
+      apiKey: body.klarnaApiKey,
+      klarnaEnvironment: body.klarnaEnvironment,
+      authMode: body.authMode,
+      method: "PATCH",
+      body: update,
+      idempotencyKey: resolveIdempotencyKey(c, null),
+    });
+  } catch (error) {
+    console.error("Payment request update error:", error);
+    return thrownErrorResponse(c, error, "Payment request update failed");
+  }
+});
+
+// Payment authorization endpoint (supports both ACQUIRING_PARTNER and SUB_PARTNER modes)
+// POST /api/authorize-payment – Klarna Payment Authorize API; result is APPROVED, STEP_UP_REQUIRED or DECLINED
+app.post("/api/authorize-payment", async (c) => {
+  try {
+    const body = await c.req.json();
+    const {
+      klarnaEnvironment,
+      klarnaNetworkSessionToken,
+      paymentOptionId,
+      paymentRequestData,
+      returnUrl,
+      appReturnUrl,
+      partnerAccountId,
+      includeCustomerToken,
+      country,
+      interoperabilityToken,
+      authMode: requestedAuthMode,
+    } = body;
+
+    let auth: AuthConfig;
+    try {
+      auth = resolveAuthConfig(requestedAuthMode);
+    } catch (error) {
+      return errorResponse(c, 500, {
+        code: "NOT_CONFIGURED",
+        message: "Server configuration error: No authentication configured",
+      });
+    }
+
+    if (!paymentRequestData) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing required field: paymentRequestData is required",
+      });
+    }
+
+    // ADD_TO_WALLET only: no payment transaction, the result comes from customer_token_response
+    const intents = paymentRequestData.intents as string[] | undefined;
+    const isOnlyAddToWallet = intents && intents.length === 1 &&
+      intents[0] === "ADD_TO_WALLET";
+
+    const resolvedPaymentOptionId = paymentOptionId ||
+      paymentRequestData.paymentOptionId;
+
+    if (!isOnlyAddToWallet && !resolvedPaymentOptionId) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Missing paymentOptionId: provide it directly or include it in paymentRequestData",
+      });
+    }
+
+    const accountId = partnerAccountId || auth.partnerAccountId;
+    if (auth.isAcquiringPartner && !accountId) {
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: "Partner Account ID is required for Acquiring Partner mode. Set PARTNER_ACCOUNT_ID env var or provide partnerAccountId in the request.",
+      });
+    }
+
+    const authorizeRequest: Record<string, unknown> = {
+      currency: paymentRequestData.currency,
+      supplementary_purchase_data: transformSupplementaryPurchaseData(
+        paymentRequestData.supplementaryPurchaseData,
+      ),
+      step_up_config: {
+        payment_request_reference: paymentRequestData.paymentRequestReference ||
+          `req_${Date.now()}`,
+        customer_interaction_config: {
+          method: "HANDOVER",
+          return_url: returnUrl ||
+            `${new URL(c.req.url).origin}/payment-complete`,
+          ...(appReturnUrl && { app_return_url: appReturnUrl }),
+        },
+      },
+    };
+
+    if (!isOnlyAddToWallet) {
+      authorizeRequest.request_payment_transaction = {
+        amount: paymentRequestData.amount,
+        payment_option_id: resolvedPaymentOptionId,
+        payment_transaction_reference:
+          paymentRequestData.paymentRequestReference || `txn_${Date.now()}`,
+      };
+    }
+
+    if (paymentRequestData.requestCustomerToken) {
+      authorizeRequest.request_customer_token = {
+        scopes: paymentRequestData.requestCustomerToken.scopes,
+        customer_token_reference:
+          paymentRequestData.requestCustomerToken.customerTokenReference,
+      };
+    }
+
+    // Acquiring Partner: /v2/accounts/{accountId}/payment/authorize
+    // Sub Partner: /v2/payment/authorize (no account ID in path)
+    const apiPath = auth.isAcquiringPartner
+      ? `/v2/accounts/${accountId}/payment/authorize`
+      : `/v2/payment/authorize`;
+    const requestUrl = `${getKlarnaBaseUrl(klarnaEnvironment)}${apiPath}`;
+
+    const headers: Record<string, string> = {
+      "Authorization": `Basic ${auth.apiKey}`,
+      "Content-Type": "application/json",
+    };
+    if (klarnaNetworkSessionToken) {
+      headers["Klarna-Network-Session-Token"] = klarnaNetworkSessionToken;
+    }
+    const customerToken = includeCustomerToken && country
+      ? getCustomerTokenForCountry(country)
+      : null;
+    if (customerToken) {
+      headers["Klarna-Customer-Token"] = customerToken;
+    }
+    if (interoperabilityToken) {
+      headers["Klarna-Interoperability-Token"] = interoperabilityToken;
+    }
+
+    console.log("🔄 Payment authorize: mode=" + authModeOf(auth) + ", url=" + requestUrl);
+
+    const klarnaResponse = await fetchWithMtls(
+      requestUrl,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify(authorizeRequest),
+      },
+    );
+
+    const klarnaData = await readUpstreamJson(klarnaResponse, "klarna");
+    const correlationId = klarnaResponse.headers.get("klarna-correlation-id") ||
+      null;
+    const mtlsVerificationStatus =
+      klarnaResponse.headers.get("klarna-mtls-verification-status") || null;
+
+    const requestMeta = {
+      url: requestUrl,
+      authMode: authModeOf(auth),
+      method: "POST",
+      klarnaNetworkSessionToken: klarnaNetworkSessionToken || null,
+      klarnaCustomerToken: customerToken,
+      klarnaInteroperabilityToken: interoperabilityToken || null,
+      requestBody: authorizeRequest,
+    };
+    const responseMeta = {
+      correlationId,
+      mtlsVerificationStatus,
+      responseBody: klarnaData,
+      attempts: getUpstreamAttempts(klarnaResponse),
+    };
+
+    if (!klarnaResponse.ok) {
+      console.warn("Klarna payment authorize failed: status=" + klarnaResponse.status + ", message=" + klarnaData.error_message);
+      return klarnaErrorResponse(c, klarnaResponse, klarnaData, "Payment authorization failed", {
+        _request: requestMeta,
+        _response: responseMeta,
+      });
+    }
+
+    const result = isOnlyAddToWallet
+      ? klarnaData.customer_token_response?.result
+      : klarnaData.payment_transaction_response?.result;
+
+    switch (result) {
+      case "STEP_UP_REQUIRED": {
+        const interaction = klarnaData.payment_request?.state_context
+          ?.customer_interaction;
+        console.log("✅ Step-up required, Payment Request ID:", interaction?.payment_request_id);
+        ledgerRecord("klarna_payment_request", interaction?.payment_request_id, {
+          reference: klarnaData.payment_request?.payment_request_reference ||
+            paymentRequestData.paymentRequestReference,
+          amount: klarnaData.payment_request?.amount ?? paymentRequestData.amount,
+          currency: paymentRequestData.currency,
+          status: klarnaData.payment_request?.state || "CREATED",
+        });
+        return c.json({
+          status: "STEP_UP_REQUIRED",
+          paymentRequestId: interaction?.payment_request_id,
+          paymentRequestUrl: interaction?.payment_request_url,
+          expiresAt: klarnaData.payment_request?.expires_at,
+          _request: requestMeta,
+          _response: responseMeta,
+        });
+      }
+
+      case "APPROVED": {
+        if (isOnlyAddToWallet) {
+          const token = klarnaData.customer_token_response?.customer_token;
+          return c.json({
+            status: "APPROVED",
+            customerTokenId: token?.customer_token_id,
+            customerTokenReference: token?.customer_token_reference,
+            successUrl: returnUrl || "/payment-complete",
+            _request: requestMeta,
+            _response: responseMeta,
+          });
+        }
+        const transaction = klarnaData.payment_transaction_response
+          ?.payment_transaction;
+        console.log("✅ Payment approved, Transaction ID:", transaction?.payment_transaction_id);
+        return c.json({
+          status: "APPROVED",
+          paymentTransactionId: transaction?.payment_transaction_id,
+          paymentTransactionReference: transaction?.payment_transaction_reference,
+          successUrl: returnUrl || "/payment-complete",
+          _request: requestMeta,
+          _response: responseMeta,
+        });
+      }
+
+      case "DECLINED": {
+        const declineReason = isOnlyAddToWallet
+          ? klarnaData.customer_token_response?.result_reason
+          : klarnaData.payment_transaction_response?.result_reason;
+        return c.json({
+          status: "DECLINED",
+          message: declineReason || "Request declined",
+          reason: declineReason,
+          _request: requestMeta,
+          _response: responseMeta,
+        });
+      }
+
+      default:
+        return errorResponse(c, 502, {
+          code: "UPSTREAM_BAD_RESPONSE",
+          message: `Unexpected result: ${result}`,
+          source: "klarna",
+          upstreamStatus: klarnaResponse.status,
+          correlationId,
+          details: klarnaData,
+        }, { _request: requestMeta, _response: responseMeta });
+    }
+  } catch (error) {
+    console.error("Payment authorization error:", error);
+    return thrownErrorResponse(c, error, "Payment authorization failed");
+  }
+});
+
+// ============================================================================
+// KLARNA WEBHOOKS
+// ============================================================================
+
+// Notifications are signed with HMAC-SHA256 over the raw body using the webhook signing key,
+// base64-encoded in the Klarna-Signature header. Verified events are kept in memory (like the
+// Paytrail records below) so payment request state changes can be followed without the browser.
+// The signed occurred_at must be within KLARNA_WEBHOOK_MAX_SKEW_MS of now, so a captured delivery
+// cannot be replayed later; events are only shown to callers whose Klarna credentials can read
+// the payment request they belong to.
+const KLARNA_WEBHOOK_SIGNING_KEY = getEnv("KLARNA_WEBHOOK_SIGNING_KEY");
+const KLARNA_WEBHOOK_EVENTS_MAX = 500;
+const KLARNA_WEBHOOK_MAX_SKEW_MS = 5 * 60 * 1000;
+
+interface KlarnaWebhookEvent {
+  eventId: string;
+  eventType: string;
+  paymentRequestId: string | null;
+  state: string | null;
+  occurredAt: string | null;
+  receivedAt: string;
+  body: Record<string, unknown>;
+}
+
+// Verified events keyed by event_id (Klarna delivers at least once), oldest first
+const klarnaWebhookEvents = new Map<string, KlarnaWebhookEvent>();
+
+/**
+ * Check the Klarna-Signature header against the raw request body.
+ */
+function verifyKlarnaWebhookSignature(
+  rawBody: string,
+  signatureHeader: string | undefined,
+): { valid: boolean; reason?: string } {
+  if (!signatureHeader) {
+    return { valid: false, reason: "Missing Klarna-Signature header" };
+  }
+  const expected = crypto
+    .createHmac("sha256", KLARNA_WEBHOOK_SIGNING_KEY)
+    .update(rawBody)
+    .digest();
+  const provided = Buffer.from(signatureHeader.trim(), "base64");
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return { valid: false, reason: "Signature mismatch" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Pull the fields the viewer groups by out of a notification
+ * ({ metadata: { event_id, event_type, occurred_at }, payload: { payment_request_id, state } }).
+ */
+function toKlarnaWebhookEvent(body: Record<string, unknown>): KlarnaWebhookEvent {
+  const metadata = (body.metadata || {}) as Record<string, unknown>;
+  const payload = (body.payload || body) as Record<string, unknown>;
+  const text = (value: unknown) => (typeof value === "string" && value ? value : null);
+  return {
+    eventId: text(metadata.event_id) || crypto.randomUUID(),
+    eventType: text(metadata.event_type) || "unknown",
+    paymentRequestId: text(payload.payment_request_id),
+    state: text(payload.state),
+    occurredAt: text(metadata.occurred_at),
+    receivedAt: new Date().toISOString(),
+    body,
+  };
+}
+
+// POST /api/klarna/webhooks – Receive a signed Klarna notification and store it
+app.post("/api/klarna/webhooks", async (c) => {
+  if (!KLARNA_WEBHOOK_SIGNING_KEY) {
+    return errorResponse(c, 503, {
+      code: "NOT_CONFIGURED",
+      message: "Webhook receiver not configured: set KLARNA_WEBHOOK_SIGNING_KEY",
+    });
+  }
+
+  const rawBody = await c.req.text();
+  const verification = verifyKlarnaWebhookSignature(
+    rawBody,
+    c.req.header("Klarna-Signature"),
+  );
+  if (!verification.valid) {
+    console.warn("❌ Rejected Klarna webhook:", verification.reason);
+    return errorResponse(c, 401, { code: "SIGNATURE_INVALID", message: verification.reason, source: "klarna" });
+  }
+
+  let body: unknown;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return errorResponse(c, 400, {
+      code: "BAD_REQUEST",
+      message: "Webhook body must be a JSON object",
+    });
+  }
+
+  const event = toKlarnaWebhookEvent(body as Record<string, unknown>);
+  const occurredAt = event.occurredAt ? Date.parse(event.occurredAt) : NaN;
+  if (!(Math.abs(Date.now() - occurredAt) <= KLARNA_WEBHOOK_MAX_SKEW_MS)) {
+    console.warn("❌ Rejected Klarna webhook outside the time window:", event.eventId, event.occurredAt);
+    return errorResponse(c, 400, {
+      code: "BAD_REQUEST",
+      message: `metadata.occurred_at must be within ${KLARNA_WEBHOOK_MAX_SKEW_MS / 60000} minutes of the server time`,
+      source: "klarna",
+    });
+  }
+
+  if (klarnaWebhookEvents.has(event.eventId)) {
+    console.log("⚠️ Duplicate Klarna webhook ignored:", event.eventId);
+    return c.json({ status: "OK", eventId: event.eventId, duplicate: true });
+  }
+
+  klarnaWebhookEvents.set(event.eventId, event);
+  ledgerUpdateStatus("klarna_payment_request", event.paymentRequestId ?? undefined, event.state ?? undefined);
+  if (klarnaWebhookEvents.size > KLARNA_WEBHOOK_EVENTS_MAX) {
+    klarnaWebhookEvents.delete(klarnaWebhookEvents.keys().next().value!);
+  }
+  console.log(
+    `📨 Klarna webhook ${event.eventType}` +
+      (event.paymentRequestId ? ` for ${event.paymentRequestId}` : "") +
+      (event.state ? ` (${event.state})` : ""),
+  );
+  return c.json({ status: "OK", eventId: event.eventId, duplicate: false });
+});
+
+// GET /api/klarna/webhooks/events – Stored events of one payment request (?payment_request_id=, required)
+// The caller's Klarna credentials (session, else X-Klarna-Api-Key header and klarna_environment query
+// parameter) must be able to read the payment request from Klarna; otherwise Klarna's error is returned.
+app.get("/api/klarna/webhooks/events", async (c) => {
+  const filter = c.req.query("payment_request_id")?.trim();
+  if (!filter) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Missing required query parameter: payment_request_id" });
+  }
+  try {
+    const lookup = await forwardPaymentRequestCall(c, {
+      paymentRequestId: filter,
+      apiKey: c.req.header("X-Klarna-Api-Key"),
+      klarnaEnvironment: c.req.query("klarna_environment"),
+      authMode: undefined,
+      method: "GET",
+    });
+    if (!lookup.ok) return lookup;
+  } catch (error) {
+    console.error("Webhook events lookup error:", error);
+    return thrownErrorResponse(c, error, "Payment request lookup failed");
+  }
+
+  // A list of at most one payment request, in the shape the viewer renders
+  const events = [...klarnaWebhookEvents.values()].filter((event) => event.paymentRequestId === filter);
+  const paymentRequests = events.length === 0 ? [] : [{
+    paymentRequestId: filter,
+    state: [...events].reverse().find((event) => event.state)?.state || null,
+    lastEventAt: events[events.length - 1].receivedAt,
+    events,
+  }];
+
+  return c.json({
+    configured: Boolean(KLARNA_WEBHOOK_SIGNING_KEY),
+    webhookUrl: `${new URL(c.req.url).origin}/api/klarna/webhooks`,
+    paymentRequests,
+  });
+});
+
+/**
+ * Compute a Paytrail HMAC over the checkout-* entries of params (sorted) and body.
+ * Used for redirect/callback query parameters, where the body is empty.
+ */
+function calculatePaytrailHmac(
+  secretKey: string,
+  params: Record<string, string>,
+  body: string = "",
+  algorithm: string = "sha256",
+): string {
+  const signatureString = Object.keys(params)
+    .filter((key) => key.startsWith("checkout-"))
+    .sort()
+    .map((key) => `${key}:${params[key]}`)
+    .join("\n") + "\n" + body;
+  return crypto
+    .createHmac(algorithm, secretKey)
+    .update(signatureString)
+    .digest("hex");
+}
+
+// Paytrail transactions created through this backend, keyed by transactionId.
+// In-memory only: on Vercel each function instance keeps its own copy.
+interface PaytrailTransactionRecord {
+  transactionId: string;
+  merchantId: string;
+  stamp?: string;
+  reference?: string;
+  amount?: number;
+  currency?: string;
+  status: string;
+  provider?: string;
+  createdAt: string;
+  updatedAt: string;
+  callbacks: {
+    event: "success" | "cancel";
+    status: string;
+    provider?: string;
+    receivedAt: string;
+  }[];
+}
+
+const paytrailTransactions = new Map<string, PaytrailTransactionRecord>();
+// Signatures of callbacks already accepted, oldest first. Paytrail re-sends a callback until it gets
+// a 2xx answer, so a repeat is acknowledged without being recorded again.
+const processedPaytrailCallbacks = new Set<string>();
+const PROCESSED_PAYTRAIL_CALLBACKS_MAX = 1000;
+
+/**
+ * Remember a transaction after Paytrail created it; its ledger entry keeps the merchant's secret key
+ * sealed, so the transaction's callbacks can be verified.
+ */
+function recordPaytrailTransaction(
+  transactionId: string | undefined,
+  merchantId: string,
+  secretKey: string,
+  payment: Record<string, unknown>,
+  status: string = "new",
+): void {
+  if (!transactionId) return;
+  const now = new Date().toISOString();
+  paytrailTransactions.set(transactionId, {
+    transactionId,
+    merchantId,
+    stamp: payment.stamp as string | undefined,
+    reference: payment.reference as string | undefined,
+    amount: payment.amount as number | undefined,
+    currency: payment.currency as string | undefined,
+    status,
+    provider: (payment.providerDetails as { klarna?: unknown } | undefined)?.klarna ? "klarna" : undefined,
+    createdAt: now,
+    updatedAt: now,
+    callbacks: [],
+  });
+  const record = paytrailTransactions.get(transactionId)!;
+  ledgerRecord("paytrail_transaction", transactionId, {
+    reference: record.reference,
+    merchantId,
+    amount: record.amount,
+    currency: record.currency,
+    status,
+    provider: record.provider,
+    secretKeySealed: sealValue(secretKey),
+  }, ledgerCredentialOwner("paytrail", merchantId, secretKey));
+}
+
+/**
+ * Secret key for a merchant account: config (PAYTRAIL_MERCHANT_ID / PAYTRAIL_SECRET_KEY, PAYTRAIL_MERCHANTS)
+ * first, then the key sealed in the ledger entry of the transaction, if it was created with that merchant.
+ */
+function getPaytrailSecretForMerchant(merchantId: string, transactionId?: string): string | null {
+  if (PAYTRAIL_MERCHANT_ID && merchantId === PAYTRAIL_MERCHANT_ID && PAYTRAIL_SECRET_KEY) {
+    return PAYTRAIL_SECRET_KEY;
+  }
+  if (Object.hasOwn(PAYTRAIL_MERCHANTS, merchantId)) return PAYTRAIL_MERCHANTS[merchantId];
+  const entry = transactionId ? findLedgerEntry("paytrail_transaction", transactionId) : undefined;
+  if (!entry?.secretKeySealed || entry.merchantId !== merchantId) return null;
+  try {
+    return unsealValue(entry.secretKeySealed);
+  } catch {
+    // Sealed with another key (CREDENTIAL_SESSION_SECRET unset and the process restarted)
+    return null;
+  }
+}
+
+/**
+ * Verify the signature of Paytrail redirect/callback query parameters.
+ * secretKey defaults to the key known for checkout-account and checkout-transaction-id.
+ */
+function verifyPaytrailQuerySignature(
+  params: Record<string, string>,
+  secretKey?: string | null,
+): { valid: boolean; reason?: string } {
+  const required = [
+    "checkout-account",
+    "checkout-algorithm",
+    "checkout-amount",
+    "checkout-stamp",
+    "checkout-reference",
+    "checkout-transaction-id",
+    "checkout-status",
+    "signature",
+  ];
+  const missing = required.filter((key) => !params[key]);
+  if (missing.length > 0) {
+    return { valid: false, reason: `Missing parameters: ${missing.join(", ")}` };
+  }
+  const algorithm = params["checkout-algorithm"];
+  if (algorithm !== "sha256" && algorithm !== "sha512") {
+    return { valid: false, reason: `Unsupported checkout-algorithm: ${algorithm}` };
+  }
+  const key = secretKey ||
+    getPaytrailSecretForMerchant(params["checkout-account"], params["checkout-transaction-id"]);
+  if (!key) {
+    return { valid: false, reason: `No secret key known for merchant ${params["checkout-account"]}` };
+  }
+  const expected = calculatePaytrailHmac(key, params, "", algorithm);
+  const provided = params["signature"];
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return { valid: false, reason: "Signature mismatch" };
+  }
+  return { valid: true };
+}
+
+// ============================================================================
+// PAYTRAIL API ENDPOINTS
+// ============================================================================
+
+function transformSupplementaryPurchaseData(
+  data: Record<string, unknown> | undefined,
+): Record<string, unknown> {
+  if (!data) return {};
+
+  const transformed: Record<string, unknown> = {};
+
+  if (data.purchaseReference) {
+    transformed.purchase_reference = data.purchaseReference;
+  }
+
+  if (data.customer && typeof data.customer === "object") {
+    const cust = data.customer as Record<string, unknown>;
+    const customerObj: Record<string, unknown> = {};
+    if (cust.email != null) customerObj.email = cust.email;
+    if (Object.keys(customerObj).length) transformed.customer = customerObj;
+  }
+
+  if (data.lineItems && Array.isArray(data.lineItems)) {
+    transformed.line_items = data.lineItems.map(
+      (item: Record<string, unknown>) => {
+        const lineItem: Record<string, unknown> = {
+          name: item.name,
+          quantity: item.quantity,
+          total_amount: item.totalAmount,
+          unit_price: item.unitPrice,
+        };
+        if (item.lineItemReference) {
+          lineItem.line_item_reference = item.lineItemReference;
+        }
+        if (item.subscriptionReference) {
+          lineItem.subscription_reference = item.subscriptionReference;
+        }
+        return lineItem;
+      },
+    );
+  }
+
+  if (data.ondemandService) {
+    const ondemand = data.ondemandService as Record<string, unknown>;
+    transformed.ondemand_service = {
+      average_amount: ondemand.averageAmount,
+      minimum_amount: ondemand.minimumAmount,
+      maximum_amount: ondemand.maximumAmount,
+      purchase_interval: ondemand.purchaseInterval,
+      purchase_interval_frequency: ondemand.purchaseInterval_frequency,
+    };
+  }
+
+  if (data.subscriptions && Array.isArray(data.subscriptions)) {
+    transformed.subscriptions = data.subscriptions.map((
+      sub: Record<string, unknown>,
+    ) => ({
+      subscription_reference: sub.subscriptionReference,
+      name: sub.name,
+      free_trial: sub.freeTrial,
+      billing_plans: (sub.billingPlans as Record<string, unknown>[])?.map((
+        plan: Record<string, unknown>,
+      ) => ({
+        billing_amount: plan.billingAmount,
+        currency: plan.currency,
+        from: plan.from,
+        interval: plan.interval,
+        interval_frequency: plan.intervalFrequency,
+      })),
+    }));
+  }
+
+  return transformed;
+}
+
+// ============================================================================
+// PAYTRAIL API HELPERS
+// ============================================================================
+
+/**
+ * Create HMAC signature for Paytrail API requests
+ */
+function createPaytrailSignature(
+  method: string,
+  uri: string,
+  headers: Record<string, string>,
+  body: string = "",
+): { headers: Record<string, string>; signature: string } {
+  const timestamp = new Date().toISOString();
+  const nonce = crypto.randomUUID();
+
+  // Headers that need to be included in signature (Paytrail format)
+  const signatureHeaders: Record<string, string> = {
+    "checkout-account": PAYTRAIL_MERCHANT_ID || "",
+    "checkout-algorithm": "sha256",
+    "checkout-method": method,
+    "checkout-nonce": nonce,
+    "checkout-timestamp": timestamp,
+  };
+
+  // Add request-specific headers
+  Object.assign(signatureHeaders, headers);
+
+  // Create signature string according to Paytrail format
+  const signatureString = Object.keys(signatureHeaders)
+    .sort()
+    .map((key) => `${key}:${signatureHeaders[key]}`)
+    .join("\n") + "\n" + body;
+
+  // Create HMAC signature
+  const signature = crypto
+    .createHmac("sha256", PAYTRAIL_SECRET_KEY || "")
+    .update(signatureString)
+    .digest("hex");
+
+  return {
+    headers: signatureHeaders,
+    signature,
+  };
+}
+
+/**
+ * Create HMAC signature with explicit credentials (for testing page)
+ */
+function createPaytrailSignatureWithCreds(
+  method: string,
+  uri: string,
+  headers: Record<string, string>,
+  body: string,
+  merchantId: string,
+  secretKey: string,
+): { headers: Record<string, string>; signature: string } {
+  const timestamp = new Date().toISOString();
+  const nonce = crypto.randomUUID();
+  const signatureHeaders: Record<string, string> = {
+    "checkout-account": merchantId,
+    "checkout-algorithm": "sha256",
+    "checkout-method": method,
+    "checkout-nonce": nonce,
+    "checkout-timestamp": timestamp,
+  };
+  Object.assign(signatureHeaders, headers);
+  const signatureString = Object.keys(signatureHeaders)
+    .sort()
+    .map((key) => `${key}:${signatureHeaders[key]}`)
+    .join("\n") + "\n" + body;
+  const signature = crypto
+    .createHmac("sha256", secretKey)
+    .update(signatureString)
+    .digest("hex");
+  return { headers: signatureHeaders, signature };
+}
+
+/**
+ * Send a signed request to the Paytrail API through the upstream client.
+ * Each attempt is signed again, since Paytrail rejects a reused checkout-nonce.
+ * GETs are retried on 5xx and timeouts; every request is retried on 429.
+ */
+function sendSignedPaytrailRequest(
+  method: string,
+  endpoint: string,
+  bodyString: string,
+  merchantId: string,
+  secretKey: string,
+  extraHeaders: Record<string, string> = {},
+): Promise<Response> {
+  return upstreamFetch(
+    `Paytrail ${method} ${endpoint.split("?")[0]}`,
+    (signal) => {
+      const { headers, signature } = createPaytrailSignatureWithCreds(
+        method,
+        endpoint,
+        extraHeaders,
+        bodyString,
+        merchantId,
+        secretKey,
+      );
+      // Build request headers: all checkout-* (incl. checkout-transaction-id) + signature + content-type
+      const requestHeaders = new Headers();
+      requestHeaders.set("content-type", "application/json; charset=utf-8");
+      for (const [key, value] of Object.entries(headers)) {
+        if (value !== undefined && value !== null) requestHeaders.set(key, String(value));
+      }
+      requestHeaders.set("signature", signature);
+      return fetch(`${PAYTRAIL_API_URL}${endpoint}`, {
+        method,
+        headers: requestHeaders,
+        body: bodyString || undefined,
+        signal,
+      });
+    },
+    { idempotent: method === "GET" },
+  );
+}
+
+// Paytrail's ID for a request, to quote to Paytrail support
+function paytrailRequestId(response: Response): string | null {
+  return response.headers.get("cof-request-id") || response.headers.get("request-id");
+}
+
+/**
+ * Make authenticated request to Paytrail API with explicit credentials (for testing page).
+ * Optional extraHeaders (e.g. checkout-transaction-id for refund) are included in signature and request.
+ */
+async function makePaytrailRequestWithCreds(
+  method: string,
+  endpoint: string,
+  body: unknown,
+  merchantId: string,
+  secretKey: string,
+  extraHeaders: Record<string, string> = {},
+): Promise<unknown> {
+  const bodyString = body ? JSON.stringify(body) : "";
+  const response = await sendSignedPaytrailRequest(
+    method,
+    endpoint,
+    bodyString,
+    merchantId,
+    secretKey,
+    extraHeaders,
+  );
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const err = new Error(
+      errorData.message || `Paytrail API error: ${response.statusText}`,
+    ) as Error & { status?: number; errorData?: unknown; requestId?: string | null; attempts?: UpstreamAttempt[] };
+    err.status = response.status;
+    err.errorData = errorData;
+    err.requestId = paytrailRequestId(response);
+    err.attempts = getUpstreamAttempts(response);
+    throw err;
+  }
+  // An empty body (e.g. a 204) is null; one that is not JSON is a bad upstream response
+  const text = await response.clone().text();
+  return text.trim() ? await readUpstreamJson(response, "paytrail") : null;
+}
+
+/**
+ * Make authenticated request to Paytrail API
+ */
+async function makePaytrailRequest(
+  method: string,
+  endpoint: string,
+  body: unknown = null,
+): Promise<unknown> {
+  const bodyString = body ? JSON.stringify(body) : "";
+
+  console.log(
+    `Making ${method} request to: ${PAYTRAIL_API_URL}${endpoint}`,
+  );
+
+  // Log request payload for POST requests
+  if (method === "POST" && body) {
+    console.log(
+      "Request payload sent to Paytrail:",
+      JSON.stringify(forLog(body), null, 2),
+    );
+  }
+
+  try {
+    const response = await sendSignedPaytrailRequest(
+      method,
+      endpoint,
+      bodyString,
+      PAYTRAIL_MERCHANT_ID,
+      PAYTRAIL_SECRET_KEY,
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        errorData.message || `Paytrail API error: ${response.statusText}`,
+      ) as Error & { status?: number; errorData?: unknown };
+      error.status = response.status;
+      error.errorData = errorData;
+      throw error;
+    }
+
+    const data = await readUpstreamJson(response, "paytrail");
+
+    // Log raw response from Paytrail API
+    console.log("Raw response from Paytrail API:");
+    console.log(JSON.stringify(forLog(data), null, 2));
+
+    return data;
+  } catch (error) {
+    console.error(
+      "Paytrail API Error:",
+      error instanceof Error ? error.message : String(error),
+    );
+    throw error;
+  }
+}
+
+// Check a payload against its schema in paytrail-api.yaml before it is signed and sent.
+// Returns a VALIDATION_FAILED response listing every field error (paths relative to the payload), or null when valid.
+function rejectInvalidPaytrailPayload(
+  c: Context,
+  payload: unknown,
+  schemaName: PaytrailSchemaName,
+  optional: string[] = [],
+): Response | null {
+  const fields: FieldError[] = validatePaytrailPayload(payload, schemaName, optional);
+  if (fields.length === 0) return null;
+  console.warn(`⚠️ ${schemaName} rejected before sending to Paytrail:`, JSON.stringify(fields));
+  return errorResponse(c, 400, {
+    code: "VALIDATION_FAILED",
+    message: `Invalid ${schemaName === "Refund" ? "refund" : "payment"} payload: ${describeFieldErrors(fields)}`,
+    source: "paytrail",
+    fields,
+  });
+}
+
+// ============================================================================
+// PAYTRAIL API ENDPOINTS
+// ============================================================================
+
+// GET /api/merchants/payment-providers (credentials via X-Paytrail-Merchant-Id, X-Paytrail-Secret-Key headers)
+app.get("/api/merchants/payment-providers", async (c: Context) => {
+  try {
+    const { merchantId, secretKey } = resolvePaytrailCredentials(
+      c,
+      c.req.header("X-Paytrail-Merchant-Id"),
+      c.req.header("X-Paytrail-Secret-Key"),
+    );
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Send X-Paytrail-Merchant-Id and X-Paytrail-Secret-Key headers (or set credentials on the Demo Store homepage)");
+    }
+
+    console.log("🔄 Fetching payment providers from Paytrail API...");
+
+    const response = await makePaytrailRequestWithCreds(
+      "GET",
+      "/merchants/payment-providers",
+      null,
+      merchantId,
+      secretKey,
+    );
+
+    console.log("✅ Payment providers fetched successfully from Paytrail");
+    return c.json(response);
+  } catch (error) {
+    console.error(
+      "❌ Error fetching payment providers:",
+      error instanceof Error ? error.message : String(error),
+    );
+
+    return thrownErrorResponse(c, error, "Failed to fetch payment providers from Paytrail API");
+  }
+});
+
+// GET /api/merchants/grouped-payment-providers (credentials via X-Paytrail-Merchant-Id, X-Paytrail-Secret-Key headers)
+app.get("/api/merchants/grouped-payment-providers", async (c: Context) => {
+  try {
+    const { merchantId, secretKey } = resolvePaytrailCredentials(
+      c,
+      c.req.header("X-Paytrail-Merchant-Id"),
+      c.req.header("X-Paytrail-Secret-Key"),
+    );
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Send X-Paytrail-Merchant-Id and X-Paytrail-Secret-Key headers (or set credentials on the Demo Store homepage)");
+    }
+
+    console.log(
+      "🔄 Fetching grouped payment providers from Paytrail API...",
+    );
+
+    const response = await makePaytrailRequestWithCreds(
+      "GET",
+      "/merchants/grouped-payment-providers",
+      null,
+      merchantId,
+      secretKey,
+    );
+
+    console.log(
+      "✅ Grouped payment providers fetched successfully from Paytrail",
+    );
+    return c.json(response);
+  } catch (error) {
+    console.error(
+      "❌ Error fetching grouped payment providers:",
+      error instanceof Error ? error.message : String(error),
+    );
+
+    return thrownErrorResponse(c, error, "Failed to fetch grouped payment providers from Paytrail API");
+  }
+});
+
+// POST /api/payments (body: { payment, merchantId, secretKey }) – optional Idempotency-Key header, defaults to the stamp
+// payment is checked against PaymentRequest in paytrail-api.yaml; a 400 lists the offending fields in error.fields
+app.post("/api/payments", idempotent("payments", paytrailIdempotency), async (c: Context) => {
+  try {
+    const body = await c.req.json();
+    const paymentData =
+      body && typeof body === "object" && "payment" in body
+        ? (body as { payment: unknown }).payment
+        : null;
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey (set credentials on the Demo Store homepage and click Save)");
+    }
+
+    if (!paymentData || typeof paymentData !== "object") {
+      return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must include a payment object" });
+    }
+
+    console.log("🔄 Creating payment with Paytrail API...");
+    console.log(
+      "Payment data received:",
+      JSON.stringify(forLog(paymentData), null, 2),
+    );
+
+    const invalid = rejectInvalidPaytrailPayload(c, paymentData, "PaymentRequest");
+    if (invalid) return invalid;
+
+    console.log("📤 Sending to Paytrail API:");
+    console.log("  Reference in request:", (paymentData as { reference?: string }).reference);
+    console.log("  Stamp in request:", (paymentData as { stamp?: string }).stamp);
+
+    const klarnaDetails = (paymentData as { providerDetails?: { klarna?: Record<string, unknown> } }).providerDetails?.klarna;
+    if (klarnaDetails) {
+      console.log("  Klarna provider details keys:", Object.keys(klarnaDetails));
+      if (klarnaDetails.networkSessionToken) {
+        console.log("  Klarna networkSessionToken: present (length ", String(klarnaDetails.networkSessionToken).length, ")");
+      }
+      if (klarnaDetails.sessionToken) {
+        console.log("  Klarna sessionToken: present");
+      }
+      if (klarnaDetails.networkData || klarnaDetails.data) {
+        console.log("  Klarna networkData/data: present");
+      }
+    }
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      "/payments",
+      paymentData,
+      merchantId,
+      secretKey,
+    );
+
+    // Log the reference received
+    console.log("📥 Received from Paytrail API:");
+    console.log("  Reference in response:", (response as { reference?: string }).reference);
+    console.log(
+      "  TransactionId in response:",
+      (response as { transactionId?: string }).transactionId,
+    );
+    if ((response as { checkoutReference?: string }).checkoutReference) {
+      console.log(
+        "  CheckoutReference in response:",
+        (response as { checkoutReference?: string }).checkoutReference,
+      );
+    }
+    console.log("  Full response:", JSON.stringify(forLog(response), null, 2));
+
+    recordPaytrailTransaction(
+      (response as { transactionId?: string }).transactionId,
+      merchantId,
+      secretKey,
+      paymentData as Record<string, unknown>,
+    );
+
+    console.log("✅ Payment created successfully with Paytrail");
+    return c.json(response, 201);
+  } catch (error) {
+    console.error(
+      "❌ Error creating payment:",
+      error instanceof Error ? error.message : String(error),
+    );
+
+    return thrownErrorResponse(c, error, "Failed to create payment with Paytrail API");
+  }
+});
+
+/**
+ * Transaction operations (path suffix under /api/payments/:transactionId) valid for a Paytrail status.
+ */
+function getPaytrailTransactionActions(status: string, provider?: string): string[] {
+  const isKlarna = provider === "klarna";
+  switch (status) {
+    case "ok":
+      return ["refund"];
+    case "authorization-hold":
+      // Card token holds are committed/reverted through the token endpoints
+      return isKlarna
+        ? ["klarna/commit", "klarna/revert", "cancel-order"]
+        : ["token/commit", "token/revert"];
+    case "pending":
+      return ["activate-invoice", "cancel-order"];
+    case "new":
+      return ["cancel-order"];
+    default:
+      return [];
+  }
+}
+
+// GET /api/payments/:transactionId – Paytrail payment status (credentials via X-Paytrail-Merchant-Id, X-Paytrail-Secret-Key headers)
+app.get("/api/payments/:transactionId", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const { merchantId, secretKey } = resolvePaytrailCredentials(
+      c,
+      c.req.header("X-Paytrail-Merchant-Id"),
+      c.req.header("X-Paytrail-Secret-Key"),
+    );
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Send X-Paytrail-Merchant-Id and X-Paytrail-Secret-Key headers (or set credentials on the Demo Store homepage)");
+    }
+
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}`;
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Fetching payment status:", endpoint);
+
+    const response = await makePaytrailRequestWithCreds(
+      "GET",
+      endpoint,
+      null,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    ) as { status?: string; provider?: string } | null;
+
+    const status = response?.status || "";
+    const record = paytrailTransactions.get(transactionId);
+    ledgerUpdateStatus("paytrail_transaction", transactionId, status);
+    if (record && status) {
+      record.status = status;
+      record.provider = response?.provider || record.provider;
+      record.updatedAt = new Date().toISOString();
+    }
+
+    return c.json({
+      ...response,
+      availableActions: getPaytrailTransactionActions(status, response?.provider || record?.provider),
+    });
+  } catch (error) {
+    console.error("❌ Payment status lookup failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Payment lookup failed");
+  }
+});
+
+// POST /api/payments/:transactionId/refund – Paytrail refund (body: { merchantId, secretKey, amount, refundStamp, refundReference, callbackUrls })
+app.post("/api/payments/:transactionId/refund", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const body = await c.req.json();
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    const { merchantId: _m, secretKey: _s, ...refundPayload } = body as { merchantId?: string; secretKey?: string; [key: string]: unknown };
+    const invalid = rejectInvalidPaytrailPayload(c, refundPayload, "Refund");
+    if (invalid) return invalid;
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/refund`;
+    // Paytrail requires checkout-transaction-id header (same value as in path) and it must be included in HMAC signature
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Refund request:", endpoint, "checkout-transaction-id:", transactionId, JSON.stringify(forLog(refundPayload), null, 2));
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      refundPayload,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    );
+
+    return c.json(response);
+  } catch (error) {
+    console.error("❌ Refund failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Refund failed");
+  }
+});
+
+// POST /api/payments/:transactionId/activate-invoice – Paytrail manual capture (body: { merchantId, secretKey }, no other body)
+app.post("/api/payments/:transactionId/activate-invoice", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/activate-invoice`;
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Manual capture (activate-invoice):", endpoint);
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      null,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    );
+
+    return c.json(response);
+  } catch (error) {
+    console.error("❌ Activate-invoice failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Capture failed");
+  }
+});
+
+// POST /api/payments/:transactionId/klarna/commit – Paytrail Klarna commit (body: { merchantId, secretKey }, no other body). For transactions created by /payments/klarna/authorization-hold.
+app.post("/api/payments/:transactionId/klarna/commit", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/klarna/commit`;
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Klarna commit:", endpoint);
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      null,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    );
+
+    return c.json(response);
+  } catch (error) {
+    console.error("❌ Klarna commit failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Commit failed");
+  }
+});
+
+// POST /api/payments/:transactionId/cancel-order – Paytrail cancel order (body: { merchantId, secretKey }, no other body)
+app.post("/api/payments/:transactionId/cancel-order", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/cancel-order`;
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Cancel order:", endpoint);
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      null,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    );
+
+    return c.json(response);
+  } catch (error) {
+    console.error("❌ Cancel-order failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Cancel failed");
+  }
+});
+
+// POST /api/payments/:transactionId/klarna/revert – Paytrail Klarna revert (body: { merchantId, secretKey }, no other body). For transactions created by /payments/klarna/authorization-hold.
+app.post("/api/payments/:transactionId/klarna/revert", async (c: Context) => {
+  const transactionIdRaw = c.req.param("transactionId");
+  const transactionId = transactionIdRaw ? String(transactionIdRaw).trim() : "";
+  if (!transactionId) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "URL must include transaction ID" });
+  }
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/klarna/revert`;
+    const extraHeaders: Record<string, string> = { "checkout-transaction-id": transactionId };
+
+    console.log("🔄 Klarna revert:", endpoint);
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      null,
+      merchantId,
+      secretKey,
+      extraHeaders,
+    );
+
+    return c.json(response);
+  } catch (error) {
+    console.error("❌ Klarna revert failed:", error instanceof Error ? error.message : error);
+    return thrownErrorResponse(c, error, "Revert failed");
+  }
+});
+
+// POST /api/testing/payments – create payment using credentials from the session or request body (testing page only); Idempotency-Key as /api/payments
+app.post("/api/testing/payments", idempotent("testing/payments", paytrailIdempotency), async (c: Context) => {
+  try {
+    const body = await c.req.json();
+    const { payment } = body;
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body.merchantId, body.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "merchantId and secretKey are required in the request body");
+    }
+
+    if (!payment || typeof payment !== "object") {
+      return errorResponse(c, 400, { code: "BAD_REQUEST", message: "payment object is required in the request body" });
+    }
+
+    const invalid = rejectInvalidPaytrailPayload(c, payment, "PaymentRequest");
+    if (invalid) return invalid;
+
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      "/payments",
+      payment,
+      merchantId,
+      secretKey,
+    );
+    recordPaytrailTransaction(
+      (response as { transactionId?: string }).transactionId,
+      merchantId,
+      secretKey,
+      payment,
+    );
+    return c.json(response, 201);
+  } catch (error) {
+    return thrownErrorResponse(c, error, "Failed to create payment with Paytrail API");
+  }
+});
+
+// POST /api/payments/klarna/charge (auto-capture) – body: { payment, merchantId, secretKey }; Idempotency-Key as /api/payments
+app.post("/api/payments/klarna/charge", idempotent("klarna/charge", paytrailStepUpIdempotency), async (c: Context) => {
+  try {
+    const body = await c.req.json();
+    const paymentData = body?.payment ?? body;
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    if (!paymentData || typeof paymentData !== "object") {
+      return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must include a payment object" });
+    }
+
+    console.log("🔄 Creating Klarna charge payment (auto-capture) with Paytrail API...");
+    console.log(
+      "Payment data received:",
+      JSON.stringify(forLog(paymentData), null, 2),
+    );
+
+    // The charge answers directly (201, or 403 with a stepUpUrl), so redirectUrls are optional here
+    const invalid = rejectInvalidPaytrailPayload(c, paymentData, "PaymentRequest", ["redirectUrls"]);
+    if (invalid) return invalid;
+
+    if ((paymentData as { providerDetails?: { klarna?: { networkSessionToken?: string } } }).providerDetails?.klarna?.networkSessionToken) {
+      console.log(
+        "  Klarna Network Session Token:",
+        maskForLog((paymentData as { providerDetails: { klarna: { networkSessionToken: string } } }).providerDetails.klarna.networkSessionToken),
+      );
+    }
+
+    const bodyString = JSON.stringify(paymentData);
+
+    console.log(
+      `Making POST request to: ${PAYTRAIL_API_URL}/payments/klarna/charge`,
+    );
+
+    const paytrailResponse = await sendSignedPaytrailRequest(
+      "POST",
+      "/payments/klarna/charge",
+      bodyString,
+      merchantId,
+      secretKey,
+    );
+
+    let responseData: { transactionId?: string; stepUpUrl?: string; error?: string; message?: string; [key: string]: unknown };
+    try {
+      const responseText = await paytrailResponse.text();
+      console.log("📥 Raw Paytrail response text:", forLog(responseText));
+      responseData = (responseText ? JSON.parse(responseText) : {}) as typeof responseData;
+    } catch (parseError) {
+      console.error("❌ Failed to parse Paytrail response as JSON:", parseError);
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_BAD_RESPONSE",
+        message: `Paytrail response is not JSON: ${parseError instanceof Error ? parseError.message : "Unknown error"}`,
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+      });
+    }
+
+    console.log("📥 Paytrail response for Klarna charge:", {
+      status: paytrailResponse.status,
+      statusText: paytrailResponse.statusText,
+      data: forLog(responseData),
+    });
+
+    // Handle response based on status
+    // Success: 200 or 201 with transaction ID
+    // Error: 403 with transaction ID and stepUpUrl
+
+    if ((paytrailResponse.status === 201 || paytrailResponse.status === 200) && responseData.transactionId) {
+      // Success: return 201 with transaction ID
+      console.log("✅ Klarna charge payment created successfully");
+      recordPaytrailTransaction(
+        responseData.transactionId,
+        merchantId,
+        secretKey,
+        paymentData as Record<string, unknown>,
+        "ok",
+      );
+      console.log("  Transaction ID:", responseData.transactionId);
+      return c.json(
+        {
+          transactionId: responseData.transactionId,
+        },
+        201,
+      );
+    } else if ((paytrailResponse.status === 201 || paytrailResponse.status === 200) && !responseData.transactionId) {
+      // 201 but missing transactionId - log and return error
+      console.error("❌ Paytrail returned 201 but missing transactionId:", forLog(responseData));
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_BAD_RESPONSE",
+        message: "Paytrail answered 201 without a transactionId",
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    } else if (paytrailResponse.status === 403 && responseData.transactionId && responseData.stepUpUrl) {
+      // Step-up required: return 403 with transaction ID and stepUpUrl
+      console.log("⚠️ Step-up required for Klarna charge payment");
+      recordPaytrailTransaction(
+        responseData.transactionId,
+        merchantId,
+        secretKey,
+        paymentData as Record<string, unknown>,
+      );
+      console.log("  Transaction ID:", responseData.transactionId);
+      console.log("  Step-up URL:", responseData.stepUpUrl);
+      // Not an error: the customer finishes the payment at stepUpUrl
+      return c.json(
+        {
+          status: "STEP_UP_REQUIRED",
+          transactionId: responseData.transactionId,
+          stepUpUrl: responseData.stepUpUrl,
+          message: responseData.message || "Step-up required",
+        },
+        403,
+      );
+    } else if (paytrailResponse.status === 403) {
+      // 403 but missing required fields
+      console.error("❌ Paytrail returned 403 but missing transactionId or stepUpUrl:", forLog(responseData));
+      return errorResponse(c, 403, {
+        code: "UPSTREAM_AUTH_FAILED",
+        message: responseData.message || "Paytrail answered 403 without a transactionId and stepUpUrl",
+        source: "paytrail",
+        upstreamStatus: 403,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    } else if (paytrailResponse.status >= 500) {
+      // Paytrail server error
+      console.error("❌ Paytrail returned 500 server error for Klarna charge:", forLog(responseData));
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_UNAVAILABLE",
+        message: responseData.message || responseData.error || "Paytrail API returned a server error",
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    }
+
+    // Unexpected response format or status
+    console.error("❌ Unexpected response from Paytrail for Klarna charge:", {
+      status: paytrailResponse.status,
+      statusText: paytrailResponse.statusText,
+      headers: forLog(Object.fromEntries(paytrailResponse.headers.entries())),
+      data: forLog(responseData),
+      expected: "Status 200/201 with transactionId, or status 403 with transactionId and stepUpUrl",
+    });
+    // Paytrail's own errors ({ status: "error", message, meta }) end up here with their 4xx status
+    const fields = paytrailFieldErrors(responseData);
+    return errorResponse(c, upstreamHttpStatus(paytrailResponse.status), {
+      code: paytrailResponse.status === 400 && fields.length
+        ? "VALIDATION_FAILED"
+        : paytrailResponse.status >= 400 ? upstreamErrorCode(paytrailResponse.status) : "UPSTREAM_BAD_RESPONSE",
+      message: responseData.message || `Paytrail returned status ${paytrailResponse.status} without a transactionId`,
+      source: "paytrail",
+      upstreamStatus: paytrailResponse.status,
+      correlationId: paytrailRequestId(paytrailResponse),
+      fields,
+      details: responseData,
+    });
+  } catch (error) {
+    console.error(
+      "❌ Error creating Klarna charge payment:",
+      error instanceof Error ? error.message : String(error),
+    );
+
+    return thrownErrorResponse(c, error, "Failed to create payment with Paytrail API");
+  }
+});
+
+// POST /api/payments/klarna/authorization-hold (manual capture) – body: { payment, merchantId, secretKey }; Idempotency-Key as /api/payments
+app.post("/api/payments/klarna/authorization-hold", idempotent("klarna/authorization-hold", paytrailStepUpIdempotency), async (c: Context) => {
+  try {
+    const body = await c.req.json();
+    const paymentData = body?.payment ?? body;
+    const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+
+    if (!merchantId || !secretKey) {
+      return paytrailCredentialsRequired(c, "Request body must include merchantId and secretKey");
+    }
+
+    if (!paymentData || typeof paymentData !== "object") {
+      return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must include a payment object" });
+    }
+
+    console.log("🔄 Creating Klarna authorization hold (manual capture) with Paytrail API...");
+    console.log(
+      "Payment data received:",
+      JSON.stringify(forLog(paymentData), null, 2),
+    );
+
+    // Same shape as the charge: redirectUrls are optional
+    const invalid = rejectInvalidPaytrailPayload(c, paymentData, "PaymentRequest", ["redirectUrls"]);
+    if (invalid) return invalid;
+
+    if ((paymentData as { providerDetails?: { klarna?: { networkSessionToken?: string } } }).providerDetails?.klarna?.networkSessionToken) {
+      console.log(
+        "  Klarna Network Session Token:",
+        maskForLog((paymentData as { providerDetails: { klarna: { networkSessionToken: string } } }).providerDetails.klarna.networkSessionToken),
+      );
+    }
+
+    const bodyString = JSON.stringify(paymentData);
+
+    console.log(
+      `Making POST request to: ${PAYTRAIL_API_URL}/payments/klarna/authorization-hold`,
+    );
+
+    const paytrailResponse = await sendSignedPaytrailRequest(
+      "POST",
+      "/payments/klarna/authorization-hold",
+      bodyString,
+      merchantId,
+      secretKey,
+    );
+
+    let responseData: any;
+    try {
+      const responseText = await paytrailResponse.text();
+      console.log("📥 Raw Paytrail response text:", forLog(responseText));
+      responseData = responseText ? JSON.parse(responseText) : {};
+    } catch (parseError) {
+      console.error("❌ Failed to parse Paytrail response as JSON:", parseError);
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_BAD_RESPONSE",
+        message: `Paytrail response is not JSON: ${parseError instanceof Error ? parseError.message : "Unknown error"}`,
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+      });
+    }
+
+    console.log("📥 Paytrail response for Klarna authorization-hold:", {
+      status: paytrailResponse.status,
+      statusText: paytrailResponse.statusText,
+      data: forLog(responseData),
+    });
+
+    // Handle response based on status
+    // Success: 200 or 201 with transaction ID
+    // Error: 403 with transaction ID and stepUpUrl
+    if ((paytrailResponse.status === 201 || paytrailResponse.status === 200) && responseData.transactionId) {
+      // Success: return 201 with transaction ID
+      console.log("✅ Klarna authorization hold created successfully");
+      recordPaytrailTransaction(
+        responseData.transactionId,
+        merchantId,
+        secretKey,
+        paymentData as Record<string, unknown>,
+        "authorization-hold",
+      );
+      console.log("  Transaction ID:", responseData.transactionId);
+      return c.json(
+        {
+          transactionId: responseData.transactionId,
+        },
+        201,
+      );
+    } else if ((paytrailResponse.status === 201 || paytrailResponse.status === 200) && !responseData.transactionId) {
+      // 201 but missing transactionId - log and return error
+      console.error("❌ Paytrail returned 201 but missing transactionId:", forLog(responseData));
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_BAD_RESPONSE",
+        message: "Paytrail answered 201 without a transactionId",
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    } else if (paytrailResponse.status === 403 && responseData.transactionId && responseData.stepUpUrl) {
+      // Step-up required: return 403 with transaction ID and stepUpUrl
+      console.log("⚠️ Step-up required for Klarna authorization hold");
+      recordPaytrailTransaction(
+        responseData.transactionId,
+        merchantId,
+        secretKey,
+        paymentData as Record<string, unknown>,
+      );
+      console.log("  Transaction ID:", responseData.transactionId);
+      console.log("  Step-up URL:", responseData.stepUpUrl);
+      // Not an error: the customer finishes the payment at stepUpUrl
+      return c.json(
+        {
+          status: "STEP_UP_REQUIRED",
+          transactionId: responseData.transactionId,
+          stepUpUrl: responseData.stepUpUrl,
+          message: responseData.message || "Step-up required",
+        },
+        403,
+      );
+    } else if (paytrailResponse.status === 403) {
+      // 403 but missing required fields
+      console.error("❌ Paytrail returned 403 but missing transactionId or stepUpUrl:", forLog(responseData));
+      return errorResponse(c, 403, {
+        code: "UPSTREAM_AUTH_FAILED",
+        message: responseData.message || "Paytrail answered 403 without a transactionId and stepUpUrl",
+        source: "paytrail",
+        upstreamStatus: 403,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    } else if (paytrailResponse.status >= 500) {
+      // Paytrail server error
+      console.error("❌ Paytrail returned 500 server error for Klarna authorization-hold:", forLog(responseData));
+      return errorResponse(c, 502, {
+        code: "UPSTREAM_UNAVAILABLE",
+        message: responseData.message || responseData.error || "Paytrail API returned a server error",
+        source: "paytrail",
+        upstreamStatus: paytrailResponse.status,
+        correlationId: paytrailRequestId(paytrailResponse),
+        details: responseData,
+      });
+    }
+
+    // Unexpected response format or status
+    console.error("❌ Unexpected response from Paytrail for Klarna authorization-hold:", {
+      status: paytrailResponse.status,
+      statusText: paytrailResponse.statusText,
+      headers: forLog(Object.fromEntries(paytrailResponse.headers.entries())),
+      data: forLog(responseData),
+      expected: "Status 200/201 with transactionId, or status 403 with transactionId and stepUpUrl",
+    });
+    // Paytrail's own errors ({ status: "error", message, meta }) end up here with their 4xx status
+    const fields = paytrailFieldErrors(responseData);
+    return errorResponse(c, upstreamHttpStatus(paytrailResponse.status), {
+      code: paytrailResponse.status === 400 && fields.length
+        ? "VALIDATION_FAILED"
+        : paytrailResponse.status >= 400 ? upstreamErrorCode(paytrailResponse.status) : "UPSTREAM_BAD_RESPONSE",
+      message: responseData.message || `Paytrail returned status ${paytrailResponse.status} without a transactionId`,
+      source: "paytrail",
+      upstreamStatus: paytrailResponse.status,
+      correlationId: paytrailRequestId(paytrailResponse),
+      fields,
+      details: responseData,
+    });
+  } catch (error) {
+    console.error(
+      "❌ Error creating Klarna authorization hold:",
+      error instanceof Error ? error.message : String(error),
+    );
+
+    return thrownErrorResponse(c, error, "Failed to create payment with Paytrail API");
+  }
+});
+
+// ============================================================================
+// PAYTRAIL TOKEN PAYMENTS
+// ============================================================================
+
+/**
+ * Paytrail credentials from the session or merchantId/secretKey in the body; null when neither has both.
+ */
+function getPaytrailBodyCredentials(
+  c: Context,
+  body: Record<string, unknown> | null,
+): { merchantId: string; secretKey: string } | null {
+  const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+  return merchantId && secretKey ? { merchantId, secretKey } : null;
+}
+
+/**
+ * Error response for a failed makePaytrailRequestWithCreds call (see thrownErrorResponse).
+ */
+function paytrailRequestError(c: Context, error: unknown, label: string) {
+  console.error(`❌ ${label}:`, error instanceof Error ? error.message : error);
+  return thrownErrorResponse(c, error, label);
+}
+
+// POST /api/tokenization/addcard-form – signed form fields for the card addition form (body: { merchantId, secretKey, redirectUrls, callbackUrls?, language? })
+// The form has to be posted by the customer's browser, so this returns { action, fields } instead of calling Paytrail.
+app.post("/api/tokenization/addcard-form", async (c: Context) => {
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  const redirectUrls = body?.redirectUrls as { success?: string; cancel?: string } | undefined;
+  if (!redirectUrls?.success || !redirectUrls?.cancel) {
+    const fields = (["success", "cancel"] as const)
+      .filter((name) => !redirectUrls?.[name])
+      .map((name) => ({ field: `redirectUrls.${name}`, message: "is required" }));
+    return errorResponse(c, 400, {
+      code: "VALIDATION_FAILED",
+      message: `Missing required fields: ${describeFieldErrors(fields)}`,
+      fields,
+    });
+  }
+  const callbackUrls = body?.callbackUrls as { success?: string; cancel?: string } | undefined;
+
+  const fields: Record<string, string> = {
+    "checkout-account": creds.merchantId,
+    "checkout-algorithm": "sha256",
+    "checkout-method": "POST",
+    "checkout-nonce": crypto.randomUUID(),
+    "checkout-timestamp": new Date().toISOString(),
+    "checkout-redirect-success-url": redirectUrls.success,
+    "checkout-redirect-cancel-url": redirectUrls.cancel,
+    ...(callbackUrls?.success && { "checkout-callback-success-url": callbackUrls.success }),
+    ...(callbackUrls?.cancel && { "checkout-callback-cancel-url": callbackUrls.cancel }),
+    ...(body?.language && { language: String(body.language) }),
+  };
+  fields.signature = calculatePaytrailHmac(creds.secretKey, fields);
+
+  console.log("🔄 Add card form prepared for merchant", creds.merchantId);
+  return c.json({
+    action: `${PAYTRAIL_API_URL}/tokenization/addcard-form`,
+    method: "POST",
+    fields,
+  });
+});
+
+// POST /api/tokenization/:tokenizationId – exchange checkout-tokenization-id for a card token (body: { merchantId, secretKey })
+app.post("/api/tokenization/:tokenizationId", async (c: Context) => {
+  const tokenizationId = c.req.param("tokenizationId")?.trim() || "";
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  try {
+    console.log("🔄 Requesting card token for tokenization id:", tokenizationId);
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      `/tokenization/${encodeURIComponent(tokenizationId)}`,
+      { "checkout-tokenization-id": tokenizationId },
+      creds.merchantId,
+      creds.secretKey,
+      { "checkout-tokenization-id": tokenizationId },
+    );
+    console.log("✅ Card token received");
+    return c.json(response);
+  } catch (error) {
+    return paytrailRequestError(c, error, "Token request failed");
+  }
+});
+
+/**
+ * Shared handler for MIT/CIT charge and authorization hold on a card token.
+ * CIT requests may come back 403 with threeDSecureUrl; that is passed through as-is.
+ */
+async function handleTokenPayment(
+  c: Context,
+  endpoint: string,
+  settledStatus: "ok" | "authorization-hold",
+) {
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  const paymentData = body?.payment;
+  if (!paymentData || typeof paymentData !== "object") {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must include a payment object" });
+  }
+  const invalid = rejectInvalidPaytrailPayload(c, paymentData, "TokenPaymentRequest");
+  if (invalid) return invalid;
+
+  try {
+    console.log(`🔄 Token payment: ${endpoint}`);
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      paymentData,
+      creds.merchantId,
+      creds.secretKey,
+    ) as { transactionId?: string } | null;
+    recordPaytrailTransaction(
+      response?.transactionId,
+      creds.merchantId,
+      creds.secretKey,
+      paymentData as Record<string, unknown>,
+      settledStatus,
+    );
+    console.log("✅ Token payment created:", response?.transactionId);
+    return c.json(response, 201);
+  } catch (error) {
+    const err = error as Error & { status?: number; errorData?: { transactionId?: string; threeDSecureUrl?: string } };
+    if (err.status === 403 && err.errorData?.threeDSecureUrl) {
+      console.log("⚠️ 3DS step-up required:", err.errorData.transactionId);
+      recordPaytrailTransaction(
+        err.errorData.transactionId,
+        creds.merchantId,
+        creds.secretKey,
+        paymentData as Record<string, unknown>,
+      );
+      return c.json(err.errorData, 403);
+    }
+    return paytrailRequestError(c, error, "Token payment failed");
+  }
+}
+
+// POST /api/payments/token/mit/charge – merchant initiated charge on token (body: { payment, merchantId, secretKey })
+app.post("/api/payments/token/mit/charge", idempotent("token/mit/charge", paytrailStepUpIdempotency), (c: Context) =>
+  handleTokenPayment(c, "/payments/token/mit/charge", "ok"));
+
+// POST /api/payments/token/mit/authorization-hold – merchant initiated authorization hold on token (body: { payment, merchantId, secretKey })
+app.post("/api/payments/token/mit/authorization-hold", idempotent("token/mit/authorization-hold", paytrailStepUpIdempotency), (c: Context) =>
+  handleTokenPayment(c, "/payments/token/mit/authorization-hold", "authorization-hold"));
+
+// POST /api/payments/token/cit/charge – customer initiated charge on token, may need 3DS step-up (body: { payment, merchantId, secretKey })
+app.post("/api/payments/token/cit/charge", idempotent("token/cit/charge", paytrailStepUpIdempotency), (c: Context) =>
+  handleTokenPayment(c, "/payments/token/cit/charge", "ok"));
+
+// POST /api/payments/token/cit/authorization-hold – customer initiated authorization hold on token (body: { payment, merchantId, secretKey })
+app.post("/api/payments/token/cit/authorization-hold", idempotent("token/cit/authorization-hold", paytrailStepUpIdempotency), (c: Context) =>
+  handleTokenPayment(c, "/payments/token/cit/authorization-hold", "authorization-hold"));
+
+// POST /api/payments/:transactionId/token/commit – commit a token authorization hold (body: { payment, merchantId, secretKey })
+app.post("/api/payments/:transactionId/token/commit", async (c: Context) => {
+  const transactionId = c.req.param("transactionId")?.trim() || "";
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  try {
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/token/commit`;
+    console.log("🔄 Token commit:", endpoint);
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      body?.payment ?? null,
+      creds.merchantId,
+      creds.secretKey,
+      { "checkout-transaction-id": transactionId },
+    );
+    const record = paytrailTransactions.get(transactionId);
+    ledgerUpdateStatus("paytrail_transaction", transactionId, "ok");
+    if (record) {
+      record.status = "ok";
+      record.updatedAt = new Date().toISOString();
+    }
+    return c.json(response, 201);
+  } catch (error) {
+    return paytrailRequestError(c, error, "Token commit failed");
+  }
+});
+
+// POST /api/payments/:transactionId/token/revert – revert a token authorization hold (body: { merchantId, secretKey })
+app.post("/api/payments/:transactionId/token/revert", async (c: Context) => {
+  const transactionId = c.req.param("transactionId")?.trim() || "";
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  try {
+    const endpoint = `/payments/${encodeURIComponent(transactionId)}/token/revert`;
+    console.log("🔄 Token revert:", endpoint);
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      null,
+      creds.merchantId,
+      creds.secretKey,
+      { "checkout-transaction-id": transactionId },
+    );
+    const record = paytrailTransactions.get(transactionId);
+    ledgerUpdateStatus("paytrail_transaction", transactionId, "fail");
+    if (record) {
+      record.status = "fail";
+      record.updatedAt = new Date().toISOString();
+    }
+    return c.json(response);
+  } catch (error) {
+    return paytrailRequestError(c, error, "Token revert failed");
+  }
+});
+
+// ============================================================================
+// PAYTRAIL SETTLEMENTS AND REPORTS
+// ============================================================================
+
+// Payment reports are delivered asynchronously to a callback URL; each request gets its own
+// receiver URL (/api/paytrail/reports/:reportId/callback) and the result is kept here for polling.
+interface PaytrailReport {
+  reportId: string;
+  // sha256 of the token in the callback URL; only Paytrail (which got the URL) can deliver the report
+  callbackTokenHash: string;
+  requestId?: string;
+  settlementId?: string;
+  status: "pending" | "ready";
+  format?: "json" | "csv";
+  rows: Record<string, unknown>[];
+  requestedAt: string;
+  receivedAt?: string;
+}
+
+// Requested reports until Paytrail delivers them. In-memory only, so delivery and polling only meet
+// when they reach the same process: the Node adapter (npm start). On Vercel the callback and the poll
+// usually land on different instances and the report stays pending.
+const paytrailReports = new Map<string, PaytrailReport>();
+
+function hashReportToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Parse a CSV payment report (header row + data rows) into objects.
+ */
+function parsePaytrailCsvReport(csv: string): Record<string, unknown>[] {
+  const lines = csv.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) return [];
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ";" : ",";
+  const splitLine = (line: string): string[] => {
+    const cells: string[] = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === delimiter && !quoted) {
+        cells.push(cell);
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell);
+    return cells;
+  };
+  const header = splitLine(lines[0]);
+  return lines.slice(1).map((line) => {
+    const cells = splitLine(line);
+    return Object.fromEntries(header.map((key, index) => [key, cells[index] ?? ""]));
+  });
+}
+
+/**
+ * Request a payment report from Paytrail with a callback URL pointing back at this backend.
+ */
+async function requestPaytrailReport(
+  c: Context,
+  endpoint: string,
+  settlementId?: string,
+) {
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  const reportId = crypto.randomUUID();
+  const callbackToken = crypto.randomBytes(24).toString("base64url");
+  const report = (body?.report && typeof body.report === "object" ? body.report : {}) as Record<string, unknown>;
+  const callbackUrl = `${new URL(c.req.url).origin}/api/paytrail/reports/${reportId}/callback`;
+  const reportRequest = {
+    requestType: "json",
+    ...report,
+    callbackUrl: report.callbackUrl || `${callbackUrl}?token=${callbackToken}`,
+  };
+
+  try {
+    console.log("🔄 Requesting payment report:", endpoint);
+    const response = await makePaytrailRequestWithCreds(
+      "POST",
+      endpoint,
+      reportRequest,
+      creds.merchantId,
+      creds.secretKey,
+    ) as { requestId?: string } | null;
+    paytrailReports.set(reportId, {
+      reportId,
+      callbackTokenHash: hashReportToken(callbackToken),
+      requestId: response?.requestId,
+      settlementId,
+      status: "pending",
+      rows: [],
+      requestedAt: new Date().toISOString(),
+    });
+    console.log("✅ Payment report requested:", response?.requestId);
+    return c.json({
+      reportId,
+      requestId: response?.requestId,
+      // Without the token, which stays between this backend and Paytrail
+      callbackUrl: report.callbackUrl || callbackUrl,
+      status: "pending",
+    });
+  } catch (error) {
+    return paytrailRequestError(c, error, "Payment report request failed");
+  }
+}
+
+// POST /api/settlements – list settlement IDs (body: { merchantId, secretKey, startDate?, endDate?, bankReference?, limit?, submerchant? })
+app.post("/api/settlements", async (c: Context) => {
+  const body = await c.req.json().catch(() => null);
+  const creds = getPaytrailBodyCredentials(c, body);
+  if (!creds) return paytrailCredentialsRequired(c);
+
+  const query = new URLSearchParams();
+  for (const key of ["startDate", "endDate", "bankReference", "limit"]) {
+    if (body?.[key]) query.set(key, String(body[key]));
+  }
+  const endpoint = `/settlements${query.toString() ? `?${query}` : ""}`;
+  const extraHeaders: Record<string, string> = body?.submerchant
+    ? { submerchant: String(body.submerchant) }
+    : {};
+
+  try {
+    console.log("🔄 Listing settlements:", endpoint);
+    const response = await makePaytrailRequestWithCreds(
+      "GET",
+      endpoint,
+      null,
+      creds.merchantId,
+      creds.secretKey,
+      extraHeaders,
+    );
+    return c.json(response ?? []);
+  } catch (error) {
+    return paytrailRequestError(c, error, "Settlement listing failed");
+  }
+});
+
+// POST /api/payments/report – request a payment report (body: { merchantId, secretKey, report: { requestType?, paymentStatus?, startDate?, endDate?, limit?, reportFields? } })
+app.post("/api/payments/report", (c: Context) => requestPaytrailReport(c, "/payments/report"));
+
+// POST /api/settlements/:settlementId/payments/report – request the payments of one settlement (body: { merchantId, secretKey, report: { requestType?, reportFields? } })
+app.post("/api/settlements/:settlementId/payments/report", (c: Context) => {
+  const settlementId = c.req.param("settlementId")?.trim() || "";
+  return requestPaytrailReport(
+    c,
+    `/settlements/${encodeURIComponent(settlementId)}/payments/report`,
+    settlementId,
+  );
+});
+
+// POST /api/paytrail/reports/:reportId/callback – Paytrail delivers the report here (JSON or CSV; ?token= from the callback URL)
+app.post("/api/paytrail/reports/:reportId/callback", async (c: Context) => {
+  const report = paytrailReports.get(c.req.param("reportId"));
+  if (!report) {
+    return errorResponse(c, 404, { code: "NOT_FOUND", message: "No report was requested with this ID" });
+  }
+  const tokenHash = Buffer.from(hashReportToken(c.req.query("token") || ""));
+  if (!crypto.timingSafeEqual(tokenHash, Buffer.from(report.callbackTokenHash))) {
+    console.warn(`❌ Rejected payment report delivery for ${report.reportId}: wrong or missing token`);
+    return errorResponse(c, 401, {
+      code: "SIGNATURE_INVALID",
+      message: "Report callback token is missing or wrong",
+      source: "paytrail",
+      hint: "Deliver the report to the exact callbackUrl sent with the report request.",
+    });
+  }
+  const text = await c.req.text();
+  const isCsv = (c.req.header("content-type") || "").includes("csv");
+  try {
+    if (isCsv) {
+      report.rows = parsePaytrailCsvReport(text);
+    } else {
+      const parsed = JSON.parse(text || "[]");
+      report.rows = Array.isArray(parsed)
+        ? parsed
+        : Array.isArray(parsed?.payments)
+        ? parsed.payments
+        : [parsed];
+    }
+  } catch (error) {
+    console.error("❌ Could not parse payment report:", error instanceof Error ? error.message : String(error));
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Report body could not be parsed" });
+  }
+  report.status = "ready";
+  report.format = isCsv ? "csv" : "json";
+  report.receivedAt = new Date().toISOString();
+  console.log(`📥 Payment report ${report.reportId} received: ${report.rows.length} rows`);
+  return c.json({ received: true });
+});
+
+// GET /api/paytrail/reports/:reportId – poll a requested report
+app.get("/api/paytrail/reports/:reportId", (c: Context) => {
+  const report = paytrailReports.get(c.req.param("reportId"));
+  if (!report) {
+    return errorResponse(c, 404, {
+      code: "NOT_FOUND",
+      message: "No report was requested with this ID",
+      hint: "Reports are kept in memory by the process that requested them; on serverless runtimes use the Node adapter (npm start).",
+    });
+  }
+  const { callbackTokenHash: _callbackTokenHash, ...visible } = report;
+  return c.json(visible);
+});
+
+// ============================================================================
+// PAYTRAIL CALLBACKS
+// ============================================================================
+
+// Statuses Paytrail reports on each callback URL
+const CALLBACK_STATUSES: Record<"success" | "cancel", string[]> = {
+  success: ["ok", "pending", "delayed", "authorization-hold"],
+  cancel: ["fail"],
+};
+const FINAL_PAYTRAIL_STATUSES = ["ok", "fail"];
+
+/**
+ * Verify a Paytrail server-to-server callback and record it against the transaction.
+ * Tampered callbacks (bad signature, mismatching transaction data) are rejected; a re-delivered
+ * one is answered 200 with duplicate: true so Paytrail stops retrying.
+ */
+function handlePaytrailCallback(c: Context, event: "success" | "cancel") {
+  const params = c.req.query();
+  const transactionId = params["checkout-transaction-id"];
+  const checkoutStatus = params["checkout-status"];
+
+  const verification = verifyPaytrailQuerySignature(params);
+  if (!verification.valid) {
+    console.warn(`❌ Rejected Paytrail ${event} callback:`, verification.reason);
+    const missingParameters = verification.reason?.startsWith("Missing parameters");
+    return errorResponse(
+      c,
+      missingParameters ? 400 : 401,
+      {
+        code: missingParameters ? "BAD_REQUEST" : "SIGNATURE_INVALID",
+        message: `Invalid callback: ${verification.reason}`,
+        source: "paytrail",
+      },
+      transactionId ? { transactionId } : {},
+    );
+  }
+
+  if (processedPaytrailCallbacks.has(params["signature"])) {
+    console.log(`⚠️ Duplicate Paytrail ${event} callback ignored:`, transactionId);
+    return c.json({
+      received: true,
+      duplicate: true,
+      transactionId,
+      status: paytrailTransactions.get(transactionId)?.status ?? checkoutStatus,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!CALLBACK_STATUSES[event].includes(checkoutStatus)) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: `checkout-status "${checkoutStatus}" is not valid for the ${event} callback` }, { transactionId });
+  }
+
+  const now = new Date().toISOString();
+  let record = paytrailTransactions.get(transactionId);
+  if (record) {
+    const mismatches = [
+      record.merchantId !== params["checkout-account"] && "checkout-account",
+      record.stamp !== undefined && record.stamp !== params["checkout-stamp"] && "checkout-stamp",
+      record.amount !== undefined && String(record.amount) !== params["checkout-amount"] && "checkout-amount",
+    ].filter(Boolean);
+    if (mismatches.length > 0) {
+      console.warn(`❌ Paytrail ${event} callback does not match transaction ${transactionId}:`, mismatches);
+      return errorResponse(c, 400, {
+        code: "BAD_REQUEST",
+        message: `Invalid callback: does not match the transaction (${mismatches.join(", ")})`,
+        source: "paytrail",
+      }, { transactionId });
+    }
+    if (FINAL_PAYTRAIL_STATUSES.includes(record.status) && record.status !== checkoutStatus) {
+      return errorResponse(c, 409, {
+        code: "CONFLICT",
+        message: `Callback conflicts with transaction status: transaction is already "${record.status}"`,
+        source: "paytrail",
+      }, { transactionId });
+    }
+  } else {
+    record = {
+      transactionId,
+      merchantId: params["checkout-account"],
+      stamp: params["checkout-stamp"],
+      reference: params["checkout-reference"],
+      amount: Number(params["checkout-amount"]),
+      status: checkoutStatus,
+      createdAt: now,
+      updatedAt: now,
+      callbacks: [],
+    };
+    paytrailTransactions.set(transactionId, record);
+  }
+
+  processedPaytrailCallbacks.add(params["signature"]);
+  if (processedPaytrailCallbacks.size > PROCESSED_PAYTRAIL_CALLBACKS_MAX) {
+    processedPaytrailCallbacks.delete(processedPaytrailCallbacks.values().next().value!);
+  }
+  record.status = checkoutStatus;
+  record.provider = params["checkout-provider"] || record.provider;
+  record.updatedAt = now;
+  ledgerRecord("paytrail_transaction", transactionId, {
+    reference: record.reference,
+    merchantId: record.merchantId,
+    amount: record.amount,
+    status: checkoutStatus,
+    provider: record.provider,
+  });
+  record.callbacks.push({
+    event,
+    status: checkoutStatus,
+    provider: params["checkout-provider"],
+    receivedAt: now,
+  });
+
+  console.log(`✅ Paytrail ${event} callback verified:`, transactionId, checkoutStatus);
+  return c.json({
+    received: true,
+    duplicate: false,
+    transactionId,
+    status: checkoutStatus,
+    timestamp: now,
+  });
+}
+
+// GET /api/paytrail/callback/success – Paytrail callbackUrls.success (signed checkout-* query)
+app.get("/api/paytrail/callback/success", (c: Context) => handlePaytrailCallback(c, "success"));
+
+// GET /api/paytrail/callback/cancel – Paytrail callbackUrls.cancel (signed checkout-* query)
+app.get("/api/paytrail/callback/cancel", (c: Context) => handlePaytrailCallback(c, "cancel"));
+
+// POST /api/paytrail/verify-redirect – verify signed redirect query (body: { params, merchantId?, secretKey? })
+app.post("/api/paytrail/verify-redirect", async (c: Context) => {
+  const body = await c.req.json().catch(() => null);
+  const rawParams = body?.params;
+  if (!rawParams || (typeof rawParams !== "object" && typeof rawParams !== "string")) {
+    return errorResponse(c, 400, { code: "BAD_REQUEST", message: "Request body must include params (the redirect query string or an object of its parameters)" });
+  }
+  const params: Record<string, string> = typeof rawParams === "string"
+    ? Object.fromEntries(new URLSearchParams(rawParams))
+    : Object.fromEntries(
+      Object.entries(rawParams as Record<string, unknown>).map(([key, value]) => [key, String(value)]),
+    );
+
+  // Session or browser-held credentials are only used for their own merchant account
+  const { merchantId, secretKey } = resolvePaytrailCredentials(c, body?.merchantId, body?.secretKey);
+  const verification = verifyPaytrailQuerySignature(
+    params,
+    merchantId && merchantId === params["checkout-account"] ? secretKey : null,
+  );
+  const transactionId = params["checkout-transaction-id"];
+  const record = transactionId ? paytrailTransactions.get(transactionId) : undefined;
+
+  if (!verification.valid) {
+    console.warn("⚠️ Unverified Paytrail redirect:", transactionId, verification.reason);
+  }
+  return c.json({
+    verified: verification.valid,
+    ...(verification.reason && { reason: verification.reason }),
+    transactionId,
+    status: params["checkout-status"],
+    amount: params["checkout-amount"] ? Number(params["checkout-amount"]) : undefined,
+    provider: params["checkout-provider"],
+    ...(record && { recordedStatus: record.status }),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// 404 when no route matches (return JSON with path for debugging)
+app.all("*", (c) => {
+  return errorResponse(
+    c,
+    404,
+    { code: "NOT_FOUND", message: `No route matched ${c.req.method} ${c.req.path}` },
+    { path: c.req.path, method: c.req.method },
+  );
+});
+
+// Mounted by the runtime adapters (api/[...].ts, server.ts, kn-api-requests.ts)
+export default app;
@@ -0,0 +1,157 @@
+/**
+ * Validation of Paytrail request payloads against the schemas in paytrail-api.yaml
+ *
+ * The schemas come from backend/paytrail-schemas.json (regenerate it with
+ * npm run schemas:paytrail). Supports the part of OpenAPI 3.0 the spec uses:
+ * $ref, allOf, type, required, properties, items, enum, minimum/maximum,
+ * minLength/maxLength, pattern and the email/date formats. Properties the spec
+ * does not list (e.g. providerDetails) are passed through unchecked.
+ */
+
+import schemas from "./paytrail-schemas.json" with { type: "json" };
+
+export type PaytrailSchemaName = keyof typeof schemas;
+
+// One problem with one field, e.g. { field: "items[0].unitPrice", message: "must be an integer" }
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+interface Schema {
+  $ref?: string;
+  allOf?: Schema[];
+  type?: string;
+  format?: string;
+  nullable?: boolean;
+  required?: string[];
+  properties?: Record<string, Schema>;
+  items?: Schema;
+  enum?: unknown[];
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+}
+
+const SCHEMAS = schemas as Record<string, Schema>;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function fieldPath(parent: string, name: string): string {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function typeMatches(value: unknown, type: string): boolean {
+  switch (type) {
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    default:
+      return true;
+  }
+}
+
+function describeType(type: string): string {
+  return type === "array" || type === "object" || type === "integer" ? `an ${type}` : `a ${type}`;
+}
+
+function validateValue(value: unknown, schema: Schema, field: string, errors: FieldError[]): void {
+  if (schema.$ref) {
+    const resolved = SCHEMAS[schema.$ref.replace("#/components/schemas/", "")];
+    if (resolved) validateValue(value, resolved, field, errors);
+    return;
+  }
+  for (const part of schema.allOf || []) validateValue(value, part, field, errors);
+
+  if (value === null && schema.nullable) return;
+  if (schema.type && !typeMatches(value, schema.type)) {
+    errors.push({ field, message: `must be ${describeType(schema.type)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(", ")}` });
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters (is ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === "email" && !EMAIL_PATTERN.test(value)) {
+      errors.push({ field, message: "must be an email address" });
+    }
+    if (schema.format === "date" && !DATE_PATTERN.test(value)) {
+      errors.push({ field, message: "must be a date (YYYY-MM-DD)" });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items!, `${field}[${index}]`, errors));
+  }
+
+  if (schema.properties || schema.required) {
+    const record = value as Record<string, unknown>;
+    for (const name of schema.required || []) {
+      if (record[name] === undefined || record[name] === null) {
+        errors.push({ field: fieldPath(field, name), message: "is required" });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (record[name] !== undefined && record[name] !== null) {
+        validateValue(record[name], propertySchema, fieldPath(field, name), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate payload against a schema from paytrail-api.yaml. Returns every problem found
+ * (empty when the payload is valid), with dotted field paths relative to the payload.
+ * optional lists top-level fields the schema requires that this route does not.
+ */
+export function validatePaytrailPayload(
+  payload: unknown,
+  schemaName: PaytrailSchemaName,
+  optional: string[] = [],
+): FieldError[] {
+  const schema = SCHEMAS[schemaName];
+  const errors: FieldError[] = [];
+  validateValue(payload, { ...schema, required: schema.required?.filter((name) => !optional.includes(name)) }, "", errors);
+  return errors;
+}
+
+/**
+ * One-line summary of field errors for the error message of a 400 response
+ */
+export function describeFieldErrors(errors: FieldError[]): string {
+  const shown = errors.slice(0, 3).map((error) => `${error.field || "payload"} ${error.message}`);
+  const more = errors.length > shown.length ? ` (and ${errors.length - shown.length} more)` : "";
+  return `${shown.join("; ")}${more}`;
+}
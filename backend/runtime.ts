@@ -0,0 +1,110 @@
+/**
+ * Runtime adapters for the shared backend (backend/app.ts)
+ *
+ * The routes are written once; an adapter only supplies what differs between runtimes:
+ * where environment variables come from, how an mTLS client certificate is presented,
+ * and where the transaction ledger is stored.
+ *
+ *   - node:    server.ts (npm start)
+ *   - vercel:  api/[...].ts (chosen automatically when VERCEL is set)
+ *   - valtown: kn-api-requests.ts, which registers its Deno adapter with setRuntime()
+ *
+ * backend/app.ts reads the adapter once, when it is first imported, so setRuntime()
+ * has to run before that import (kn-api-requests.ts imports the app dynamically).
+ */
+
+import { Buffer } from "node:buffer";
+import https from "node:https";
+import path from "node:path";
+import process from "node:process";
+
+export interface ClientCertificate {
+  cert: string; // PEM
+  key: string; // PEM
+}
+
+export interface BackendRuntime {
+  name: "node" | "vercel" | "valtown";
+  getEnv(key: string): string | undefined;
+  // fetch() over HTTPS presenting the client certificate
+  mtlsFetch(url: string, options: RequestInit, certificate: ClientCertificate): Promise<Response>;
+  // Ledger JSON file when LEDGER_FILE is not set; null keeps the ledger in memory
+  defaultLedgerFile: string | null;
+}
+
+// HTTPS request presenting the mTLS client certificate, wrapped as a fetch Response
+function nodeMtlsFetch(
+  url: string,
+  options: RequestInit,
+  certificate: ClientCertificate,
+): Promise<Response> {
+  const headers = Object.fromEntries(new Headers(options.headers).entries());
+  const body = typeof options.body === "string" ? options.body : undefined;
+  if (body !== undefined) {
+    headers["content-length"] = String(Buffer.byteLength(body));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, {
+      method: options.method || "GET",
+      headers,
+      cert: certificate.cert,
+      key: certificate.key,
+    }, (res) => {
+      const chunks: Buffer[] = [];
+      res.on("data", (chunk: Buffer) => chunks.push(chunk));
+      res.on("error", reject);
+      res.on("end", () => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          if (value === undefined) continue;
+          responseHeaders.set(name, Array.isArray(value) ? value.join(", ") : value);
+        }
+        const status = res.statusCode || 502;
+        resolve(
+          new Response(
+            status === 204 || status === 304 ? null : Buffer.concat(chunks),
+            { status, statusText: res.statusMessage, headers: responseHeaders },
+          ),
+        );
+      });
+    });
+    req.on("error", reject);
+    if (options.signal) {
+      options.signal.addEventListener("abort", () => req.destroy(new Error("Request aborted")));
+    }
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+export const nodeRuntime: BackendRuntime = {
+  name: "node",
+  getEnv: (key) => process.env[key],
+  mtlsFetch: nodeMtlsFetch,
+  defaultLedgerFile: path.join("data", "transaction-ledger.json"),
+};
+
+// Vercel runs the same Node code; only /tmp is writable there (per instance, not kept between deployments)
+export const vercelRuntime: BackendRuntime = {
+  ...nodeRuntime,
+  name: "vercel",
+  defaultLedgerFile: "/tmp/transaction-ledger.json",
+};
+
+let current: BackendRuntime | null = null;
+
+/**
+ * Use adapter for the backend. Must be called before backend/app.ts is imported.
+ */
+export function setRuntime(adapter: BackendRuntime): void {
+  current = adapter;
+}
+
+/**
+ * The registered adapter, or the Node/Vercel one when none was registered
+ */
+export function getRuntime(): BackendRuntime {
+  if (!current) current = process.env.VERCEL ? vercelRuntime : nodeRuntime;
+  return current;
+}
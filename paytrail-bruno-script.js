@@ -1,5 +1,5 @@
 // Bruno Pre-request Script for Paytrail HMAC Authentication
-// Matches the exact implementation from api/[...].ts
+// Matches the exact implementation from backend/app.ts
 
 const crypto = require('crypto');
 
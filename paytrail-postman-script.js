@@ -1,5 +1,5 @@
 // Postman Pre-request Script for Paytrail HMAC Authentication
-// Matches the exact implementation from api/[...].ts
+// Matches the exact implementation from backend/app.ts
 
 // Use crypto-js which is available in Postman
 const CryptoJS = require('crypto-js');
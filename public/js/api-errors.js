@@ -0,0 +1,89 @@
+/**
+ * Display of the API error envelope
+ *
+ * Every failing /api route answers with (see ERROR ENVELOPE in backend/app.ts):
+ *   { status: "ERROR", message, error: { code, message, source, upstreamStatus, correlationId,
+ *     fields, hint, details }, timestamp }
+ * These helpers turn it into the same lines wherever an error is shown: the backend log
+ * panels (logBackendError), manage-transactions and the testing page.
+ *
+ * ES module; the classic page scripts use window.ApiErrors (load it with type="module").
+ */
+
+const SOURCE_LABELS = {
+  klarna: "Klarna",
+  paytrail: "Paytrail",
+};
+
+/**
+ * The error object of an API response body, or null when the body is not an error envelope
+ * @param {*} data - Parsed response body
+ * @returns {Object|null} { code, message, source, upstreamStatus, correlationId, fields, hint, details }
+ */
+export function apiErrorOf(data) {
+  const error = data && data.error;
+  return error && typeof error === "object" && error.code ? error : null;
+}
+
+/**
+ * Error thrown by fetch helpers for a failed API response; keeps the envelope for display
+ */
+export class ApiRequestError extends Error {
+  /**
+   * @param {Object} data - Parsed response body
+   * @param {string} fallback - Message when the body has none
+   */
+  constructor(data, fallback = "Request failed") {
+    super((data && data.message) || fallback);
+    this.name = "ApiRequestError";
+    this.data = data;
+    this.apiError = apiErrorOf(data);
+  }
+}
+
+/**
+ * Label/value rows of an envelope error, in display order; fields are one row each
+ * @param {Object} error - Envelope error (apiErrorOf)
+ * @returns {Array<[string, string]>}
+ */
+export function apiErrorRows(error) {
+  const rows = [["Code", error.code]];
+  const upstream = SOURCE_LABELS[error.source];
+  if (upstream) {
+    rows.push([
+      "Upstream",
+      error.upstreamStatus ? `${upstream} HTTP ${error.upstreamStatus}` : upstream,
+    ]);
+  }
+  if (error.correlationId) rows.push(["Correlation ID", error.correlationId]);
+  (error.fields || []).forEach((field) => {
+    rows.push(["Field", `${field.field || "payload"} ${field.message}`]);
+  });
+  if (error.hint) rows.push(["Hint", error.hint]);
+  return rows;
+}
+
+/**
+ * Multi-line text of a failed request: the message, then code, upstream status,
+ * correlation ID, field errors and hint. Accepts a response body, an ApiRequestError,
+ * another Error or a string; anything without an envelope gives just its message.
+ * @param {*} source - Response body, Error or message
+ * @param {string} fallback - Message when source has none
+ * @returns {string}
+ */
+export function describeApiError(source, fallback = "Request failed") {
+  if (typeof source === "string") return source;
+  const data = source instanceof ApiRequestError ? source.data : source;
+  const message = (source && source.message) || (data && data.message) || fallback;
+  const error = apiErrorOf(data);
+  if (!error) return message;
+  const rows = apiErrorRows(error).map(([label, value]) => `${label}: ${value}`);
+  return [message, ...rows].join("\n");
+}
+
+window.ApiErrors = {
+  apiErrorOf,
+  apiErrorRows,
+  describe: describeApiError,
+  RequestError: ApiRequestError,
+};
@@ -0,0 +1,67 @@
+/**
+ * Live backend events for the Klarna Payment Selector Demo
+ *
+ * Subscribes to GET /api/logs/stream (Server-Sent Events). The backend tags each
+ * upstream Klarna/Paytrail request, response, retry and error with this browser's
+ * session cookie, so only calls made from this browser show up here.
+ */
+
+import { API_BASE } from "./constants.js";
+
+const STREAM_URL = `${API_BASE}/api/logs/stream`;
+// Last event ID seen in this tab, so a page load doesn't replay events already logged
+const LAST_EVENT_ID_KEY = "backend_events_last_id";
+
+// One EventSource per page, shared by all subscribers
+let source = null;
+const handlers = new Set();
+
+/**
+ * Call handler for every backend event of this session
+ * @param {Function} handler - Receives the parsed event ({ id, type, at, route, label, ... })
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeBackendEvents(handler) {
+  handlers.add(handler);
+  if (!source && typeof EventSource !== "undefined") {
+    // EventSource reconnects by itself and resends Last-Event-ID, so nothing is missed
+    const since = sessionStorage.getItem(LAST_EVENT_ID_KEY);
+    source = new EventSource(since ? `${STREAM_URL}?since=${encodeURIComponent(since)}` : STREAM_URL);
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (e) {
+        console.warn("Ignoring malformed backend event:", message.data);
+        return;
+      }
+      sessionStorage.setItem(LAST_EVENT_ID_KEY, String(event.id));
+      handlers.forEach((fn) => fn(event));
+    };
+  }
+  return () => {
+    handlers.delete(handler);
+    if (handlers.size === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+}
+
+/**
+ * One-line summary of a backend event, used as log entry title
+ */
+export function describeBackendEvent(event) {
+  switch (event.type) {
+    case "upstream.request":
+      return `→ ${event.label}${event.attempt > 1 ? ` (attempt ${event.attempt})` : ""}`;
+    case "upstream.response":
+      return `← ${event.label}: ${event.status} in ${event.durationMs}ms`;
+    case "upstream.retry":
+      return `🔁 ${event.label}: ${event.reason}, retrying in ${event.retryInMs}ms`;
+    case "upstream.error":
+      return `✕ ${event.label}: ${event.error}`;
+    default:
+      return `${event.type}${event.label ? `: ${event.label}` : ""}`;
+  }
+}
@@ -13,6 +13,7 @@ import {
 } from "./state.js";
 import {
   $,
+  authModeAcquiringPartner,
   authModeBadge,
   authModeSubPartner,
   authModeToggle,
@@ -22,6 +23,7 @@ import {
   customerTokenStatus,
 } from "./dom.js";
 import { updateInteroperabilityOptionsVisibility } from "./utils.js";
+import { ApiRequestError } from "./api-errors.js";
 
 // Callback for rendering both presentations - set by main.js
 let renderBothPresentationsCallback = null;
@@ -65,31 +67,49 @@ function getConfigFromLocalStorage() {
   };
 }
 
-export async function loadConfig() {
+/**
+ * Combine the server config with a locally saved Sub Partner client ID.
+ * The local client ID replaces the server's Sub Partner mode and stays the default;
+ * an Acquiring Partner mode configured on the server remains selectable.
+ */
+function withLocalSubPartner(serverData, localData) {
+  if (!serverData) return localData;
+  const otherModes = (serverData.availableModes || []).filter((m) =>
+    m.mode !== "SUB_PARTNER"
+  );
+  return {
+    ...serverData,
+    clientId: localData.clientId,
+    authMode: "SUB_PARTNER",
+    defaultMode: "SUB_PARTNER",
+    availableModes: [...localData.availableModes, ...otherModes],
+  };
+}
+
+/**
+ * Load SDK config and auth modes.
+ * options.authMode selects a mode other than the default when it is available
+ * (e.g. the product page, which only supports SUB_PARTNER).
+ */
+export async function loadConfig(options = {}) {
   try {
     const localData = getConfigFromLocalStorage();
-    if (localData) {
-      setSdkConfig(localData);
-      setAvailableAuthModes(localData.availableModes || []);
-      setCurrentAuthMode(localData.defaultMode || localData.authMode);
-      if (configError) {
-        configError.style.display = "none";
-      }
-      if (authModeToggle) {
-        setupAuthModeToggle();
+    let serverData = null;
+    try {
+      const response = await fetch(`${API_BASE}/api/config`);
+      const json = await response.json();
+      if (!response.ok) {
+        throw new ApiRequestError(json, "Failed to load configuration");
       }
-      if (authModeBadge) {
-        updateAuthModeUI();
-      }
-      return true;
+      serverData = json;
+    } catch (error) {
+      // Locally saved credentials are enough for Sub Partner mode
+      if (!localData) throw error;
     }
 
-    const response = await fetch(`${API_BASE}/api/config`);
-    const data = await response.json();
-
-    if (!response.ok || data.error) {
-      throw new Error(data.error || "Failed to load configuration");
-    }
+    const data = localData
+      ? withLocalSubPartner(serverData, localData)
+      : serverData;
 
     setSdkConfig(data);
     if (configError) {
@@ -97,11 +117,15 @@ export async function loadConfig() {
     }
 
     // Store available modes and set current mode
-    setAvailableAuthModes(data.availableModes || []);
-    setCurrentAuthMode(data.defaultMode || data.authMode);
+    const modes = data.availableModes || [];
+    setAvailableAuthModes(modes);
+    const requestedMode = modes.find((m) => m.mode === options.authMode);
+    setCurrentAuthMode(
+      requestedMode ? requestedMode.mode : data.defaultMode || data.authMode,
+    );
 
-    // Update sdkConfig.authMode to reflect current selection
-    data.authMode = currentAuthMode;
+    // Update sdkConfig to reflect current selection
+    applyAuthModeToSdkConfig(currentAuthMode);
 
     // Set up auth mode toggle (only if elements exist)
     if (authModeToggle) {
@@ -148,19 +172,32 @@ export async function loadConfig() {
 // ============================================================================
 
 /**
- * Set up auth mode toggle (always SUB_PARTNER mode)
+ * Point sdkConfig at the client ID (and partner account) of the given auth mode
+ */
+function applyAuthModeToSdkConfig(mode) {
+  const modeConfig = availableAuthModes.find((m) => m.mode === mode);
+  if (!modeConfig || !sdkConfig) return;
+  sdkConfig.authMode = mode;
+  sdkConfig.clientId = modeConfig.clientId;
+  sdkConfig.partnerAccountId = modeConfig.partnerAccountId || null;
+}
+
+/**
+ * Set up auth mode toggle (only shown when both modes are configured)
  */
 function setupAuthModeToggle() {
   if (!authModeToggle) return;
 
-  // Hide the toggle since we only support SUB_PARTNER mode
-  authModeToggle.style.display = "none";
+  authModeToggle.style.display = availableAuthModes.length > 1
+    ? "flex"
+    : "none";
 
-  // Ensure SUB_PARTNER is selected
-  if (authModeSubPartner) {
-    authModeSubPartner.checked = true;
-    authModeSubPartner.disabled = false;
-  }
+  [authModeAcquiringPartner, authModeSubPartner].forEach((input) => {
+    if (!input) return;
+    input.disabled = !availableAuthModes.some((m) => m.mode === input.value);
+    input.checked = input.value === currentAuthMode;
+    input.onchange = handleAuthModeChange;
+  });
 }
 
 /**
@@ -174,40 +211,42 @@ async function handleAuthModeChange(event) {
   setCurrentAuthMode(newMode);
 
   // Update sdkConfig
-  const modeConfig = availableAuthModes.find((m) => m.mode === newMode);
-  if (modeConfig && sdkConfig) {
-    sdkConfig.authMode = newMode;
-    sdkConfig.clientId = modeConfig.clientId;
-  }
+  applyAuthModeToSdkConfig(newMode);
 
   // Update UI
   updateAuthModeUI();
 
-  // Re-render both presentations (with token reset since credentials changed)
+  // Re-render both presentations (resets the SDK, since the client ID changed)
   if (renderBothPresentationsCallback) {
     await renderBothPresentationsCallback({ resetTokens: true });
   }
 }
 
 /**
- * Update UI elements based on current auth mode (always SUB_PARTNER)
+ * Update UI elements based on current auth mode
  */
 export function updateAuthModeUI() {
+  const isAcquiringPartner = currentAuthMode === "ACQUIRING_PARTNER";
+
   // Update auth mode badge
   if (authModeBadge) {
-    authModeBadge.textContent = "👤 Sub Partner";
-    authModeBadge.className = "auth-mode-badge sub-partner";
+    authModeBadge.textContent = isAcquiringPartner
+      ? "🏢 Acquiring Partner"
+      : "👤 Sub Partner";
+    authModeBadge.className = `auth-mode-badge ${
+      isAcquiringPartner ? "acquiring-partner" : "sub-partner"
+    }`;
     authModeBadge.style.display = "inline-block";
   }
 
   // Update info banners (only if they exist)
   const subPartnerBanner = $("#info-banner-sub-partner");
   if (subPartnerBanner) {
-    subPartnerBanner.style.display = "flex";
+    subPartnerBanner.style.display = isAcquiringPartner ? "none" : "flex";
   }
   const acquiringPartnerBanner = $("#info-banner-acquiring-partner");
   if (acquiringPartnerBanner) {
-    acquiringPartnerBanner.style.display = "none";
+    acquiringPartnerBanner.style.display = isAcquiringPartner ? "flex" : "none";
   }
 
   // Update interoperability options visibility (only if element exists)
@@ -0,0 +1,116 @@
+/**
+ * Credential profile switcher.
+ * Adds a header bar with the named credential profiles (see CredentialStorage) to
+ * the top of the page. Switching a profile swaps the stored credentials and the
+ * session's secrets; pages listen for CredentialStorage.PROFILE_CHANGE_EVENT to
+ * reload forms, banners and the Klarna SDK.
+ * Load after credentials-storage.js.
+ */
+(function () {
+  var BAR_ID = 'credential-profile-bar';
+
+  function addStyles() {
+    if (document.getElementById('credential-profile-bar-styles')) return;
+    var style = document.createElement('style');
+    style.id = 'credential-profile-bar-styles';
+    style.textContent = [
+      '#' + BAR_ID + ' { display: flex; align-items: center; justify-content: center; gap: 0.5rem; flex-wrap: wrap; width: 100%; box-sizing: border-box; padding: 0.4rem 1rem; background: #F4F4F6; border-bottom: 1px solid #E0E0E0; font-family: "Klarna Text", -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; font-size: 0.85rem; color: #0B051D; }',
+      '#' + BAR_ID + ' label { font-weight: 600; display: flex; align-items: center; gap: 0.4rem; }',
+      '#' + BAR_ID + ' select { padding: 0.25rem 0.5rem; font-size: 0.85rem; border: 1px solid #ccc; border-radius: 6px; background: #fff; }',
+      '#' + BAR_ID + ' button { padding: 0.25rem 0.6rem; font-size: 0.8rem; background: #fff; color: #0B051D; border: 1px solid #0B051D; border-radius: 6px; cursor: pointer; font-weight: 600; }',
+      '#' + BAR_ID + ' button:hover { background: #EDEDF0; }',
+      '#' + BAR_ID + ' button:disabled { opacity: 0.5; cursor: default; }',
+      '#' + BAR_ID + ' .credential-profile-summary { color: #555; }'
+    ].join('\n');
+    document.head.appendChild(style);
+  }
+
+  function describe(profile) {
+    var parts = [];
+    parts.push(profile.merchantId ? 'Paytrail ' + profile.merchantId + (profile.paytrailConfigured ? ' ✓' : '') : 'No Paytrail merchant');
+    parts.push('Klarna ' + (profile.klarnaEnvironment || 'playground') + (profile.klarnaConfigured ? ' ✓' : ''));
+    return parts.join(' · ');
+  }
+
+  function render(bar) {
+    var storage = window.CredentialStorage;
+    var profiles = storage.listProfiles();
+    var select = bar.querySelector('select');
+    select.innerHTML = '';
+    profiles.forEach(function (profile) {
+      var option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      option.selected = profile.active;
+      select.appendChild(option);
+    });
+    var active = profiles.filter(function (p) { return p.active; })[0];
+    bar.querySelector('.credential-profile-summary').textContent = active ? describe(active) : '';
+    bar.querySelector('[data-action="delete"]').disabled = profiles.length < 2;
+  }
+
+  function run(bar, action) {
+    Array.prototype.forEach.call(bar.querySelectorAll('select, button'), function (el) { el.disabled = true; });
+    return action
+      .catch(function (error) { alert(error.message); })
+      .then(function () {
+        Array.prototype.forEach.call(bar.querySelectorAll('select, button'), function (el) { el.disabled = false; });
+        render(bar);
+      });
+  }
+
+  function promptName(message) {
+    var name = prompt(message);
+    return name ? name.trim() : '';
+  }
+
+  function mount() {
+    var storage = window.CredentialStorage;
+    if (!storage || document.getElementById(BAR_ID)) return;
+    addStyles();
+
+    var bar = document.createElement('div');
+    bar.id = BAR_ID;
+    bar.innerHTML =
+      '<label>🔑 Credential profile <select aria-label="Credential profile"></select></label>' +
+      '<span class="credential-profile-summary"></span>' +
+      '<button type="button" data-action="new" title="Start an empty profile">New</button>' +
+      '<button type="button" data-action="save-as" title="Copy these credentials to a new profile">Save as…</button>' +
+      '<button type="button" data-action="delete" title="Delete this profile">Delete</button>';
+    document.body.insertBefore(bar, document.body.firstChild);
+
+    bar.querySelector('select').addEventListener('change', function (e) {
+      run(bar, storage.switchProfile(e.target.value));
+    });
+    bar.querySelector('[data-action="new"]').addEventListener('click', function () {
+      var name = promptName('Name of the new profile (e.g. "SE prod"):');
+      if (name) run(bar, storage.switchProfile(name));
+    });
+    bar.querySelector('[data-action="save-as"]').addEventListener('click', function () {
+      var name = promptName('Save the current credentials as profile:');
+      if (name) run(bar, storage.saveProfileAs(name));
+    });
+    bar.querySelector('[data-action="delete"]').addEventListener('click', function () {
+      var name = storage.getActiveProfile();
+      var others = storage.listProfiles().filter(function (p) { return !p.active; });
+      if (!others.length || !confirm('Delete profile "' + name + '" and switch to "' + others[0].name + '"?')) return;
+      run(bar, storage.switchProfile(others[0].name).then(function () { return storage.deleteProfile(name); }));
+    });
+
+    render(bar);
+    // Saving credentials (or the session refresh on load) changes what the summary shows
+    window.addEventListener(storage.SESSION_CHANGE_EVENT, function () { render(bar); });
+    window.addEventListener(storage.PROFILE_CHANGE_EVENT, function () { render(bar); });
+    window.addEventListener('storage', function (e) {
+      if (e.key === storage.KEYS.ACTIVE_PROFILE || e.key === storage.KEYS.PROFILES || e.key === storage.KEYS.SESSION) render(bar);
+    });
+  }
+
+  window.CredentialProfileSwitcher = { mount: mount };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mount);
+  } else {
+    mount();
+  }
+})();
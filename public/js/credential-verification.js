@@ -0,0 +1,145 @@
+/**
+ * Credential verification for the credentials modals.
+ * Save first calls POST /api/credentials/verify and shows, inside the modal, which
+ * credentials Paytrail and Klarna accepted, the Klarna environment of the API key
+ * and whether the mTLS certificate was accepted. Valid credentials are saved after
+ * a short pause to show the result; otherwise it stays visible and a second Save
+ * stores them anyway.
+ *
+ * Usage in a Save handler (which runs again once verification allows it):
+ *   if (!CredentialVerification.alreadyVerified(modal, fields)) {
+ *     CredentialVerification.verify(modal, fields).then(function (ok) { if (ok) save(); });
+ *     return;
+ *   }
+ */
+(function () {
+  var VERIFY_URL = '/api/credentials/verify';
+  var VALID_RESULT_DISPLAY_MS = 900;
+
+  // Fields of the last verification that was shown, so a second Save with the same values goes through
+  var lastShown = null;
+
+  function fingerprint(fields) {
+    return JSON.stringify([fields.merchantId || '', fields.secretKey || '', fields.klarnaApiKey || '', fields.klarnaEnvironment || '']);
+  }
+
+  function resultBox(modal) {
+    return modal && modal.querySelector('[data-credentials-verify-result]');
+  }
+
+  function saveButton(modal) {
+    return modal && modal.querySelector('[data-credentials-save]');
+  }
+
+  function line(ok, text) {
+    var row = document.createElement('div');
+    row.style.color = ok === true ? '#166534' : ok === false ? '#B91C1C' : '#92400E';
+    row.textContent = (ok === true ? '✅ ' : ok === false ? '❌ ' : '⚠️ ') + text;
+    return row;
+  }
+
+  function render(box, result) {
+    box.innerHTML = '';
+    var p = result.paytrail || {};
+    if (p.configured) {
+      var merchant = 'Paytrail merchant ' + p.merchantId + ' (' + (p.environment === 'test' ? 'test account' : 'production account') + ')';
+      box.appendChild(line(p.valid, p.valid ? merchant : merchant + ': ' + (p.message || 'not accepted')));
+    }
+    var k = result.klarna || {};
+    if (k.configured) {
+      box.appendChild(line(k.valid, k.valid
+        ? 'Klarna API key (' + k.environment + ')'
+        : 'Klarna API key: ' + (k.message || 'not accepted')));
+    }
+    var m = result.mtls || {};
+    if (m.configured) {
+      box.appendChild(line(m.accepted, m.accepted === null
+        ? 'mTLS: not checked' + (k.configured ? '' : ' (needs a Klarna API key)')
+        : 'mTLS certificate ' + (m.accepted ? 'accepted' : 'not accepted') + ' (' + m.verificationStatus + ')'));
+    }
+    box.style.display = 'block';
+  }
+
+  function clear(modal) {
+    lastShown = null;
+    var box = resultBox(modal);
+    if (box) {
+      box.innerHTML = '';
+      box.style.display = 'none';
+    }
+    var button = saveButton(modal);
+    if (button && button.dataset.label) button.textContent = button.dataset.label;
+  }
+
+  /**
+   * Whether these fields were already verified and shown, so Save should store them now
+   */
+  function alreadyVerified(modal, fields) {
+    if (lastShown !== fingerprint(fields)) return false;
+    clear(modal);
+    return true;
+  }
+
+  /**
+   * Verify fields and show the result in the modal. Resolves true when Save can go ahead
+   * without asking (everything valid, or the check itself could not run).
+   */
+  function verify(modal, fields) {
+    var box = resultBox(modal);
+    var button = saveButton(modal);
+    if (button && !button.dataset.label) button.dataset.label = button.textContent;
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Verifying…';
+    }
+    if (box) {
+      box.innerHTML = '';
+      box.appendChild(line(null, 'Checking credentials with Paytrail and Klarna…'));
+      box.style.display = 'block';
+    }
+
+    return fetch(VERIFY_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify(fields)
+    })
+      .then(function (res) {
+        return res.json().then(function (data) {
+          if (!res.ok) throw new Error(data.message || ('HTTP ' + res.status));
+          return data;
+        });
+      })
+      .then(function (result) {
+        if (box) render(box, result);
+        lastShown = fingerprint(fields);
+        if (result.valid) {
+          if (button) button.textContent = 'Saving…';
+          return new Promise(function (resolve) {
+            setTimeout(function () {
+              if (button) button.disabled = false;
+              resolve(true);
+            }, VALID_RESULT_DISPLAY_MS);
+          });
+        }
+        if (button) {
+          button.disabled = false;
+          button.textContent = 'Save anyway';
+        }
+        return false;
+      })
+      .catch(function (error) {
+        // Verification is advisory: saving must still work when the check cannot run
+        console.warn('Credential verification failed:', error);
+        lastShown = fingerprint(fields);
+        if (button) button.disabled = false;
+        return true;
+      });
+  }
+
+  window.CredentialVerification = {
+    verify: verify,
+    alreadyVerified: alreadyVerified,
+    clear: clear
+  };
+})();
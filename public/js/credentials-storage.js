@@ -3,6 +3,17 @@
  * Uses both localStorage and sessionStorage so credentials persist even when
  * one storage is blocked (e.g. private browsing or strict settings).
  * Reads from localStorage first, then sessionStorage.
+ *
+ * Secrets (Paytrail secret key, Klarna API key) are not kept in browser storage:
+ * set() sends them to POST /api/credentials/session, which keeps them in an
+ * encrypted HttpOnly cookie that the API routes read. Only a summary of what the
+ * session holds is stored here. If the session cannot be saved, the user is told
+ * and the secret is kept in memory for this page only (sent in request bodies);
+ * it is never written to browser storage.
+ *
+ * Credentials are grouped in named profiles (e.g. "FI test merchant", "SE prod").
+ * The keys above always hold the active profile; switchProfile() swaps them and
+ * fires a "credentialprofilechange" event on window so pages can reload state.
  */
 (function () {
   var KEYS = {
@@ -10,10 +21,40 @@
     SECRET_KEY: 'paytrail_secret_key',
     KLARNA_WEBSDK_CLIENT_ID: 'klarna_websdk_client_id',
     KLARNA_API_KEY: 'klarna_api_key',
-    KLARNA_ENVIRONMENT: 'klarna_environment'
+    KLARNA_ENVIRONMENT: 'klarna_environment',
+    SESSION: 'credential_session',
+    PROFILES: 'credential_profiles',
+    ACTIVE_PROFILE: 'credential_active_profile'
   };
 
-  function get(key) {
+  var DEFAULT_PROFILE = 'default';
+  var PROFILE_CHANGE_EVENT = 'credentialprofilechange';
+  var SESSION_CHANGE_EVENT = 'credentialsessionchange';
+
+  // Non-secret keys kept per profile in browser storage (secrets live in the session)
+  var PROFILE_KEYS = [KEYS.MERCHANT_ID, KEYS.KLARNA_WEBSDK_CLIENT_ID, KEYS.KLARNA_ENVIRONMENT];
+
+  var SESSION_URL = '/api/credentials/session';
+
+  // Storage key -> field of POST /api/credentials/session
+  var SESSION_FIELDS = {
+    paytrail_merchant_id: 'merchantId',
+    paytrail_secret_key: 'secretKey',
+    klarna_api_key: 'klarnaApiKey',
+    klarna_environment: 'klarnaEnvironment'
+  };
+
+  var SECRET_STORAGE_KEYS = [KEYS.SECRET_KEY, KEYS.KLARNA_API_KEY];
+
+  // Secrets set on this page, usable until the session has them
+  var pendingSecrets = {};
+  var pendingFields = null;
+
+  function isSecret(key) {
+    return SECRET_STORAGE_KEYS.indexOf(key) !== -1;
+  }
+
+  function readStorage(key) {
     try {
       return localStorage.getItem(key) || sessionStorage.getItem(key) || null;
     } catch (e) {
@@ -21,7 +62,7 @@
     }
   }
 
-  function set(key, value) {
+  function writeStorage(key, value) {
     try {
       if (value != null && value !== '') {
         localStorage.setItem(key, value);
@@ -41,6 +82,24 @@
     }
   }
 
+  function get(key) {
+    if (isSecret(key) && pendingSecrets[key]) return pendingSecrets[key];
+    return readStorage(key);
+  }
+
+  // An empty secret keeps the one already saved (use remove() to clear it)
+  function set(key, value) {
+    if (isSecret(key)) {
+      if (value == null || value === '') return;
+      pendingSecrets[key] = value;
+      queueSessionUpdate(key, value);
+      return;
+    }
+    writeStorage(key, value);
+    if (PROFILE_KEYS.indexOf(key) !== -1) saveActiveProfileSnapshot();
+    if (SESSION_FIELDS[key] && getSession()) queueSessionUpdate(key, value || null);
+  }
+
   function remove(key) {
     try {
       localStorage.removeItem(key);
@@ -48,10 +107,290 @@
     } catch (e) {
       try { sessionStorage.removeItem(key); } catch (e2) {}
     }
+    if (PROFILE_KEYS.indexOf(key) !== -1) saveActiveProfileSnapshot();
+    if (isSecret(key)) {
+      delete pendingSecrets[key];
+      if (getSession()) queueSessionUpdate(key, null);
+    }
+  }
+
+  // ==========================================================================
+  // CREDENTIAL SESSION
+  // ==========================================================================
+
+  /**
+   * Summary of the server-side session ({ active, activeProfile, paytrail, klarna, profiles, expiresAt })
+   * for the active profile, or null when it holds no credentials
+   */
+  function getSession() {
+    try {
+      var session = JSON.parse(readStorage(KEYS.SESSION) || 'null');
+      if (session && session.active && Date.parse(session.expiresAt) > Date.now()) return session;
+    } catch (e) {}
+    return null;
+  }
+
+  // Kept while other profiles are in the session, even if the active one has no secrets
+  function storeSession(summary) {
+    var keep = summary && (summary.active || (summary.profiles && summary.profiles.length));
+    writeStorage(KEYS.SESSION, keep ? JSON.stringify(summary) : null);
+    window.dispatchEvent(new CustomEvent(SESSION_CHANGE_EVENT, { detail: keep ? summary : null }));
+  }
+
+  function readStoredSummary() {
+    try {
+      var summary = JSON.parse(readStorage(KEYS.SESSION) || 'null');
+      if (summary && Date.parse(summary.expiresAt) > Date.now()) return summary;
+    } catch (e) {}
+    return null;
+  }
+
+  function requestSession(method, url, body) {
+    return fetch(url, {
+      method: method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      credentials: 'same-origin',
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (res) {
+      return res.json().then(function (data) {
+        if (!res.ok) throw new Error(data.message || ('HTTP ' + res.status));
+        return data;
+      });
+    });
+  }
+
+  // Several set() calls in a row (one Save click) become one request
+  function queueSessionUpdate(key, value) {
+    if (!pendingFields) {
+      // The profile is fixed when queued, so a switch right after Save cannot redirect the secrets
+      pendingFields = { profile: getActiveProfile() };
+      setTimeout(flushSessionUpdate, 0);
+    }
+    pendingFields[SESSION_FIELDS[key]] = value;
+  }
+
+  function flushSessionUpdate() {
+    var fields = pendingFields;
+    pendingFields = null;
+    // The session needs the merchant ID alongside a new secret key
+    if (fields.secretKey && !('merchantId' in fields)) fields.merchantId = readStorage(KEYS.MERCHANT_ID);
+    if (!('klarnaEnvironment' in fields)) fields.klarnaEnvironment = readStorage(KEYS.KLARNA_ENVIRONMENT);
+
+    requestSession('POST', SESSION_URL, fields)
+      .then(function (summary) {
+        storeSession(summary);
+        SECRET_STORAGE_KEYS.forEach(function (key) {
+          if (SESSION_FIELDS[key] in fields) {
+            delete pendingSecrets[key];
+            writeStorage(key, null);
+          }
+        });
+      })
+      .catch(function (error) {
+        // pendingSecrets still holds them, so this page keeps working until it is left or reloaded
+        console.warn('Credential session not saved, keeping secrets for this page only:', error);
+        var saved = SECRET_STORAGE_KEYS.filter(function (key) { return fields[SESSION_FIELDS[key]]; });
+        if (saved.length) {
+          alert('Your credentials could not be saved in the server session (' + error.message + '). ' +
+            'They are used on this page only; enter them again after reloading.');
+        }
+      });
+  }
+
+  /**
+   * Re-read the session from the server (it may have expired or been signed with
+   * another key), and move secrets left in browser storage into it
+   */
+  function refreshSession() {
+    return fetch(SESSION_URL, { credentials: 'same-origin' })
+      .then(function (res) { return res.ok ? res.json() : null; })
+      .then(function (summary) {
+        storeSession(summary);
+        // A browser without a chosen profile follows the session's
+        if (summary && summary.activeProfile && !readStorage(KEYS.ACTIVE_PROFILE)) {
+          writeStorage(KEYS.ACTIVE_PROFILE, summary.activeProfile);
+        }
+        SECRET_STORAGE_KEYS.forEach(function (key) {
+          var stored = readStorage(key);
+          if (stored) {
+            pendingSecrets[key] = stored;
+            queueSessionUpdate(key, stored);
+          }
+        });
+        return getSession();
+      })
+      .catch(function () { return getSession(); });
+  }
+
+  function clearSession() {
+    storeSession(null);
+    return fetch(SESSION_URL, { method: 'DELETE', credentials: 'same-origin' }).catch(function () {});
+  }
+
+  // ==========================================================================
+  // PROFILES
+  // ==========================================================================
+
+  function readProfiles() {
+    try {
+      var profiles = JSON.parse(readStorage(KEYS.PROFILES) || 'null');
+      if (profiles && typeof profiles === 'object') return profiles;
+    } catch (e) {}
+    return {};
+  }
+
+  function writeProfiles(profiles) {
+    writeStorage(KEYS.PROFILES, JSON.stringify(profiles));
+  }
+
+  function getActiveProfile() {
+    return readStorage(KEYS.ACTIVE_PROFILE) || DEFAULT_PROFILE;
+  }
+
+  function snapshotProfile() {
+    var snapshot = {};
+    PROFILE_KEYS.forEach(function (key) {
+      var value = readStorage(key);
+      if (value) snapshot[key] = value;
+    });
+    return snapshot;
+  }
+
+  function saveActiveProfileSnapshot() {
+    var profiles = readProfiles();
+    profiles[getActiveProfile()] = snapshotProfile();
+    writeProfiles(profiles);
+  }
+
+  /**
+   * All profiles, merged from browser storage and the session summary:
+   * [{ name, active, merchantId, klarnaClientId, klarnaEnvironment, paytrailConfigured, klarnaConfigured }]
+   */
+  function listProfiles() {
+    var profiles = readProfiles();
+    var active = getActiveProfile();
+    var summary = readStoredSummary();
+    var sessionProfiles = {};
+    ((summary && summary.profiles) || []).forEach(function (p) { sessionProfiles[p.name] = p; });
+
+    var names = Object.keys(profiles);
+    Object.keys(sessionProfiles).concat([active]).forEach(function (name) {
+      if (names.indexOf(name) === -1) names.push(name);
+    });
+    names.sort(function (a, b) { return a.localeCompare(b); });
+
+    return names.map(function (name) {
+      var stored = name === active ? snapshotProfile() : (profiles[name] || {});
+      var session = sessionProfiles[name];
+      return {
+        name: name,
+        active: name === active,
+        merchantId: stored[KEYS.MERCHANT_ID] || (session && session.paytrail.merchantId) || null,
+        klarnaClientId: stored[KEYS.KLARNA_WEBSDK_CLIENT_ID] || null,
+        klarnaEnvironment: stored[KEYS.KLARNA_ENVIRONMENT] || (session && session.klarna.environment) || null,
+        paytrailConfigured: !!(session && session.paytrail.configured),
+        klarnaConfigured: !!(session && session.klarna.configured)
+      };
+    });
+  }
+
+  function activateProfile(name, body) {
+    var previous = getActiveProfile();
+    var profiles = readProfiles();
+    profiles[previous] = snapshotProfile();
+    var next = body.copyFrom ? profiles[previous] : (profiles[name] || {});
+    profiles[name] = next;
+    writeProfiles(profiles);
+
+    PROFILE_KEYS.forEach(function (key) { writeStorage(key, next[key] || null); });
+    // Secrets held on this page or left in browser storage belong to the old profile
+    pendingSecrets = {};
+    SECRET_STORAGE_KEYS.forEach(function (key) { writeStorage(key, null); });
+    writeStorage(KEYS.ACTIVE_PROFILE, name);
+
+    function notify() {
+      window.dispatchEvent(new CustomEvent(PROFILE_CHANGE_EVENT, {
+        detail: { profile: name, previousProfile: previous }
+      }));
+    }
+    return requestSession('POST', SESSION_URL, body)
+      .then(function (summary) {
+        storeSession(summary);
+        notify();
+        return summary;
+      })
+      .catch(function (error) {
+        console.warn('Credential profile not switched in the session:', error);
+        storeSession(null);
+        notify();
+        return null;
+      });
+  }
+
+  /**
+   * Make a profile active (an unknown name starts an empty profile). Resolves with the session summary.
+   */
+  function switchProfile(name) {
+    name = String(name || '').trim();
+    if (!name) return Promise.reject(new Error('Profile name is required'));
+    if (name === getActiveProfile()) return Promise.resolve(readStoredSummary());
+    return activateProfile(name, { profile: name });
+  }
+
+  /**
+   * Save the active profile's credentials (secrets included) under a new name and switch to it
+   */
+  function saveProfileAs(name) {
+    name = String(name || '').trim();
+    if (!name) return Promise.reject(new Error('Profile name is required'));
+    if (name === getActiveProfile()) return Promise.resolve(readStoredSummary());
+    return activateProfile(name, { profile: name, copyFrom: getActiveProfile() });
+  }
+
+  /**
+   * Delete an inactive profile, here and in the session
+   */
+  function deleteProfile(name) {
+    if (name === getActiveProfile()) return Promise.reject(new Error('Switch to another profile before deleting this one'));
+    var profiles = readProfiles();
+    delete profiles[name];
+    writeProfiles(profiles);
+    return requestSession('DELETE', SESSION_URL + '?profile=' + encodeURIComponent(name))
+      .then(function (summary) {
+        storeSession(summary);
+        return summary;
+      })
+      .catch(function () { return null; });
+  }
+
+  /**
+   * Whether a secret is available, on this page or in the credential session
+   */
+  function hasSecret(key) {
+    if (get(key)) return true;
+    var session = getSession();
+    if (!session) return false;
+    return key === KEYS.SECRET_KEY ? session.paytrail.configured : session.klarna.configured;
   }
 
   function hasPaytrailCredentials() {
-    return !!(get(KEYS.MERCHANT_ID) && get(KEYS.SECRET_KEY));
+    return !!(get(KEYS.MERCHANT_ID) && hasSecret(KEYS.SECRET_KEY));
+  }
+
+  function hasKlarnaApiKey() {
+    return hasSecret(KEYS.KLARNA_API_KEY);
+  }
+
+  /**
+   * Saved secrets are not read back into forms; say so in the empty input instead
+   */
+  function showSavedSecretPlaceholder(input, key) {
+    if (!input) return;
+    // Remember the page's own placeholder for profiles without a saved secret
+    if (input.dataset.defaultPlaceholder == null) input.dataset.defaultPlaceholder = input.placeholder || '';
+    input.placeholder = !input.value && !get(key) && hasSecret(key)
+      ? 'Saved in session (leave blank to keep)'
+      : input.dataset.defaultPlaceholder;
   }
 
   function storageAvailable() {
@@ -77,6 +416,21 @@
     set: set,
     remove: remove,
     hasPaytrailCredentials: hasPaytrailCredentials,
+    hasKlarnaApiKey: hasKlarnaApiKey,
+    hasSecret: hasSecret,
+    showSavedSecretPlaceholder: showSavedSecretPlaceholder,
+    PROFILE_CHANGE_EVENT: PROFILE_CHANGE_EVENT,
+    SESSION_CHANGE_EVENT: SESSION_CHANGE_EVENT,
+    getSession: getSession,
+    refreshSession: refreshSession,
+    clearSession: clearSession,
+    getActiveProfile: getActiveProfile,
+    listProfiles: listProfiles,
+    switchProfile: switchProfile,
+    saveProfileAs: saveProfileAs,
+    deleteProfile: deleteProfile,
     storageAvailable: storageAvailable
   };
+
+  if (typeof fetch !== 'undefined') refreshSession();
 })();
@@ -4,6 +4,9 @@
  * Persists across page reloads
  */
 
+import { describeBackendEvent, subscribeBackendEvents } from './backend-events.js';
+import { redactForLog } from './redaction.js';
+
 const STORAGE_KEY = 'klarna_payment_flow_logs';
 const MAX_LOGS = 200; // Maximum number of logs to keep
 
@@ -212,13 +215,13 @@ function saveLogs(logs) {
   }
 }
 
-// Add a log entry
+// Add a log entry. Secrets in data are masked before anything is stored, shown or exported
 export function logFlow(type, title, data = null) {
   const entry = {
     timestamp: new Date().toISOString(),
     type: type, // 'request', 'response', 'event', 'error', 'info'
     title: title,
-    data: data
+    data: redactForLog(data)
   };
   
   const logs = getLogs();
@@ -232,7 +235,7 @@ export function logFlow(type, title, data = null) {
   
   // Also log to console for immediate visibility
   const consoleMethod = type === 'error' ? 'error' : 'log';
-  console[consoleMethod](`[${type.toUpperCase()}] ${title}`, data || '');
+  console[consoleMethod](`[${type.toUpperCase()}] ${title}`, entry.data || '');
 }
 
 // Add log entry to display
@@ -326,7 +329,8 @@ window.toggleLogPanelVisibility = toggleLogPanelVisibility;
 
 // Export logs
 function exportLogs() {
-  const logs = getLogs();
+  // Redact again so entries stored before redaction existed don't leak into the file
+  const logs = redactForLog(getLogs());
   const dataStr = JSON.stringify(logs, null, 2);
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
@@ -337,6 +341,22 @@ function exportLogs() {
   URL.revokeObjectURL(url);
 }
 
+// Flow log type for each live backend event type
+const BACKEND_EVENT_LOG_TYPES = {
+  'upstream.request': 'request',
+  'upstream.response': 'response',
+  'upstream.retry': 'info',
+  'upstream.error': 'error'
+};
+
+// Record backend upstream calls (from /api/logs/stream) alongside the browser's own flow logs
+function logBackendEvent(event) {
+  const type = event.type === 'upstream.response' && event.status >= 400
+    ? 'error'
+    : BACKEND_EVENT_LOG_TYPES[event.type] || 'info';
+  logFlow(type, `Backend ${describeBackendEvent(event)}`, event);
+}
+
 // Initialize on page load
 if (typeof document !== 'undefined') {
   if (document.readyState === 'loading') {
@@ -344,4 +364,5 @@ if (typeof document !== 'undefined') {
   } else {
     initLogPanel();
   }
+  subscribeBackendEvents(logBackendEvent);
 }
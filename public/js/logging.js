@@ -3,6 +3,9 @@
  */
 
 import { apiLogContent, sdkLogContent } from "./dom.js";
+import { describeBackendEvent } from "./backend-events.js";
+import { apiErrorOf, ApiRequestError, describeApiError } from "./api-errors.js";
+import { maskForLog, redactForLog } from "./redaction.js";
 
 // ============================================================================
 // JSON SYNTAX HIGHLIGHTING
@@ -68,7 +71,7 @@ export function logSdkEvent(title, data, type = "") {
       <span class="log-entry-time">${new Date().toLocaleTimeString()}</span>
     </div>
     <div class="log-entry-body collapsed">
-      <pre>${syntaxHighlightJson(data)}</pre>
+      <pre>${syntaxHighlightJson(redactForLog(data))}</pre>
     </div>
   `;
 
@@ -138,7 +141,9 @@ export function logBackendCall(
     (endpoint === "payment/presentation" ? "GET" : "POST");
 
   // Build request section
-  const authModeLabel = "👤 Sub Partner";
+  const authModeLabel = request.authMode === "ACQUIRING_PARTNER"
+    ? "🏢 Acquiring Partner"
+    : "👤 Sub Partner";
   let requestHtml = `
     <div class="backend-log-section">
       <div class="backend-log-label">Request <span class="auth-mode-indicator">${authModeLabel}</span></div>
@@ -148,19 +153,25 @@ export function logBackendCall(
   // Show Klarna-Network-Session-Token header if present
   if (request.klarnaNetworkSessionToken) {
     requestHtml +=
-      `<div class="backend-log-header">Klarna-Network-Session-Token: ${request.klarnaNetworkSessionToken}</div>`;
+      `<div class="backend-log-header">Klarna-Network-Session-Token: ${maskForLog(request.klarnaNetworkSessionToken)}</div>`;
   }
 
   // Show Klarna-Customer-Token header if used (for tokenized payments)
   if (request.klarnaCustomerToken) {
     requestHtml +=
-      `<div class="backend-log-header customer-token">Klarna-Customer-Token: ${request.klarnaCustomerToken}</div>`;
+      `<div class="backend-log-header customer-token">Klarna-Customer-Token: ${maskForLog(request.klarnaCustomerToken)}</div>`;
+  }
+
+  // Show Klarna-Customer-Region header if used (interoperability test tokens)
+  if (request.klarnaCustomerRegion) {
+    requestHtml +=
+      `<div class="backend-log-header">Klarna-Customer-Region: ${request.klarnaCustomerRegion}</div>`;
   }
 
   // Show Klarna-Interoperability-Token header if used (for interoperability flows)
   if (request.klarnaInteroperabilityToken) {
     requestHtml +=
-      `<div class="backend-log-header interop-token">Klarna-Interoperability-Token: ${request.klarnaInteroperabilityToken}</div>`;
+      `<div class="backend-log-header interop-token">Klarna-Interoperability-Token: ${maskForLog(request.klarnaInteroperabilityToken)}</div>`;
   }
 
   // Show request body for POST (GET requests don't have a body - query params are already in the URL)
@@ -169,7 +180,7 @@ export function logBackendCall(
     Object.keys(request.requestBody).length > 0
   ) {
     requestHtml += `<pre>${
-      syntaxHighlightJson(request.requestBody)
+      syntaxHighlightJson(redactForLog(request.requestBody))
     }</pre></div>`;
   } else {
     requestHtml += `</div>`;
@@ -192,8 +203,21 @@ export function logBackendCall(
       `<div class="backend-log-header">klarna-correlation-id: ${response.correlationId}</div>`;
   }
 
+  // Show upstream attempts when the call was retried
+  const attempts = response.attempts || [];
+  if (attempts.length > 1) {
+    attempts.forEach((attempt) => {
+      const outcome = attempt.error || `HTTP ${attempt.status}`;
+      const retry = attempt.retryInMs !== undefined
+        ? `, retried after ${attempt.retryInMs}ms`
+        : "";
+      responseHtml +=
+        `<div class="backend-log-header retry-attempt">Attempt ${attempt.attempt}: ${outcome} (${attempt.durationMs}ms${retry})</div>`;
+    });
+  }
+
   responseHtml += `<pre>${
-    syntaxHighlightJson(response.responseBody)
+    syntaxHighlightJson(redactForLog(response.responseBody))
   }</pre></div>`;
 
   entry.innerHTML = `
@@ -224,11 +248,12 @@ export function logBackendCall(
 }
 
 /**
- * Log a backend error to the specified log panel
- * @param {string} message - Error message
+ * Log a backend error to the specified log panel. An API error envelope (response body or
+ * ApiRequestError) is shown with its code, upstream status, correlation ID, fields and hint.
+ * @param {string|Error|Object} error - Error message, Error or error response body
  * @param {string} target - Which log panel to target: 'sdk' or 'api'
  */
-export function logBackendError(message, target = "sdk") {
+export function logBackendError(error, target = "sdk") {
   const logContent = target === "api" ? apiLogContent : sdkLogContent;
   // Skip logging if log panel doesn't exist (e.g., on product page)
   if (!logContent) return;
@@ -248,9 +273,68 @@ export function logBackendError(message, target = "sdk") {
       <span class="log-entry-time">${new Date().toLocaleTimeString()}</span>
     </div>
     <div class="log-entry-body collapsed">
-      <pre>${message}</pre>
+      <pre class="backend-error-summary"></pre>
+    </div>
+  `;
+  entry.querySelector(".backend-error-summary").textContent = describeApiError(error);
+
+  const apiError = apiErrorOf(error instanceof ApiRequestError ? error.data : error);
+  if (apiError) {
+    entry.querySelector(".log-entry-title").textContent = `Error · ${apiError.code}`;
+    if (apiError.details) {
+      const label = document.createElement("div");
+      label.className = "backend-log-label";
+      label.textContent = `${apiError.source} response`;
+      const details = document.createElement("pre");
+      details.innerHTML = syntaxHighlightJson(redactForLog(apiError.details));
+      entry.querySelector(".log-entry-body").append(label, details);
+    }
+  }
+
+  // Add collapse toggle functionality
+  const header = entry.querySelector(".log-entry-header");
+  const body = entry.querySelector(".log-entry-body");
+  const icon = entry.querySelector(".log-entry-collapse-icon");
+  header.addEventListener("click", () => {
+    body.classList.toggle("collapsed");
+    icon.classList.toggle("collapsed");
+  });
+
+  logContent.insertBefore(entry, logContent.firstChild);
+}
+
+/**
+ * Log a live backend event (from /api/logs/stream) to the panel of the route that caused it:
+ * presentation calls belong to the API selector, everything else to the SDK selector
+ * @param {Object} event - Backend event ({ type, route, label, ... })
+ */
+export function logBackendStreamEvent(event) {
+  const target = event.route === "GET /api/presentation" ? "api" : "sdk";
+  const logContent = target === "api" ? apiLogContent : sdkLogContent;
+  // Skip logging if log panel doesn't exist (e.g., on product page)
+  if (!logContent) return;
+
+  const placeholder = logContent.querySelector(".log-placeholder");
+  if (placeholder) placeholder.remove();
+
+  const failed = event.type === "upstream.error" ||
+    (event.type === "upstream.response" && event.status >= 400);
+  const entry = document.createElement("div");
+  entry.className = `log-entry backend-stream${failed ? " error" : ""}`;
+  entry.innerHTML = `
+    <div class="log-entry-header">
+      <div class="log-entry-header-left">
+        <span class="log-entry-collapse-icon collapsed">▼</span>
+        <span class="log-entry-title"></span>
+        <span class="log-entry-badge live">Live</span>
+      </div>
+      <span class="log-entry-time">${new Date(event.at).toLocaleTimeString()}</span>
+    </div>
+    <div class="log-entry-body collapsed">
+      <pre>${syntaxHighlightJson(redactForLog(event))}</pre>
     </div>
   `;
+  entry.querySelector(".log-entry-title").textContent = describeBackendEvent(event);
 
   // Add collapse toggle functionality
   const header = entry.querySelector(".log-entry-header");
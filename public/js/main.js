@@ -48,7 +48,8 @@ import {
   setupApiSelectionHandlers,
   showApiLoading,
 } from "./presentation-api.js";
-import { clearApiLog, clearSdkLog } from "./logging.js";
+import { clearApiLog, clearSdkLog, logBackendStreamEvent } from "./logging.js";
+import { subscribeBackendEvents } from "./backend-events.js";
 import { setupCollapsible, setupCopyableElements } from "./ui.js";
 
 // ============================================================================
@@ -155,6 +156,9 @@ function attachConfigListeners() {
   setSelected("CARD");
   setApiSelected("CARD");
 
+  // Stream upstream calls made by the backend into the SDK/API log panels
+  subscribeBackendEvents(logBackendStreamEvent);
+
   // Load configuration from backend before initializing SDK and API presentation
   const configLoaded = await loadConfig();
   if (configLoaded) {
@@ -0,0 +1,220 @@
+/**
+ * Field-level errors for the Paytrail payload editors.
+ * The payment and refund routes check payloads against paytrail-api.yaml and answer
+ * 400 with error.fields: [{ field: 'items[0].unitPrice', message: 'must be an integer' }].
+ * This shows them next to a JSON textarea (each error selects its key in the text)
+ * or on the inputs of a form that builds the payload.
+ *
+ * Usage:
+ *   var fields = PayloadErrors.fromResponse(data);
+ *   if (fields) PayloadErrors.showInEditor(textarea, listElement, fields);
+ *   if (fields) PayloadErrors.showOnInputs(fields, { 'customer.email': 'email' });
+ */
+(function () {
+  var STYLE_ID = 'payload-errors-styles';
+
+  function addStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+    var style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = [
+      '.payload-errors { margin: 0.5rem 0 0; padding: 0.6rem 0.9rem; list-style: none; background: #FEF2F2; border: 1px solid #FCA5A5; border-radius: 8px; font-size: 0.85rem; color: #991B1B; }',
+      '.payload-errors li { padding: 0.15rem 0; cursor: pointer; }',
+      '.payload-errors li:hover { text-decoration: underline; }',
+      '.payload-errors code { font-weight: 600; color: #7F1D1D; }',
+      '.payload-field-invalid { border-color: #DC2626 !important; background: #FEF2F2 !important; }',
+      '.payload-field-message { display: block; margin-top: 0.25rem; font-size: 0.8rem; color: #B91C1C; }'
+    ].join('\n');
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Field errors of an API error response, or null when it has none
+   */
+  function fromResponse(data) {
+    var fields = data && data.error && data.error.fields;
+    return Array.isArray(fields) && fields.length ? fields : null;
+  }
+
+  function label(error) {
+    return (error.field || 'payload') + ' ' + error.message;
+  }
+
+  // 'items[0].unitPrice' -> ['items', 0, 'unitPrice']
+  function parsePath(field) {
+    var segments = [];
+    (field || '').replace(/([^.[\]]+)|\[(\d+)\]/g, function (match, name, index) {
+      segments.push(index !== undefined ? Number(index) : name);
+      return match;
+    });
+    return segments;
+  }
+
+  // Offsets of every key (and array element) in JSON text, by path, e.g. { 'customer.email': [start, end] }
+  function indexJson(text) {
+    var positions = {};
+    var i = 0;
+
+    function skipSpace() {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    }
+    function readString() {
+      var start = i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      i++;
+      return { start: start, end: i, value: JSON.parse(text.slice(start, i)) };
+    }
+    function readValue(path) {
+      skipSpace();
+      if (text[i] === '{') {
+        i++;
+        skipSpace();
+        while (i < text.length && text[i] !== '}') {
+          var key = readString();
+          var keyPath = path ? path + '.' + key.value : key.value;
+          positions[keyPath] = [key.start, key.end];
+          skipSpace();
+          i++; // :
+          readValue(keyPath);
+          skipSpace();
+          if (text[i] === ',') i++;
+          skipSpace();
+        }
+        i++;
+      } else if (text[i] === '[') {
+        i++;
+        skipSpace();
+        var index = 0;
+        while (i < text.length && text[i] !== ']') {
+          skipSpace();
+          var start = i;
+          readValue(path + '[' + index + ']');
+          positions[path + '[' + index + ']'] = [start, i];
+          index++;
+          skipSpace();
+          if (text[i] === ',') i++;
+          skipSpace();
+        }
+        i++;
+      } else if (text[i] === '"') {
+        readString();
+      } else {
+        while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+      }
+    }
+
+    try {
+      readValue('');
+    } catch (e) {
+      // Unparseable text: nothing to select
+    }
+    return positions;
+  }
+
+  // The key of field, or of its closest parent that is in the text (a missing field selects its object)
+  function locate(positions, field) {
+    var segments = parsePath(field);
+    while (segments.length) {
+      var path = segments.reduce(function (acc, segment) {
+        return typeof segment === 'number' ? acc + '[' + segment + ']' : (acc ? acc + '.' : '') + segment;
+      }, '');
+      if (positions[path]) return positions[path];
+      segments.pop();
+    }
+    return null;
+  }
+
+  function select(textarea, range) {
+    if (!range) return;
+    textarea.focus();
+    textarea.setSelectionRange(range[0], range[1]);
+    // Scroll the selection into view: setSelectionRange does not do it in every browser
+    var lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+    var line = textarea.value.slice(0, range[0]).split('\n').length - 1;
+    textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 2);
+  }
+
+  /**
+   * List fields under a JSON textarea and mark it invalid; clicking an error selects its key.
+   * The first error is selected right away.
+   */
+  function showInEditor(textarea, list, fields) {
+    addStyles();
+    clearEditor(textarea, list);
+    textarea.classList.add('payload-field-invalid');
+    var positions = indexJson(textarea.value);
+    fields.forEach(function (error) {
+      var item = document.createElement('li');
+      item.innerHTML = '<code></code> ';
+      item.querySelector('code').textContent = error.field || 'payload';
+      item.appendChild(document.createTextNode(error.message));
+      item.title = 'Show in editor';
+      item.addEventListener('click', function () { select(textarea, locate(positions, error.field)); });
+      list.appendChild(item);
+    });
+    list.classList.add('payload-errors');
+    list.style.display = 'block';
+    select(textarea, locate(positions, fields[0].field));
+  }
+
+  function clearEditor(textarea, list) {
+    if (textarea) textarea.classList.remove('payload-field-invalid');
+    if (list) {
+      list.innerHTML = '';
+      list.style.display = 'none';
+    }
+  }
+
+  function clearInput(input) {
+    input.classList.remove('payload-field-invalid');
+    input.removeAttribute('title');
+    var message = input.parentNode && input.parentNode.querySelector('.payload-field-message');
+    if (message) message.parentNode.removeChild(message);
+  }
+
+  /**
+   * Mark the form inputs behind fields. inputIds maps field paths without array indexes
+   * ('items.unitPrice') to input IDs; errors of unmapped fields are returned.
+   */
+  function showOnInputs(fields, inputIds) {
+    addStyles();
+    Object.keys(inputIds).forEach(function (field) {
+      var input = document.getElementById(inputIds[field]);
+      if (input) clearInput(input);
+    });
+    var unmapped = [];
+    var first = null;
+    fields.forEach(function (error) {
+      var input = document.getElementById(inputIds[(error.field || '').replace(/\[\d+\]/g, '')]);
+      if (!input) {
+        unmapped.push(error);
+        return;
+      }
+      if (!input.classList.contains('payload-field-invalid')) {
+        input.classList.add('payload-field-invalid');
+        var message = document.createElement('small');
+        message.className = 'payload-field-message';
+        input.parentNode.appendChild(message);
+        input.addEventListener('input', function () { clearInput(input); }, { once: true });
+        input.addEventListener('change', function () { clearInput(input); }, { once: true });
+      }
+      var shown = input.parentNode.querySelector('.payload-field-message');
+      shown.textContent = shown.textContent ? shown.textContent + '; ' + error.message : error.message;
+      input.title = shown.textContent;
+      if (!first) first = input;
+    });
+    if (first) {
+      first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      first.focus();
+    }
+    return unmapped;
+  }
+
+  window.PayloadErrors = {
+    fromResponse: fromResponse,
+    label: label,
+    showInEditor: showInEditor,
+    clearEditor: clearEditor,
+    showOnInputs: showOnInputs
+  };
+})();
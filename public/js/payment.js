@@ -22,6 +22,8 @@ import {
   isTokenizedPaymentsFlow,
 } from "./config.js";
 import { logBackendCall, logBackendError } from "./logging.js";
+import { ApiRequestError } from "./api-errors.js";
+import { redactForLog } from "./redaction.js";
 
 function getCred(key) {
   if (typeof window !== "undefined" && window.CredentialStorage && window.CredentialStorage.get) return window.CredentialStorage.get(key) || undefined;
@@ -230,8 +232,11 @@ export async function initiateKlarnaPayment(
       authMode: currentAuthMode,
     };
 
-    // Use /api/payment-request endpoint (SUB_PARTNER mode)
-    const endpoint = "/api/payment-request";
+    // SUB_PARTNER: POST /api/payment-request (creates payment request)
+    // ACQUIRING_PARTNER: POST /api/authorize-payment (approves directly or requires step-up)
+    const endpoint = currentAuthMode === "SUB_PARTNER"
+      ? "/api/payment-request"
+      : "/api/authorize-payment";
 
     const response = await fetch(`${API_BASE}${endpoint}`, {
       method: "POST",
@@ -256,7 +261,7 @@ export async function initiateKlarnaPayment(
     }
 
     if (!response.ok) {
-      throw new Error(res.message || "Payment request failed");
+      throw new ApiRequestError(res, "Payment request failed");
     }
 
     // Handle response based on the endpoint used
@@ -273,8 +278,8 @@ export async function initiateKlarnaPayment(
             sessionStorage.setItem(
               "approvedPaymentLog",
               JSON.stringify({
-                request: res._request,
-                response: res._response,
+                request: redactForLog(res._request),
+                response: redactForLog(res._response),
                 status: res.status,
                 endpoint: "payment/requests",
                 timestamp: new Date().toLocaleTimeString(),
@@ -284,7 +289,7 @@ export async function initiateKlarnaPayment(
           // Return returnUrl so SDK callback can handle redirect
           return { returnUrl: res.successUrl };
         case "ERROR":
-          throw new Error(res.message || "Payment request error");
+          throw new ApiRequestError(res, "Payment request error");
         default:
           throw new Error(`Unexpected payment request status: ${res.status}`);
       }
@@ -299,8 +304,8 @@ export async function initiateKlarnaPayment(
             sessionStorage.setItem(
               "approvedPaymentLog",
               JSON.stringify({
-                request: res._request,
-                response: res._response,
+                request: redactForLog(res._request),
+                response: redactForLog(res._response),
                 status: res.status,
                 endpoint: "payment/authorize",
                 timestamp: new Date().toLocaleTimeString(),
@@ -315,14 +320,14 @@ export async function initiateKlarnaPayment(
           );
           return null;
         case "ERROR":
-          throw new Error(res.message || "Payment authorization error");
+          throw new ApiRequestError(res, "Payment authorization error");
         default:
           throw new Error(`Unexpected payment status: ${res.status}`);
       }
     }
   } catch (error) {
     console.error("Payment error:", error);
-    logBackendError(error.message, "sdk");
+    logBackendError(error, "sdk");
     alert("There was an error processing the payment. Please try again.");
     return null;
   }
@@ -366,8 +371,10 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
 
     // Use different endpoint based on auth mode:
     // SUB_PARTNER: POST /api/payment-request (creates payment request, returns URL for redirect)
-    // Use /api/payment-request endpoint (SUB_PARTNER mode)
-    const endpoint = "/api/payment-request";
+    // ACQUIRING_PARTNER: POST /api/authorize-payment (approves directly or returns step-up URL)
+    const endpoint = currentAuthMode === "SUB_PARTNER"
+      ? "/api/payment-request"
+      : "/api/authorize-payment";
 
     const response = await fetch(`${API_BASE}${endpoint}`, {
       method: "POST",
@@ -392,7 +399,7 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
     }
 
     if (!response.ok) {
-      throw new Error(res.message || "Payment request failed");
+      throw new ApiRequestError(res, "Payment request failed");
     }
 
     // Handle response based on the endpoint used
@@ -414,8 +421,8 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
             sessionStorage.setItem(
               "approvedPaymentLog",
               JSON.stringify({
-                request: res._request,
-                response: res._response,
+                request: redactForLog(res._request),
+                response: redactForLog(res._response),
                 status: res.status,
                 endpoint: "payment/requests",
                 timestamp: new Date().toLocaleTimeString(),
@@ -425,7 +432,7 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
           window.location.href = res.successUrl || "/payment-complete";
           break;
         case "ERROR":
-          throw new Error(res.message || "Payment request error");
+          throw new ApiRequestError(res, "Payment request error");
         default:
           throw new Error(`Unexpected payment request status: ${res.status}`);
       }
@@ -446,8 +453,8 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
             sessionStorage.setItem(
               "approvedPaymentLog",
               JSON.stringify({
-                request: res._request,
-                response: res._response,
+                request: redactForLog(res._request),
+                response: redactForLog(res._response),
                 status: res.status,
                 endpoint: "payment/authorize",
                 timestamp: new Date().toLocaleTimeString(),
@@ -463,7 +470,7 @@ export async function initiateApiKlarnaPayment(paymentOptionId) {
           );
           break;
         case "ERROR":
-          throw new Error(res.message || "Payment authorization error");
+          throw new ApiRequestError(res, "Payment authorization error");
         default:
           throw new Error(`Unexpected payment status: ${res.status}`);
       }
@@ -0,0 +1,49 @@
+/**
+ * Paytrail redirect verification for the payment-complete and payment-cancel pages.
+ * Paytrail signs the checkout-* query parameters of its success/cancel redirects; the
+ * backend (POST /api/paytrail/verify-redirect) re-computes the HMAC with the saved
+ * merchant credentials, so a page only trusts checkout-status once it has answered.
+ *
+ * Usage:
+ *   if (PaytrailRedirect.isSigned(params)) {
+ *     PaytrailRedirect.verify(params).then(function (result) {
+ *       // result: { verified: true } or { verified: false, reason: 'Signature mismatch' }
+ *     });
+ *   }
+ */
+(function () {
+  var VERIFY_URL = '/api/paytrail/verify-redirect';
+
+  function isSigned(params) {
+    return !!params.get('checkout-transaction-id');
+  }
+
+  /**
+   * Resolves with { verified, reason }; never rejects (a failed request is "not verified")
+   */
+  function verify(params) {
+    var storage = window.CredentialStorage;
+    return fetch(window.location.origin + VERIFY_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        params: params.toString(),
+        merchantId: storage ? storage.get(storage.KEYS.MERCHANT_ID) : '',
+        secretKey: storage ? storage.get(storage.KEYS.SECRET_KEY) : ''
+      })
+    })
+      .then(function (res) { return res.json(); })
+      .then(function (result) {
+        if (result.verified) return { verified: true };
+        return { verified: false, reason: result.reason || result.message || 'Signature mismatch' };
+      })
+      .catch(function (err) {
+        return { verified: false, reason: 'Verification request failed: ' + err.message };
+      });
+  }
+
+  window.PaytrailRedirect = {
+    isSigned: isSigned,
+    verify: verify
+  };
+})();
@@ -33,7 +33,8 @@ import {
   isTokenizedPaymentsFlow,
 } from "./config.js";
 import { initiateApiKlarnaPayment } from "./payment.js";
-import { logBackendCall } from "./logging.js";
+import { logBackendCall, logBackendError } from "./logging.js";
+import { ApiRequestError } from "./api-errors.js";
 import { hideElement, showElement } from "./ui.js";
 
 // ============================================================================
@@ -155,12 +156,13 @@ async function fetchApiPresentation() {
     }
 
     if (!response.ok || res.status === "ERROR") {
-      throw new Error(res.message || "Presentation API failed");
+      throw new ApiRequestError(res, "Presentation API failed");
     }
 
     return res.presentation;
   } catch (error) {
     console.error("API Presentation error:", error);
+    logBackendError(error, "api");
     return null;
   }
 }
@@ -9,6 +9,8 @@ import { ensureSDK, resetSDKState } from "./sdk.js";
 import { loadConfig } from "./config.js";
 import { sdkConfig } from "./state.js";
 import { logFlow } from "./flow-logger.js";
+import { maskForLog, redactForLog } from "./redaction.js";
+import { ApiRequestError, describeApiError } from "./api-errors.js";
 
 // Product page specific DOM elements (will be set in initialization)
 let productCountrySel;
@@ -34,6 +36,25 @@ function storeProductFlowDataForPaymentComplete(paymentRequestId, interoperabili
   if (reference) sessionStorage.setItem("productFlowReference", reference);
 }
 
+/** Cancel a superseded payment request through the backend; failures are logged, not thrown */
+async function cancelPaymentRequestServerSide(paymentRequestId, klarnaApiKey, klarnaEnvironment) {
+  const endpoint = `/api/payment-request/${encodeURIComponent(paymentRequestId)}/cancel`;
+  try {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ klarnaEnvironment, ...(klarnaApiKey && { klarnaApiKey }) }),
+    });
+    const res = await response.json();
+    logFlow('response', `POST ${endpoint}`, { status: response.status, data: res });
+    if (!response.ok) {
+      console.warn("⚠️ Server-side cancel of previous payment request failed:", res.message);
+    }
+  } catch (error) {
+    console.warn("⚠️ Server-side cancel of previous payment request failed:", error);
+  }
+}
+
 // ============================================================================
 // COUNTRY & LOCALE FUNCTIONS
 // ============================================================================
@@ -207,7 +228,7 @@ async function initializePaymentButton() {
     }
     
     // Load config first
-    const configLoaded = await loadConfig();
+    const configLoaded = await loadConfig({ authMode: "SUB_PARTNER" });
     if (!configLoaded) {
       console.error("Failed to load configuration");
       return;
@@ -355,10 +376,9 @@ async function initializePaymentButton() {
 
     if (!response.ok) {
       console.error("❌ Payment request failed (HTTP " + response.status + "):", res);
-      if (res.validation_errors) console.error("Klarna validation_errors:", res.validation_errors);
-      if (res.details) console.error("Klarna response details:", res.details);
-      logFlow('error', 'Payment request failed', { httpStatus: response.status, message: res.message, details: res.details, validation_errors: res.validation_errors, _response: res._response });
-      throw new Error(res.message || "Payment request failed");
+      console.error(describeApiError(res, "Payment request failed"));
+      logFlow('error', 'Payment request failed', { httpStatus: response.status, message: res.message, error: res.error, _response: res._response });
+      throw new ApiRequestError(res, "Payment request failed");
     }
 
     // Handle SUB_PARTNER response and get payment_request_id
@@ -389,8 +409,8 @@ async function initializePaymentButton() {
         });
         break;
       case "ERROR":
-        logFlow('error', 'Payment request returned ERROR', { message: res.message, details: res.details, _response: res._response });
-        throw new Error(res.message || "Payment request error");
+        logFlow('error', 'Payment request returned ERROR', { message: res.message, error: res.error, _response: res._response });
+        throw new ApiRequestError(res, "Payment request error");
       default:
         logFlow('error', 'Unexpected payment request status', { status: res.status, message: res.message, data: res });
         throw new Error(`Unexpected payment request status: ${res.status}`);
@@ -427,6 +447,10 @@ async function initializePaymentButton() {
     } else if (previousPaymentRequestId) {
       console.log("⚠️ Previous payment_request_id exists but Payment.cancel is not available:", previousPaymentRequestId);
     }
+    // Payment.cancel only resets the SDK; cancel the request at Klarna too so it can't be completed later
+    if (previousPaymentRequestId) {
+      cancelPaymentRequestServerSide(previousPaymentRequestId, klarnaApiKey, klarnaEnvironment);
+    }
     
     console.log("🔄 Creating NEW button instance with payment_request_id:", currentPaymentRequestId);
     console.log("🔄 Button creation timestamp:", new Date().toISOString());
@@ -497,7 +521,7 @@ async function initializePaymentButton() {
         currentSessionPaymentRequestId: currentSessionPaymentRequestId,
         eventTimestamp: new Date().toISOString()
       });
-      console.log("Full paymentRequest object:", JSON.stringify(paymentRequest, null, 2));
+      console.log("Full paymentRequest object:", JSON.stringify(redactForLog(paymentRequest), null, 2));
       console.log("paymentRequest.stateContext:", paymentRequest?.stateContext);
       
       // Validate that this complete event is for the current session's payment request
@@ -550,16 +574,11 @@ async function initializePaymentButton() {
         return false;
       }
 
-      console.log("✅ Klarna Network Session Token extracted:", klarnaNetworkSessionToken);
+      console.log("✅ Klarna Network Session Token extracted:", maskForLog(klarnaNetworkSessionToken));
       console.log("🔄 Session token timestamp:", new Date().toISOString());
-      console.log("🔄 Session token length:", klarnaNetworkSessionToken?.length);
-      console.log("🔄 Session token first 20 chars:", klarnaNetworkSessionToken?.substring(0, 20));
-      console.log("🔄 Session token last 20 chars:", klarnaNetworkSessionToken?.substring(klarnaNetworkSessionToken.length - 20));
       logFlow('info', 'Klarna Button: Session Token Extracted', { 
         token: klarnaNetworkSessionToken,
         tokenLength: klarnaNetworkSessionToken?.length,
-        tokenPreview: klarnaNetworkSessionToken?.substring(0, 20) + '...',
-        tokenSuffix: '...' + klarnaNetworkSessionToken?.substring(klarnaNetworkSessionToken.length - 20),
         timestamp: new Date().toISOString(),
         paymentRequestId: paymentRequest?.paymentRequestId
       });
@@ -568,7 +587,7 @@ async function initializePaymentButton() {
       const skipPaytrailCheckbox = document.getElementById('skip-paytrail-request');
       if (skipPaytrailCheckbox && skipPaytrailCheckbox.checked) {
         console.log("⚠️ Skipping Paytrail payment request (testing mode enabled)");
-        console.log("✅ Session Token (for reference):", klarnaNetworkSessionToken);
+        console.log("✅ Session Token (for reference):", maskForLog(klarnaNetworkSessionToken));
         logFlow('info', 'Klarna Button: Paytrail Request Skipped (Testing Mode)', { 
           token: klarnaNetworkSessionToken,
           note: 'Payment completed successfully, but Paytrail request was skipped as requested'
@@ -645,7 +664,9 @@ async function initializePaymentButton() {
         }
         const merchantId = getCred(PAYTRAIL_MERCHANT_ID_KEY);
         const secretKey = getCred(PAYTRAIL_SECRET_KEY_KEY);
-        if (!merchantId || !secretKey) {
+        // An empty secretKey makes the backend use the one in the credential session
+        const secretKeyInSession = typeof window !== 'undefined' && window.CredentialStorage && window.CredentialStorage.hasSecret(PAYTRAIL_SECRET_KEY_KEY);
+        if (!merchantId || !(secretKey || secretKeyInSession)) {
           alert('Please set your Paytrail credentials on the Demo Store homepage first (Paytrail credentials section, then Save).');
           isProcessingComplete = false;
           return false;
@@ -656,7 +677,7 @@ async function initializePaymentButton() {
         const endpointUrl = `${API_BASE}/api${actualEndpoint}`;
         const requestBody = { payment: paymentData, merchantId, secretKey };
 
-        console.log(`Calling backend API ${endpointUrl} with:`, JSON.stringify(paymentData, null, 2));
+        console.log(`Calling backend API ${endpointUrl} with:`, JSON.stringify(redactForLog(paymentData), null, 2));
         logFlow('request', `POST ${endpointUrl} (Backend API)`, paymentData);
 
         // Call Paytrail payment endpoint (credentials in body for all Paytrail endpoints)
@@ -728,7 +749,7 @@ async function initializePaymentButton() {
               error: data,
               expected: "status 200/201 with transactionId, or status 403 with stepUpUrl"
             });
-            throw new Error(data.message || data.error || `Klarna Express payment failed: status ${response.status}`);
+            throw new ApiRequestError(data, `Klarna Express payment failed: status ${response.status}`);
           }
         }
 
@@ -742,8 +763,7 @@ async function initializePaymentButton() {
           // Check for successful response (201 is returned for successful payment creation)
           if (!response.ok || (response.status !== 201 && response.status !== 200)) {
             logFlow('error', 'Paytrail Payment Failed (HPP)', { status: response.status, error: data });
-            const paytrailDetail = data.paytrailResponse ? (typeof data.paytrailResponse === 'object' ? (data.paytrailResponse.message || JSON.stringify(data.paytrailResponse)) : String(data.paytrailResponse)) : '';
-            throw new Error(paytrailDetail ? `${data.message || data.error || 'Payment creation failed'}: ${paytrailDetail}` : (data.message || data.error || 'Payment creation failed'));
+            throw new ApiRequestError(data, 'Payment creation failed');
           }
 
           console.log("Paytrail payment response (HPP):", data);
@@ -776,14 +796,8 @@ async function initializePaymentButton() {
         // Original /api/payments endpoint handling
         if (!response.ok) {
           logFlow('error', 'Paytrail Payment Failed', { status: response.status, error: data });
-          // Include Paytrail's response when present (e.g. production validation errors)
-          const paytrailDetail = data.paytrailResponse
-            ? (typeof data.paytrailResponse === 'object'
-                ? (data.paytrailResponse.message || JSON.stringify(data.paytrailResponse))
-                : String(data.paytrailResponse))
-            : '';
-          const errMsg = data.message || data.error || 'Payment creation failed';
-          throw new Error(paytrailDetail ? `${errMsg}: ${paytrailDetail}` : errMsg);
+          // The envelope carries Paytrail's status, request ID and field errors (e.g. production validation errors)
+          throw new ApiRequestError(data, 'Payment creation failed');
         }
 
         console.log("Paytrail payment response:", data);
@@ -870,7 +884,7 @@ async function initializePaymentButton() {
       } catch (error) {
         console.error("Error creating Paytrail payment:", error);
         logFlow('error', 'Paytrail Payment Error', { error: error.message, stack: error.stack });
-        alert(`Error processing payment: ${error instanceof Error ? error.message : String(error)}`);
+        alert(`Error processing payment: ${describeApiError(error instanceof Error ? error : String(error))}`);
         isProcessingComplete = false; // Reset guard after error
         return false;
       }
@@ -1029,6 +1043,18 @@ async function initializeProductPage() {
   });
   productAmountInput.addEventListener("change", saveProductAmount);
 
+  // Another credential profile may use a different Klarna client ID or environment,
+  // so the SDK has to be initialized again rather than reused
+  window.addEventListener("credentialprofilechange", (event) => {
+    console.log(`🔑 Credential profile switched to "${event.detail.profile}", re-initializing SDK...`);
+    resetSDKState();
+    completeEventListenerRegistered = false;
+    productPageCompleteHandler = null;
+    isProcessingComplete = false;
+    currentSessionPaymentRequestId = null;
+    initializePaymentButton();
+  });
+
   // Initial price display update
   updateProductPriceDisplay();
 
@@ -0,0 +1,147 @@
+/**
+ * Secret redaction policy for the Klarna Payment Selector Demo
+ *
+ * Shared by the browser logs (log panels, flow logger, payment-complete log) and the
+ * backend (backend/app.ts imports this file), so both sides mask the same fields:
+ * API keys, secret keys, HMAC signatures, authorization headers, customer tokens,
+ * interoperability/SDK tokens and network session tokens.
+ *
+ * Reveal mode (for local debugging only) turns redaction off:
+ *   - browser: localStorage.setItem("debug_reveal_secrets", "true") and reload
+ *   - backend: LOG_REVEAL_SECRETS=true
+ */
+
+export const REVEAL_SECRETS_KEY = "debug_reveal_secrets";
+
+// Field and header names are compared lowercased with "-" and "_" removed,
+// so "Klarna-Customer-Token", "klarna_customer_token" and "klarnaCustomerToken" all match
+const SECRET_NAMES = new Set([
+  "apikey",
+  "klarnaapikey",
+  "secretkey",
+  "paytrailsecretkey",
+  "secret",
+  "password",
+  "authorization",
+  "signature",
+  "checkoutsignature",
+  "klarnasignature",
+  "cvc",
+  "cvv",
+]);
+
+// Anything ending in "token" (token, customer_token, sdkToken, networkSessionToken,
+// Klarna-Interoperability-Token, ...) is a credential in both APIs when it holds a string;
+// flags such as include_customer_token: true are left alone
+const TOKEN_SUFFIX = "token";
+
+// Values shorter than this are masked completely; longer ones keep a few characters
+// at each end so two log lines can still be matched up
+const MIN_PARTIAL_LENGTH = 16;
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, "");
+}
+
+/**
+ * Whether a field or header name holds a secret
+ * @param {string} name - Field or header name
+ * @param {*} [value] - The field's value; *token fields are secret only when it is a string
+ * @returns {boolean}
+ */
+export function isSecretField(name, value = "") {
+  const normalized = normalizeName(name);
+  return SECRET_NAMES.has(normalized) ||
+    (normalized.endsWith(TOKEN_SUFFIX) && typeof value === "string");
+}
+
+/**
+ * Mask a single secret value, e.g. "eyJh…(812 chars)…Xk0"
+ * @param {*} value - Secret value
+ * @returns {*} Masked string, or the value itself when empty
+ */
+export function maskSecret(value) {
+  if (value === null || value === undefined || value === "") return value;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  if (text.length < MIN_PARTIAL_LENGTH) return "[redacted]";
+  return `${text.slice(0, 4)}…(${text.length} chars)…${text.slice(-3)}`;
+}
+
+/**
+ * Copy of data with every secret field masked. Plain objects and arrays are walked
+ * recursively; strings that are JSON documents are redacted and re-serialized.
+ * @param {*} data - Any loggable value
+ * @param {Object} [options]
+ * @param {boolean} [options.reveal=false] - Return data unchanged (local debugging)
+ * @returns {*} Redacted copy
+ */
+export function redactSecrets(data, { reveal = false } = {}) {
+  if (reveal) return data;
+  return redactValue(data, new WeakSet());
+}
+
+function redactValue(value, seen) {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        return JSON.stringify(redactValue(JSON.parse(trimmed), seen));
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+  if (value === null || typeof value !== "object") return value;
+  // Leave Dates, Errors, DOM nodes etc. to their own serialization
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) return value;
+  // Only objects on the current path count as circular; shared references are copied twice
+  if (seen.has(value)) return "[circular]";
+  seen.add(value);
+
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => redactValue(item, seen));
+  } else {
+    copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = isSecretField(key, item) && (typeof item !== "object" || item === null)
+        ? maskSecret(item)
+        : redactValue(item, seen);
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Whether the browser has opted into reveal mode
+ * @returns {boolean}
+ */
+export function isRevealEnabled() {
+  try {
+    return typeof localStorage !== "undefined" &&
+      localStorage.getItem(REVEAL_SECRETS_KEY) === "true";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Browser-side redaction honouring the reveal flag in localStorage
+ * @param {*} data - Any loggable value
+ * @returns {*} Redacted copy, or data itself in reveal mode
+ */
+export function redactForLog(data) {
+  return redactSecrets(data, { reveal: isRevealEnabled() });
+}
+
+/**
+ * Browser-side masking of a single secret value, honouring the reveal flag
+ * @param {*} value - Secret value
+ * @returns {*} Masked value, or the value itself in reveal mode
+ */
+export function maskForLog(value) {
+  return isRevealEnabled() ? value : maskSecret(value);
+}
@@ -24,6 +24,7 @@ import {
   fetchSdkToken,
 } from "./tokens.js";
 import { logSdkEvent } from "./logging.js";
+import { redactForLog } from "./redaction.js";
 
 // ============================================================================
 // SDK STATE MANAGEMENT
@@ -88,12 +89,16 @@ export async function ensureSDK() {
     "https://js.klarna.com/web-sdk/v2/klarna.mjs"
   );
 
-  // Initialize SDK for Sub Partner mode
   const initConfig = {
     clientId: sdkConfig.clientId,
     products: ["PAYMENT", "MESSAGING"],
   };
 
+  // Acquiring Partner mode identifies the partner account alongside the client ID
+  if (sdkConfig.authMode === "ACQUIRING_PARTNER" && sdkConfig.partnerAccountId) {
+    initConfig.partnerAccountId = sdkConfig.partnerAccountId;
+  }
+
   // Include locale if provided in config
   if (sdkConfig.locale) {
     initConfig.locale = sdkConfig.locale;
@@ -110,7 +115,7 @@ export async function ensureSDK() {
     console.warn("⚠ Interoperability flow selected but no SDK token available");
   }
 
-  console.log("SDK Init Config:", JSON.stringify(initConfig, null, 2));
+  console.log("SDK Init Config:", JSON.stringify(redactForLog(initConfig), null, 2));
   console.log("Auth Mode:", sdkConfig.authMode);
   console.log("Advanced Flow:", advancedFlowSel?.value || "none");
   console.log("SDK Token available:", !!sdkToken);
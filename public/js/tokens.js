@@ -19,20 +19,25 @@ import {
   isTokenizedPaymentsFlow,
 } from "./config.js";
 import { logBackendCall, logBackendError } from "./logging.js";
+import { ApiRequestError } from "./api-errors.js";
 
 // ============================================================================
 // SDK TOKEN MANAGEMENT
 // ============================================================================
 
+function getKlarnaEnvironment() {
+  return (typeof window !== "undefined" && window.CredentialStorage && window.CredentialStorage.get)
+    ? (window.CredentialStorage.get("klarna_environment") || "playground")
+    : "playground";
+}
+
 /**
  * Fetch SDK token for tokenized payments
  */
 export async function fetchSdkToken() {
   try {
     const country = getCurrentCountry();
-    const klarnaEnvironment = (typeof window !== "undefined" && window.CredentialStorage && window.CredentialStorage.get)
-      ? (window.CredentialStorage.get("klarna_environment") || "playground")
-      : "playground";
+    const klarnaEnvironment = getKlarnaEnvironment();
     const response = await fetch(`${API_BASE}/api/identity/sdk-tokens`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
@@ -53,7 +58,7 @@ export async function fetchSdkToken() {
     }
 
     if (!response.ok) {
-      throw new Error(res.message || "Failed to fetch SDK token");
+      throw new ApiRequestError(res, "Failed to fetch SDK token");
     }
 
     setSdkToken(res.sdkToken);
@@ -61,7 +66,7 @@ export async function fetchSdkToken() {
     return res.sdkToken;
   } catch (error) {
     console.error("Failed to fetch SDK token:", error);
-    logBackendError(`SDK token error: ${error.message}`, "sdk");
+    logBackendError(error, "sdk");
     return null;
   }
 }
@@ -107,6 +112,7 @@ export async function fetchInteroperabilityToken() {
           customerJourney,
           country,
           authMode: currentAuthMode,
+          klarnaEnvironment: getKlarnaEnvironment(),
         }),
       },
     );
@@ -133,14 +139,8 @@ export async function fetchInteroperabilityToken() {
 
     if (!response.ok || data.status !== "OK") {
       console.error("Failed to fetch interoperability token:", data);
-      logBackendError(
-        `Interoperability token error: ${data.message || "Unknown error"}`,
-        "sdk",
-      );
-      logBackendError(
-        `Interoperability token error: ${data.message || "Unknown error"}`,
-        "api",
-      );
+      logBackendError(new ApiRequestError(data, "Interoperability token error"), "sdk");
+      logBackendError(new ApiRequestError(data, "Interoperability token error"), "api");
       return null;
     }
 
@@ -175,6 +175,7 @@ export async function fetchInteroperabilitySdkToken() {
         body: JSON.stringify({
           interoperabilityToken,
           authMode: currentAuthMode,
+          klarnaEnvironment: getKlarnaEnvironment(),
         }),
       },
     );
@@ -194,10 +195,7 @@ export async function fetchInteroperabilitySdkToken() {
 
     if (!response.ok || data.status !== "OK") {
       console.error("Failed to fetch interoperability SDK token:", data);
-      logBackendError(
-        `Interoperability SDK token error: ${data.message || "Unknown error"}`,
-        "sdk",
-      );
+      logBackendError(new ApiRequestError(data, "Interoperability SDK token error"), "sdk");
       return null;
     }
 
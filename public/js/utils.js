@@ -418,18 +418,19 @@ import { currentAuthMode } from "./state.js";
 
 /**
  * Update interoperability options visibility
- * Interoperability flows are not available (ACQUIRING_PARTNER only, which is removed)
+ * Interoperability flows are only available in ACQUIRING_PARTNER mode
  */
 export function updateInteroperabilityOptionsVisibility() {
   // Only run if advancedFlowSel exists (not on product page)
   if (!advancedFlowSel) return;
 
-  // Hide interoperability options since ACQUIRING_PARTNER mode is removed
+  const isAcquiringPartner = currentAuthMode === "ACQUIRING_PARTNER";
   const interopOptions = document.querySelectorAll(
     "#advanced-flow .acquiring-partner-only",
   );
   interopOptions.forEach((option) => {
-    option.style.display = "none";
+    option.style.display = isAcquiringPartner ? "" : "none";
+    if (isAcquiringPartner) return;
     // If current selection is an interop option, reset to default
     if (advancedFlowSel && advancedFlowSel.value === option.value) {
       advancedFlowSel.value = "";
@@ -0,0 +1,56 @@
+/**
+ * Checks public/openapi.yaml against the routes the backend registers.
+ *
+ * Loads the Hono app that api/[...].ts (and server.ts, kn-api-requests.ts) mount, lists its
+ * /api routes and compares them with the paths and methods in the spec, both ways: a route
+ * missing from the spec and a spec operation without a route both fail the check.
+ * Middleware (app.use) and the catch-all 404 are not routes and are skipped.
+ *
+ * Run with: npx tsx scripts/check-openapi-routes.ts  (or npm run openapi:check)
+ * after adding or changing a route in backend/app.ts.
+ */
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { parse } from "yaml";
+import { nodeRuntime, setRuntime } from "../backend/runtime.ts";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const SPEC_FILE = join(ROOT, "public/openapi.yaml");
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+// "/api/payments/:transactionId/refund" -> "/api/payments/{transactionId}/refund"
+function toOpenApiPath(path: string): string {
+  return path.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+}
+
+setRuntime(nodeRuntime);
+const { default: app } = await import("../backend/app.ts");
+
+const routes = new Set(
+  app.routes
+    .filter((route) => route.path.startsWith("/api/") && route.method !== "ALL")
+    .map((route) => `${route.method} ${toOpenApiPath(route.path)}`),
+);
+
+const spec = parse(readFileSync(SPEC_FILE, "utf8")) as { paths: Record<string, Record<string, unknown>> };
+const operations = new Set(
+  Object.entries(spec.paths).flatMap(([path, item]) =>
+    Object.keys(item)
+      .filter((key) => HTTP_METHODS.includes(key))
+      .map((method) => `${method.toUpperCase()} ${path}`)
+  ),
+);
+
+const undocumented = [...routes].filter((route) => !operations.has(route));
+const unrouted = [...operations].filter((operation) => !routes.has(operation));
+
+for (const route of undocumented) console.error(`❌ Not in openapi.yaml: ${route}`);
+for (const operation of unrouted) console.error(`❌ No route in backend/app.ts: ${operation}`);
+
+if (undocumented.length || unrouted.length) {
+  console.error(`openapi.yaml is out of date (${undocumented.length} undocumented, ${unrouted.length} without a route)`);
+  process.exit(1);
+}
+console.log(`✅ openapi.yaml documents all ${routes.size} /api routes`);
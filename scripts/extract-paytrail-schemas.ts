@@ -0,0 +1,74 @@
+/**
+ * Extracts the Paytrail request schemas the backend validates payloads against from
+ * public/api-documentation_rev1/docs/paytrail-api.yaml into backend/paytrail-schemas.json.
+ *
+ * The backend imports the JSON instead of parsing the YAML at runtime, so validation works
+ * the same on Vercel, Node and Val Town without reading files next to the function.
+ * Descriptions and examples are dropped; every schema a listed one refers to is included.
+ *
+ * Run with: npx tsx scripts/extract-paytrail-schemas.ts  (or npm run schemas:paytrail)
+ * after updating paytrail-api.yaml, and commit the regenerated JSON.
+ */
+import { readFileSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { parse } from "yaml";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const SPEC_FILE = join(ROOT, "public/api-documentation_rev1/docs/paytrail-api.yaml");
+const OUTPUT_FILE = join(ROOT, "backend/paytrail-schemas.json");
+
+// Request bodies of the routes that validate: payments (and the Klarna charge / authorization hold),
+// card token charges / authorization holds and refunds
+const ROOT_SCHEMAS = ["PaymentRequest", "TokenPaymentRequest", "Refund"];
+
+// The spec marks these required, but the payment request table in docs/README.md (and Paytrail) treat them
+// as optional: items are only needed for Shop-in-Shop and VAT in settlement reports
+const OPTIONAL_OVERRIDES: Record<string, string[]> = {
+  PaymentRequest: ["items"],
+};
+
+const DROPPED_KEYWORDS = new Set(["description", "example"]);
+
+type Schema = Record<string, unknown>;
+
+function strip(value: unknown, refs: Set<string>): unknown {
+  if (Array.isArray(value)) return value.map((item) => strip(item, refs));
+  if (!value || typeof value !== "object") return value;
+  const result: Schema = {};
+  for (const [key, child] of Object.entries(value as Schema)) {
+    if (DROPPED_KEYWORDS.has(key)) continue;
+    if (key === "properties") {
+      // Property names are not keywords: a property called "description" must stay
+      result.properties = Object.fromEntries(
+        Object.entries(child as Schema).map(([name, schema]) => [name, strip(schema, refs)]),
+      );
+      continue;
+    }
+    if (key === "$ref" && typeof child === "string") refs.add(child.replace("#/components/schemas/", ""));
+    result[key] = strip(child, refs);
+  }
+  return result;
+}
+
+const spec = parse(readFileSync(SPEC_FILE, "utf8")) as { components: { schemas: Record<string, Schema> } };
+const all = spec.components.schemas;
+const schemas: Record<string, Schema> = {};
+const pending = [...ROOT_SCHEMAS];
+
+while (pending.length > 0) {
+  const name = pending.shift()!;
+  if (schemas[name]) continue;
+  if (!all[name]) throw new Error(`Schema ${name} not found in ${SPEC_FILE}`);
+  const refs = new Set<string>();
+  const schema = strip(all[name], refs) as Schema;
+  const optional = OPTIONAL_OVERRIDES[name];
+  if (optional && Array.isArray(schema.required)) {
+    schema.required = (schema.required as string[]).filter((field) => !optional.includes(field));
+  }
+  schemas[name] = schema;
+  pending.push(...refs);
+}
+
+writeFileSync(OUTPUT_FILE, JSON.stringify(schemas, null, 2) + "\n");
+console.log(`Wrote ${Object.keys(schemas).length} schemas to ${OUTPUT_FILE}: ${Object.keys(schemas).join(", ")}`);
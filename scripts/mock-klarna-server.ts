@@ -0,0 +1,564 @@
+/**
+ * Local Klarna API stand-in for offline development and integration testing.
+ * Implements the subset of the Klarna Network API that backend/app.ts calls:
+ *   - GET  /v2/payment/presentation
+ *   - POST /v2/payment/requests      (CREATED, or COMPLETED when a Klarna-Customer-Token is sent)
+ *   - GET/PATCH /v2/payment/requests/{id} and POST /v2/payment/requests/{id}/cancel
+ *                                    (CREATED/SUBMITTED requests can be updated or canceled; past
+ *                                     expires_at they turn EXPIRED)
+ *   - POST /v2/payment/authorize     (APPROVED with a network session or customer token,
+ *                                     DECLINED above MOCK_KLARNA_DECLINE_ABOVE, else STEP_UP_REQUIRED)
+ *   - POST /v2/identity/sdk-tokens
+ * Presentation, authorize and sdk-tokens are also served under /v2/accounts/{accountId}/...
+ * for Acquiring Partner mode, together with the interoperability endpoints:
+ *   - POST /v2/accounts/{accountId}/interoperability/test-tokens  (requires Klarna-Customer-Token)
+ *   - POST /v2/accounts/{accountId}/interoperability/sdk-tokens   (requires Klarna-Interoperability-Token)
+ *
+ * Every response carries a klarna-correlation-id header, like the real API.
+ *
+ * With MOCK_KLARNA_WEBHOOK_URL set (e.g. http://localhost:3000/api/klarna/webhooks), every payment
+ * request state change is posted there as a notification signed with MOCK_KLARNA_WEBHOOK_SIGNING_KEY
+ * (use the same value as the app's KLARNA_WEBHOOK_SIGNING_KEY).
+ *
+ * Run with: npx tsx scripts/mock-klarna-server.ts  (or npm run mock:klarna)
+ * Then start the app against it: KLARNA_API_BASE_URL=http://localhost:4010 npm start
+ *
+ * Error responses are configurable per path, either at startup through
+ * MOCK_KLARNA_ERRORS (JSON) or at runtime through PUT /__mock/errors:
+ *   {"/v2/payment/requests": {"status": 400, "error_code": "BAD_VALUE", "error_message": "Invalid amount"}}
+ * DELETE /__mock/errors clears them again. "times": n makes an error transient (the next n
+ * requests fail, later ones succeed) and "retry_after" adds a Retry-After header (seconds).
+ */
+import { Hono } from "hono";
+import type { Context } from "hono";
+import { serve } from "@hono/node-server";
+import crypto from "crypto";
+
+const PORT = Number(process.env.MOCK_KLARNA_PORT) || 4010;
+const REGION = "eu1";
+const PAYMENT_REQUEST_TTL_MS = 60 * 60 * 1000;
+const SDK_TOKEN_TTL_MS = 10 * 60 * 1000;
+// Authorizations above this amount (minor units) are declined
+const DECLINE_ABOVE = Number(process.env.MOCK_KLARNA_DECLINE_ABOVE) || 1000000;
+
+// Injected error for a path (Klarna error body fields + HTTP status)
+interface MockError {
+  status: number;
+  error_type?: string;
+  error_code?: string;
+  error_message?: string;
+  validation_errors?: { parameter: string; reason: string }[];
+  times?: number;
+  retry_after?: number;
+}
+
+function parseMockErrors(raw: string | undefined): Record<string, MockError> {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    if (typeof parsed === "object" && parsed !== null) return parsed;
+    console.warn("MOCK_KLARNA_ERRORS is not a valid JSON object");
+    return {};
+  } catch (error) {
+    console.error("Failed to parse MOCK_KLARNA_ERRORS:", error);
+    return {};
+  }
+}
+
+let mockErrors: Record<string, MockError> = parseMockErrors(
+  process.env.MOCK_KLARNA_ERRORS,
+);
+
+// Payment requests created during this run, keyed by payment_request_id
+const paymentRequests = new Map<string, Record<string, unknown>>();
+
+function krn(kind: string): string {
+  return `krn:${kind.replace("{region}", REGION)}:${crypto.randomUUID()}`;
+}
+
+// Webhook notifications for payment request state changes, signed like Klarna's
+// (HMAC-SHA256 of the raw body, base64, in Klarna-Signature). Off unless a URL is set.
+const WEBHOOK_URL = process.env.MOCK_KLARNA_WEBHOOK_URL || "";
+const WEBHOOK_SIGNING_KEY = process.env.MOCK_KLARNA_WEBHOOK_SIGNING_KEY || "";
+
+function notifyPaymentRequestState(paymentRequest: Record<string, unknown>) {
+  if (!WEBHOOK_URL) return;
+  const state = String(paymentRequest.state);
+  const body = JSON.stringify({
+    metadata: {
+      event_id: crypto.randomUUID(),
+      event_type: `payment.request.state-change.${state.toLowerCase()}`,
+      event_version: "v2",
+      occurred_at: new Date().toISOString(),
+    },
+    payload: {
+      payment_request_id: paymentRequest.payment_request_id,
+      payment_request_reference: paymentRequest.payment_request_reference,
+      state,
+      state_context: paymentRequest.state_context,
+      amount: paymentRequest.amount,
+      currency: paymentRequest.currency,
+      expires_at: paymentRequest.expires_at,
+    },
+  });
+  const signature = crypto.createHmac("sha256", WEBHOOK_SIGNING_KEY).update(body).digest("base64");
+  fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Klarna-Signature": signature },
+    body,
+  })
+    .then((res) => console.log(`📨 Webhook ${state} -> ${WEBHOOK_URL} (${res.status})`))
+    .catch((error) => console.warn(`⚠️ Webhook ${state} -> ${WEBHOOK_URL} failed:`, error.message));
+}
+
+function klarnaError(
+  c: Context,
+  status: number,
+  errorType: string,
+  errorCode: string,
+  errorMessage: string,
+  validationErrors?: { parameter: string; reason: string }[],
+) {
+  return c.json({
+    error_id: crypto.randomUUID(),
+    error_type: errorType,
+    error_code: errorCode,
+    error_message: errorMessage,
+    ...(validationErrors && { validation_errors: validationErrors }),
+  }, status as 400);
+}
+
+const app = new Hono();
+
+// Correlation ID on every response, plus request logging
+app.use("*", async (c, next) => {
+  const correlationId = crypto.randomUUID();
+  console.log(`➡️  ${c.req.method} ${c.req.path} (klarna-correlation-id: ${correlationId})`);
+  await next();
+  c.res.headers.set("klarna-correlation-id", correlationId);
+});
+
+// Stand-in control endpoints (not part of the Klarna API)
+app.get("/__mock/errors", (c) => c.json(mockErrors));
+app.put("/__mock/errors", async (c) => {
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object") {
+    return c.json({ error: "Body must be a JSON object of path -> error" }, 400);
+  }
+  mockErrors = body as Record<string, MockError>;
+  return c.json(mockErrors);
+});
+app.delete("/__mock/errors", (c) => {
+  mockErrors = {};
+  return c.body(null, 204);
+});
+
+// Configured error responses and Basic auth check for all Klarna API paths
+app.use("/v2/*", async (c, next) => {
+  const injected = mockErrors[c.req.path];
+  if (injected && (injected.times === undefined || injected.times > 0)) {
+    if (injected.times !== undefined) injected.times--;
+    if (injected.retry_after !== undefined) {
+      c.header("Retry-After", String(injected.retry_after));
+    }
+    return klarnaError(
+      c,
+      injected.status || 500,
+      injected.error_type || "INPUT_ERROR",
+      injected.error_code || "MOCK_ERROR",
+      injected.error_message || "Error injected by the Klarna stand-in",
+      injected.validation_errors,
+    );
+  }
+  const authorization = c.req.header("Authorization") || "";
+  if (!/^Basic\s+\S+/i.test(authorization)) {
+    return klarnaError(
+      c,
+      401,
+      "AUTHENTICATION_ERROR",
+      "UNAUTHORIZED",
+      "Missing or malformed Authorization header",
+    );
+  }
+  await next();
+});
+
+// GET /v2/payment/presentation (and /v2/accounts/{accountId}/payment/presentation)
+function handlePresentation(c: Context) {
+  const currency = c.req.query("currency");
+  if (!currency) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", [
+      { parameter: "currency", reason: "must not be null" },
+    ]);
+  }
+  const locale = c.req.query("locale") || "en-US";
+  const intents = c.req.queries("intents[]") || ["PAY"];
+  const hasCustomerToken = !!c.req.header("Klarna-Customer-Token");
+  const badgeImageUrl = "https://x.klarnacdn.net/payment-method/assets/badges/generic/klarna.svg";
+
+  const paymentOption = {
+    payment_option_id: `payment_option_${crypto.randomUUID()}`,
+    header: { text: intents.includes("SUBSCRIBE") ? "Subscribe with Klarna" : "Pay with Klarna" },
+    subheader: { text: "Pay now, later or over time" },
+    message: {
+      parts: [
+        { type: "TEXT", text: "Choose how you want to pay in the Klarna app. " },
+        { type: "LINK", text: "Learn more", url: `https://www.klarna.com/${locale.toLowerCase()}/` },
+      ],
+    },
+    icon: { badge_image_url: badgeImageUrl },
+    payment_button: { text: "Continue with", image_url: badgeImageUrl },
+  };
+
+  return c.json({
+    instruction: hasCustomerToken ? "PRESELECT_KLARNA" : "SHOW_KLARNA",
+    payment_option: paymentOption,
+    ...(hasCustomerToken && {
+      saved_payment_option: {
+        ...paymentOption,
+        payment_option_id: `payment_option_${crypto.randomUUID()}`,
+        header: { text: "Klarna" },
+        subheader: { text: "Your saved Klarna account" },
+        badge: { text: "Saved" },
+        payment_button: { text: "Pay with", image_url: badgeImageUrl },
+      },
+    }),
+  });
+}
+
+app.get("/v2/payment/presentation", handlePresentation);
+app.get("/v2/accounts/:accountId/payment/presentation", handlePresentation);
+
+// POST /v2/payment/requests
+app.post("/v2/payment/requests", async (c) => {
+  const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+  if (!body) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Request body must be valid JSON");
+  }
+  const validationErrors: { parameter: string; reason: string }[] = [];
+  if (!body.currency) {
+    validationErrors.push({ parameter: "currency", reason: "must not be null" });
+  }
+  if (!c.req.header("Idempotency-Key")) {
+    validationErrors.push({ parameter: "Idempotency-Key", reason: "header is required" });
+  }
+  if (validationErrors.length > 0) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", validationErrors);
+  }
+
+  const now = new Date();
+  const paymentRequestId = krn("payment:{region}:request");
+  const interactionConfig = (body.customer_interaction_config || {}) as Record<string, unknown>;
+  const base = {
+    payment_request_id: paymentRequestId,
+    payment_request_reference: body.payment_request_reference,
+    amount: body.amount,
+    currency: body.currency,
+    supplementary_purchase_data: body.supplementary_purchase_data,
+    customer_interaction_config: interactionConfig,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + PAYMENT_REQUEST_TTL_MS).toISOString(),
+  };
+
+  // A known customer (Klarna-Customer-Token) completes without interaction
+  if (c.req.header("Klarna-Customer-Token")) {
+    const paymentRequest = {
+      ...base,
+      state: "COMPLETED",
+      state_context: {
+        payment_transaction: {
+          payment_transaction_id: krn("payment:{region}:transaction"),
+          payment_transaction_reference: body.payment_request_reference,
+          amount: body.amount,
+          currency: body.currency,
+        },
+      },
+    };
+    paymentRequests.set(paymentRequestId, paymentRequest);
+    notifyPaymentRequestState(paymentRequest);
+    console.log("✅ Payment request COMPLETED:", paymentRequestId);
+    return c.json(paymentRequest, 201);
+  }
+
+  const origin = new URL(c.req.url).origin;
+  const paymentRequest = {
+    ...base,
+    state: "CREATED",
+    state_context: {
+      customer_interaction: {
+        method: interactionConfig.method || "HANDOVER",
+        payment_request_id: paymentRequestId,
+        payment_request_url: `${origin}/pay/${encodeURIComponent(paymentRequestId)}`,
+      },
+    },
+  };
+  paymentRequests.set(paymentRequestId, paymentRequest);
+  notifyPaymentRequestState(paymentRequest);
+  console.log("✅ Payment request CREATED:", paymentRequestId);
+  return c.json(paymentRequest, 201);
+});
+
+// Stored payment request, moved to EXPIRED once expires_at has passed without completion
+function findPaymentRequest(paymentRequestId: string) {
+  const paymentRequest = paymentRequests.get(paymentRequestId);
+  if (
+    paymentRequest && (paymentRequest.state === "CREATED" || paymentRequest.state === "SUBMITTED") &&
+    Date.parse(String(paymentRequest.expires_at)) < Date.now()
+  ) {
+    paymentRequest.state = "EXPIRED";
+    paymentRequest.state_context = {};
+    paymentRequest.updated_at = new Date().toISOString();
+    notifyPaymentRequestState(paymentRequest);
+  }
+  return paymentRequest;
+}
+
+function paymentRequestNotFound(c: Context, paymentRequestId: string) {
+  return klarnaError(c, 404, "RESOURCE_ERROR", "NOT_FOUND", `Payment request ${paymentRequestId} not found`);
+}
+
+function invalidPaymentRequestState(c: Context, paymentRequest: Record<string, unknown>, action: string) {
+  return klarnaError(
+    c,
+    409,
+    "RESOURCE_ERROR",
+    "INVALID_STATE",
+    `Payment request in state ${paymentRequest.state} cannot be ${action}`,
+  );
+}
+
+// GET /v2/payment/requests/{paymentRequestId}
+app.get("/v2/payment/requests/:paymentRequestId", (c) => {
+  const paymentRequestId = c.req.param("paymentRequestId");
+  const paymentRequest = findPaymentRequest(paymentRequestId);
+  if (!paymentRequest) return paymentRequestNotFound(c, paymentRequestId);
+  return c.json(paymentRequest);
+});
+
+// PATCH /v2/payment/requests/{paymentRequestId} – amount and supplementary_purchase_data before completion
+app.patch("/v2/payment/requests/:paymentRequestId", async (c) => {
+  const paymentRequestId = c.req.param("paymentRequestId");
+  const paymentRequest = findPaymentRequest(paymentRequestId);
+  if (!paymentRequest) return paymentRequestNotFound(c, paymentRequestId);
+  if (paymentRequest.state !== "CREATED" && paymentRequest.state !== "SUBMITTED") {
+    return invalidPaymentRequestState(c, paymentRequest, "updated");
+  }
+  const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+  if (!body) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Request body must be valid JSON");
+  }
+  if (body.amount !== undefined) {
+    if (!Number.isInteger(body.amount) || (body.amount as number) < 0) {
+      return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", [
+        { parameter: "amount", reason: "must be a non-negative integer" },
+      ]);
+    }
+    paymentRequest.amount = body.amount;
+  }
+  if (body.supplementary_purchase_data !== undefined) {
+    paymentRequest.supplementary_purchase_data = body.supplementary_purchase_data;
+  }
+  paymentRequest.updated_at = new Date().toISOString();
+  console.log("✏️  Payment request updated:", paymentRequestId);
+  return c.json(paymentRequest);
+});
+
+// POST /v2/payment/requests/{paymentRequestId}/cancel
+app.post("/v2/payment/requests/:paymentRequestId/cancel", (c) => {
+  const paymentRequestId = c.req.param("paymentRequestId");
+  const paymentRequest = findPaymentRequest(paymentRequestId);
+  if (!paymentRequest) return paymentRequestNotFound(c, paymentRequestId);
+  if (paymentRequest.state === "CANCELED") {
+    return c.json(paymentRequest);
+  }
+  if (paymentRequest.state !== "CREATED" && paymentRequest.state !== "SUBMITTED") {
+    return invalidPaymentRequestState(c, paymentRequest, "canceled");
+  }
+  paymentRequest.state = "CANCELED";
+  paymentRequest.state_context = {};
+  paymentRequest.updated_at = new Date().toISOString();
+  notifyPaymentRequestState(paymentRequest);
+  console.log("🚫 Payment request CANCELED:", paymentRequestId);
+  return c.json(paymentRequest);
+});
+
+// POST /v2/payment/authorize (and /v2/accounts/{accountId}/payment/authorize)
+async function handleAuthorize(c: Context) {
+  const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+  if (!body) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Request body must be valid JSON");
+  }
+  const transaction = body.request_payment_transaction as Record<string, unknown> | undefined;
+  const customerTokenRequest = body.request_customer_token as Record<string, unknown> | undefined;
+  const stepUpConfig = (body.step_up_config || {}) as Record<string, unknown>;
+  const validationErrors: { parameter: string; reason: string }[] = [];
+  if (!body.currency) {
+    validationErrors.push({ parameter: "currency", reason: "must not be null" });
+  }
+  if (!transaction && !customerTokenRequest) {
+    validationErrors.push({
+      parameter: "request_payment_transaction",
+      reason: "request_payment_transaction or request_customer_token is required",
+    });
+  }
+  if (transaction && !transaction.payment_option_id) {
+    validationErrors.push({ parameter: "request_payment_transaction.payment_option_id", reason: "must not be null" });
+  }
+  if (validationErrors.length > 0) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", validationErrors);
+  }
+
+  // Without an authenticated customer the purchase has to be stepped up
+  const authenticated = !!(c.req.header("Klarna-Network-Session-Token") ||
+    c.req.header("Klarna-Customer-Token"));
+  const result = transaction && Number(transaction.amount) > DECLINE_ABOVE
+    ? "DECLINED"
+    : authenticated ? "APPROVED" : "STEP_UP_REQUIRED";
+
+  const response: Record<string, unknown> = {};
+  if (result === "STEP_UP_REQUIRED") {
+    const now = new Date();
+    const paymentRequestId = krn("payment:{region}:request");
+    const interactionConfig = (stepUpConfig.customer_interaction_config || {}) as Record<string, unknown>;
+    const paymentRequest = {
+      payment_request_id: paymentRequestId,
+      payment_request_reference: stepUpConfig.payment_request_reference,
+      amount: transaction?.amount,
+      currency: body.currency,
+      supplementary_purchase_data: body.supplementary_purchase_data,
+      customer_interaction_config: interactionConfig,
+      state: "CREATED",
+      state_context: {
+        customer_interaction: {
+          method: interactionConfig.method || "HANDOVER",
+          payment_request_id: paymentRequestId,
+          payment_request_url: `${new URL(c.req.url).origin}/pay/${encodeURIComponent(paymentRequestId)}`,
+        },
+      },
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + PAYMENT_REQUEST_TTL_MS).toISOString(),
+    };
+    paymentRequests.set(paymentRequestId, paymentRequest);
+    notifyPaymentRequestState(paymentRequest);
+    response.payment_request = paymentRequest;
+  }
+  if (transaction) {
+    response.payment_transaction_response = {
+      result,
+      ...(result === "DECLINED" && { result_reason: "PURCHASE_LIMIT_EXCEEDED" }),
+      ...(result === "APPROVED" && {
+        payment_transaction: {
+          payment_transaction_id: krn("payment:{region}:transaction"),
+          payment_transaction_reference: transaction.payment_transaction_reference,
+          amount: transaction.amount,
+          currency: body.currency,
+        },
+      }),
+    };
+  }
+  if (customerTokenRequest) {
+    response.customer_token_response = {
+      result,
+      ...(result === "APPROVED" && {
+        customer_token: {
+          customer_token_id: krn("customer-token:{region}:token"),
+          customer_token_reference: customerTokenRequest.customer_token_reference,
+        },
+      }),
+    };
+  }
+  console.log(`✅ Payment authorize ${result}`);
+  return c.json(response);
+}
+
+app.post("/v2/payment/authorize", handleAuthorize);
+app.post("/v2/accounts/:accountId/payment/authorize", handleAuthorize);
+
+// POST /v2/identity/sdk-tokens (and /v2/accounts/{accountId}/identity/sdk-tokens)
+function handleSdkToken(c: Context) {
+  return c.json({
+    sdk_token: krn("identity:{region}:sdk-token"),
+    expires_at: new Date(Date.now() + SDK_TOKEN_TTL_MS).toISOString(),
+  });
+}
+
+app.post("/v2/identity/sdk-tokens", handleSdkToken);
+app.post("/v2/accounts/:accountId/identity/sdk-tokens", handleSdkToken);
+
+const CUSTOMER_JOURNEYS = [
+  "KLARNA_EXPRESS_CHECKOUT",
+  "SIGN_IN_WITH_KLARNA",
+  "KLARNA_PRE_QUALIFICATION",
+  "KLARNA_ACCOUNT_LINKING",
+];
+// Interoperability tokens issued during this run
+const interoperabilityTokens = new Set<string>();
+
+// POST /v2/accounts/{accountId}/interoperability/test-tokens
+app.post("/v2/accounts/:accountId/interoperability/test-tokens", async (c) => {
+  const body = await c.req.json().catch(() => null) as Record<string, unknown> | null;
+  const journey = body?.customer_journey as string | undefined;
+  if (!journey || !CUSTOMER_JOURNEYS.includes(journey)) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", [
+      { parameter: "customer_journey", reason: `must be one of ${CUSTOMER_JOURNEYS.join(", ")}` },
+    ]);
+  }
+  if (!c.req.header("Klarna-Customer-Token")) {
+    return klarnaError(c, 400, "INPUT_ERROR", "BAD_VALUE", "Validation failed", [
+      { parameter: "Klarna-Customer-Token", reason: "header is required" },
+    ]);
+  }
+  const interoperabilityToken = krn("interoperability:{region}:token");
+  interoperabilityTokens.add(interoperabilityToken);
+  return c.json({ interoperability_token: interoperabilityToken }, 201);
+});
+
+// POST /v2/accounts/{accountId}/interoperability/sdk-tokens
+app.post("/v2/accounts/:accountId/interoperability/sdk-tokens", (c) => {
+  const interoperabilityToken = c.req.header("Klarna-Interoperability-Token");
+  if (!interoperabilityToken || !interoperabilityTokens.has(interoperabilityToken)) {
+    return klarnaError(c, 400, "INPUT_ERROR", "INVALID_INTEROPERABILITY_TOKEN", "Unknown or missing Klarna-Interoperability-Token");
+  }
+  return handleSdkToken(c);
+});
+
+// Hosted page behind payment_request_url: completes the request and returns to return_url
+app.get("/pay/:paymentRequestId", (c) => {
+  const paymentRequestId = c.req.param("paymentRequestId");
+  const paymentRequest = findPaymentRequest(paymentRequestId);
+  if (!paymentRequest) {
+    return c.text("Unknown payment request", 404);
+  }
+  if (paymentRequest.state !== "CREATED" && paymentRequest.state !== "SUBMITTED") {
+    return c.text(`Payment request is ${paymentRequest.state}`, 409);
+  }
+  paymentRequest.state = "COMPLETED";
+  paymentRequest.state_context = {
+    payment_transaction: {
+      payment_transaction_id: krn("payment:{region}:transaction"),
+      payment_transaction_reference: paymentRequest.payment_request_reference,
+      amount: paymentRequest.amount,
+      currency: paymentRequest.currency,
+    },
+  };
+  paymentRequest.updated_at = new Date().toISOString();
+  notifyPaymentRequestState(paymentRequest);
+  const returnUrl = (paymentRequest.customer_interaction_config as { return_url?: string })
+    ?.return_url;
+  if (!returnUrl) {
+    return c.json(paymentRequest);
+  }
+  const target = new URL(returnUrl);
+  target.searchParams.set("payment_request_id", paymentRequestId);
+  return c.redirect(target.toString());
+});
+
+app.all("*", (c) => {
+  return klarnaError(c, 404, "RESOURCE_ERROR", "NOT_FOUND", `No stand-in for ${c.req.method} ${c.req.path}`);
+});
+
+serve({ fetch: app.fetch, port: PORT }, (info) => {
+  console.log(`\n  Klarna stand-in running at http://localhost:${info.port}\n`);
+});
@@ -0,0 +1,792 @@
+/**
+ * Local Paytrail API stand-in for offline development and integration testing.
+ * Verifies the checkout-* headers and HMAC signature exactly like Paytrail (and like
+ * createPaytrailSignatureWithCreds in backend/app.ts builds them), keeps transaction
+ * state in memory across calls and returns the response shapes from paytrail-api.yaml:
+ *   - GET  /merchants/payment-providers, /merchants/grouped-payment-providers
+ *   - POST /payments, GET /payments/{id}
+ *   - POST /payments/klarna/charge               (403 with stepUpUrl when no networkSessionToken)
+ *   - POST /payments/klarna/authorization-hold   (same step-up rule)
+ *   - POST /payments/{id}/refund | activate-invoice | cancel-order | klarna/commit | klarna/revert
+ *   - POST /tokenization/addcard-form (browser form post) and /tokenization/{checkout-tokenization-id}
+ *   - POST /payments/token/mit|cit/charge|authorization-hold, /payments/{id}/token/commit|revert
+ *     (CIT over 50.00 EUR answers 403 with a threeDSecureUrl)
+ *   - GET  /settlements, POST /payments/report, /settlements/{id}/payments/report
+ *     (one settlement per day of paid transactions; reports are POSTed to callbackUrl as JSON)
+ *
+ * The href / stepUpUrl of a transaction points at GET /pay/{id} on this server, which settles
+ * the payment (?status=fail to fail it), calls callbackUrls and redirects to redirectUrls
+ * with signed checkout-* query parameters, as the hosted payment gateway does.
+ *
+ * Run with: npx tsx scripts/mock-paytrail-server.ts  (or npm run mock:paytrail)
+ * Then start the app against it: PAYTRAIL_API_URL=http://localhost:4020 npm start
+ *
+ * Merchant credentials come from MOCK_PAYTRAIL_MERCHANTS (JSON of merchantId -> secretKey)
+ * and default to Paytrail's public test account 375917 / SAIPPUAKAUPPIAS.
+ */
+import { Hono } from "hono";
+import type { Context } from "hono";
+import { serve } from "@hono/node-server";
+import crypto from "crypto";
+
+const PORT = Number(process.env.MOCK_PAYTRAIL_PORT) || 4020;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const CIT_STEP_UP_THRESHOLD = 5000;
+
+function parseMerchants(raw: string | undefined): Record<string, string> {
+  const fallback = { "375917": "SAIPPUAKAUPPIAS" };
+  if (!raw) return fallback;
+  try {
+    const parsed = JSON.parse(raw);
+    if (typeof parsed === "object" && parsed !== null) return parsed;
+    console.warn("MOCK_PAYTRAIL_MERCHANTS is not a valid JSON object");
+    return fallback;
+  } catch (error) {
+    console.error("Failed to parse MOCK_PAYTRAIL_MERCHANTS:", error);
+    return fallback;
+  }
+}
+
+const MERCHANTS = parseMerchants(process.env.MOCK_PAYTRAIL_MERCHANTS);
+
+type TransactionStatus = "new" | "ok" | "fail" | "pending" | "delayed" | "authorization-hold";
+
+interface Transaction {
+  transactionId: string;
+  merchantId: string;
+  status: TransactionStatus;
+  amount: number;
+  refundedAmount: number;
+  currency: string;
+  stamp: string;
+  reference: string;
+  createdAt: string;
+  paidAt?: string;
+  provider?: string;
+  redirectUrls?: { success?: string; cancel?: string };
+  callbackUrls?: { success?: string; cancel?: string };
+  refunds: { transactionId: string; amount: number; refundStamp?: string; refundReference?: string }[];
+}
+
+const transactions = new Map<string, Transaction>();
+// Nonces already used per merchant; Paytrail rejects replayed requests
+const seenNonces = new Set<string>();
+// Completed card additions (checkout-tokenization-id -> merchant) and issued card tokens (token -> merchant)
+const tokenizations = new Map<string, string>();
+const cardTokens = new Map<string, string>();
+
+const PROVIDERS = [
+  { id: "osuuspankki", name: "OP", group: "bank" },
+  { id: "nordea", name: "Nordea", group: "bank" },
+  { id: "mobilepay", name: "MobilePay", group: "mobile" },
+  { id: "creditcard", name: "Visa", group: "creditcard" },
+  { id: "klarna", name: "Klarna", group: "credit" },
+];
+
+const GROUP_NAMES: Record<string, string> = {
+  mobile: "Mobile payment methods",
+  bank: "Bank payment methods",
+  creditcard: "Payment cards",
+  credit: "Invoice and instalment",
+};
+
+const TERMS =
+  'By continuing with your payment, you agree to our <a href="https://www.paytrail.com/en/payment-terms" target="_blank">payment terms & conditions</a>';
+
+/** Same signature string as createPaytrailSignatureWithCreds: sorted checkout-* lines, then body. */
+function calculateHmac(
+  secretKey: string,
+  algorithm: string,
+  params: Record<string, string>,
+  body: string = "",
+): string {
+  const signatureString = Object.keys(params)
+    .filter((key) => key.startsWith("checkout-"))
+    .sort()
+    .map((key) => `${key}:${params[key]}`)
+    .join("\n") + "\n" + body;
+  return crypto.createHmac(algorithm, secretKey).update(signatureString).digest("hex");
+}
+
+function paytrailError(c: Context, status: number, message: string, meta?: string[]) {
+  return c.json({ status: "error", message, ...(meta && { meta }) }, status as 400);
+}
+
+function providerFor(id: string, transactionId: string | null, origin: string) {
+  const provider = PROVIDERS.find((p) => p.id === id) || PROVIDERS[0];
+  return {
+    id: provider.id,
+    name: provider.name,
+    group: provider.group,
+    icon: `https://static.paytrail.com/static/img/payment-methods/${provider.id}-140x75.png`,
+    svg: `https://static.paytrail.com/static/img/payment-methods/${provider.id}.svg`,
+    ...(transactionId && {
+      url: `${origin}/pay/${transactionId}?provider=${provider.id}`,
+      parameters: [],
+    }),
+  };
+}
+
+function groupsFor(providers: ReturnType<typeof providerFor>[], withProviders: boolean) {
+  const ids = [...new Set(providers.map((p) => p.group))];
+  return ids.map((id) => ({
+    id,
+    name: GROUP_NAMES[id],
+    icon: `https://static.paytrail.com/static/img/payment-groups/${id}.png`,
+    svg: `https://static.paytrail.com/static/img/payment-groups/${id}.svg`,
+    ...(withProviders && { providers: providers.filter((p) => p.group === id) }),
+  }));
+}
+
+/** Signed checkout-* parameters for redirect and callback URLs. */
+function signedRedirectParams(transaction: Transaction): URLSearchParams {
+  const params: Record<string, string> = {
+    "checkout-account": transaction.merchantId,
+    "checkout-algorithm": "sha256",
+    "checkout-amount": String(transaction.amount),
+    "checkout-stamp": transaction.stamp,
+    "checkout-reference": transaction.reference,
+    "checkout-transaction-id": transaction.transactionId,
+    "checkout-status": transaction.status,
+    "checkout-provider": transaction.provider || "",
+  };
+  const signature = calculateHmac(MERCHANTS[transaction.merchantId], "sha256", params);
+  return new URLSearchParams({ ...params, signature });
+}
+
+const app = new Hono<{ Variables: { merchantId: string; body: string } }>();
+
+app.use("*", async (c, next) => {
+  console.log(`➡️  ${c.req.method} ${c.req.path}`);
+  await next();
+});
+
+// Header + HMAC verification for every API call (everything except the hosted /pay pages)
+app.use("*", async (c, next) => {
+  // Hosted pages and the browser-posted add card form are not header-signed
+  if (c.req.path.startsWith("/pay/") || c.req.path === "/tokenization/addcard-form") return next();
+
+  const headers = c.req.header();
+  const merchantId = headers["checkout-account"];
+  const algorithm = headers["checkout-algorithm"];
+  const missing = [
+    "checkout-account",
+    "checkout-algorithm",
+    "checkout-method",
+    "checkout-nonce",
+    "checkout-timestamp",
+    "signature",
+  ].filter((name) => !headers[name]);
+  if (missing.length > 0) {
+    return paytrailError(c, 401, "Missing required headers", missing);
+  }
+  if (algorithm !== "sha256" && algorithm !== "sha512") {
+    return paytrailError(c, 401, "Unsupported checkout-algorithm", [algorithm]);
+  }
+  if (headers["checkout-method"] !== c.req.method) {
+    return paytrailError(c, 401, "checkout-method does not match request method");
+  }
+  const timestamp = Date.parse(headers["checkout-timestamp"]);
+  if (isNaN(timestamp) || Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+    return paytrailError(c, 401, "checkout-timestamp is invalid or too far from server time");
+  }
+  const secretKey = MERCHANTS[merchantId];
+  if (!secretKey) {
+    return paytrailError(c, 401, "Merchant account not found");
+  }
+
+  const body = c.req.method === "GET" ? "" : await c.req.text();
+  const expected = calculateHmac(secretKey, algorithm, headers, body);
+  const provided = headers["signature"];
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return paytrailError(c, 401, "Invalid signature");
+  }
+  const nonceKey = `${merchantId}:${headers["checkout-nonce"]}`;
+  if (seenNonces.has(nonceKey)) {
+    return paytrailError(c, 401, "checkout-nonce has already been used");
+  }
+  seenNonces.add(nonceKey);
+
+  c.set("merchantId", merchantId);
+  c.set("body", body);
+  await next();
+
+  // Sign the response the same way Paytrail does
+  const responseBody = await c.res.clone().text();
+  const responseHeaders: Record<string, string> = {
+    "checkout-algorithm": algorithm,
+    "checkout-account": merchantId,
+    "checkout-nonce": crypto.randomUUID(),
+    "checkout-timestamp": new Date().toISOString(),
+  };
+  for (const [key, value] of Object.entries(responseHeaders)) {
+    c.res.headers.set(key, value);
+  }
+  c.res.headers.set("request-id", crypto.randomUUID());
+  c.res.headers.set(
+    "signature",
+    calculateHmac(secretKey, algorithm, responseHeaders, responseBody),
+  );
+});
+
+function parseBody(c: Context): Record<string, unknown> | null {
+  const raw = c.get("body") as string;
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return typeof parsed === "object" && parsed !== null ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Check required fields of a PaymentRequest; returns a list of meta messages. */
+function validatePayment(payment: Record<string, unknown>, requireRedirects: boolean): string[] {
+  const errors: string[] = [];
+  for (const field of ["stamp", "reference", "currency", "customer"]) {
+    if (!payment[field]) errors.push(`"${field}" is required`);
+  }
+  if (!Number.isInteger(payment.amount) || (payment.amount as number) <= 0) {
+    errors.push('"amount" must be a positive integer');
+  }
+  const customer = payment.customer as { email?: string } | undefined;
+  if (customer && !customer.email) errors.push('"customer.email" is required');
+  if (requireRedirects) {
+    const redirectUrls = payment.redirectUrls as { success?: string; cancel?: string } | undefined;
+    if (!redirectUrls?.success || !redirectUrls?.cancel) {
+      errors.push('"redirectUrls.success" and "redirectUrls.cancel" are required');
+    }
+  }
+  return errors;
+}
+
+function createTransaction(
+  merchantId: string,
+  payment: Record<string, unknown>,
+  status: TransactionStatus,
+  provider?: string,
+): Transaction {
+  const duplicate = [...transactions.values()].find((t) =>
+    t.merchantId === merchantId && t.stamp === payment.stamp
+  );
+  if (duplicate) {
+    throw Object.assign(new Error(`Duplicate stamp: ${payment.stamp}`), { status: 400 });
+  }
+  const now = new Date().toISOString();
+  const transaction: Transaction = {
+    transactionId: crypto.randomUUID(),
+    merchantId,
+    status,
+    amount: payment.amount as number,
+    refundedAmount: 0,
+    currency: payment.currency as string,
+    stamp: String(payment.stamp),
+    reference: String(payment.reference),
+    createdAt: now,
+    ...(status === "ok" && { paidAt: now }),
+    provider,
+    redirectUrls: payment.redirectUrls as Transaction["redirectUrls"],
+    callbackUrls: payment.callbackUrls as Transaction["callbackUrls"],
+    refunds: [],
+  };
+  transactions.set(transaction.transactionId, transaction);
+  return transaction;
+}
+
+/** Look up a transaction for a {transactionId} route; checks ownership and checkout-transaction-id. */
+function findTransaction(c: Context): Transaction | Response {
+  const transactionId = c.req.param("transactionId") || "";
+  if (c.req.header("checkout-transaction-id") !== transactionId) {
+    return paytrailError(c, 400, "checkout-transaction-id header must match the transaction ID in the path");
+  }
+  const transaction = transactions.get(transactionId);
+  if (!transaction || transaction.merchantId !== c.get("merchantId")) {
+    return paytrailError(c, 404, "Transaction not found");
+  }
+  return transaction;
+}
+
+// ============================================================================
+// MERCHANT ENDPOINTS
+// ============================================================================
+
+app.get("/merchants/payment-providers", (c) => {
+  const origin = new URL(c.req.url).origin;
+  return c.json(PROVIDERS.map((p) => providerFor(p.id, null, origin)));
+});
+
+app.get("/merchants/grouped-payment-providers", (c) => {
+  const origin = new URL(c.req.url).origin;
+  const providers = PROVIDERS.map((p) => providerFor(p.id, null, origin));
+  return c.json({ terms: TERMS, groups: groupsFor(providers, true), providers });
+});
+
+// ============================================================================
+// PAYMENT CREATION
+// ============================================================================
+
+app.post("/payments", (c) => {
+  const payment = parseBody(c);
+  if (!payment) return paytrailError(c, 400, "Request body is not valid JSON");
+  const errors = validatePayment(payment, true);
+  if (errors.length > 0) return paytrailError(c, 400, "Validation failed", errors);
+
+  let transaction: Transaction;
+  try {
+    transaction = createTransaction(c.get("merchantId"), payment, "new");
+  } catch (error) {
+    return paytrailError(c, 400, (error as Error).message);
+  }
+  const origin = new URL(c.req.url).origin;
+  const providers = PROVIDERS.map((p) => providerFor(p.id, transaction.transactionId, origin));
+  console.log("✅ Payment created:", transaction.transactionId);
+  return c.json({
+    transactionId: transaction.transactionId,
+    href: `${origin}/pay/${transaction.transactionId}`,
+    reference: transaction.reference,
+    terms: TERMS,
+    groups: groupsFor(providers, false),
+    providers,
+  }, 201);
+});
+
+/** Klarna charge and authorization hold share validation and the step-up rule. */
+function klarnaPayment(c: Context, settledStatus: TransactionStatus) {
+  const payment = parseBody(c);
+  if (!payment) return paytrailError(c, 400, "Request body is not valid JSON");
+  const errors = validatePayment(payment, false);
+  if (errors.length > 0) return paytrailError(c, 400, "Validation failed", errors);
+
+  const networkSessionToken = (payment.providerDetails as { klarna?: { networkSessionToken?: string } } | undefined)
+    ?.klarna?.networkSessionToken;
+  let transaction: Transaction;
+  try {
+    transaction = createTransaction(
+      c.get("merchantId"),
+      payment,
+      networkSessionToken ? settledStatus : "new",
+      "klarna",
+    );
+  } catch (error) {
+    return paytrailError(c, 400, (error as Error).message);
+  }
+
+  if (!networkSessionToken) {
+    // Without a Klarna network session the customer has to step up on the hosted page
+    const origin = new URL(c.req.url).origin;
+    const stepUpUrl = `${origin}/pay/${transaction.transactionId}?provider=klarna&settle=${settledStatus}`;
+    console.log("⚠️ Step-up required:", transaction.transactionId);
+    return c.json({
+      status: "error",
+      message: "Step-up required",
+      transactionId: transaction.transactionId,
+      stepUpUrl,
+    }, 403);
+  }
+  console.log(`✅ Klarna ${settledStatus}:`, transaction.transactionId);
+  return c.json({ transactionId: transaction.transactionId }, 201);
+}
+
+app.post("/payments/klarna/charge", (c) => klarnaPayment(c, "ok"));
+app.post("/payments/klarna/authorization-hold", (c) => klarnaPayment(c, "authorization-hold"));
+
+// ============================================================================
+// TRANSACTION OPERATIONS
+// ============================================================================
+
+app.get("/payments/:transactionId", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  const origin = new URL(c.req.url).origin;
+  return c.json({
+    transactionId: found.transactionId,
+    status: found.status,
+    amount: found.amount,
+    currency: found.currency,
+    stamp: found.stamp,
+    reference: found.reference,
+    createdAt: found.createdAt,
+    href: `${origin}/pay/${found.transactionId}`,
+    ...(found.provider && { provider: found.provider }),
+    ...(found.paidAt && { paidAt: found.paidAt }),
+  });
+});
+
+app.post("/payments/:transactionId/refund", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  const refund = parseBody(c);
+  if (!refund) return paytrailError(c, 400, "Request body is not valid JSON");
+  if (found.status !== "ok") {
+    return paytrailError(c, 400, `Transaction in status "${found.status}" cannot be refunded`);
+  }
+  const amount = refund.amount === undefined ? found.amount - found.refundedAmount : refund.amount;
+  if (!Number.isInteger(amount) || (amount as number) <= 0) {
+    return paytrailError(c, 400, "Validation failed", ['"amount" must be a positive integer']);
+  }
+  if ((amount as number) > found.amount - found.refundedAmount) {
+    return paytrailError(c, 400, "Refund amount exceeds the refundable amount", [
+      `refundable: ${found.amount - found.refundedAmount}`,
+    ]);
+  }
+  const refundTransactionId = crypto.randomUUID();
+  found.refundedAmount += amount as number;
+  found.refunds.push({
+    transactionId: refundTransactionId,
+    amount: amount as number,
+    refundStamp: refund.refundStamp as string | undefined,
+    refundReference: refund.refundReference as string | undefined,
+  });
+  console.log("✅ Refund:", found.transactionId, amount);
+  return c.json({ status: "ok", transactionId: refundTransactionId, provider: found.provider }, 201);
+});
+
+app.post("/payments/:transactionId/activate-invoice", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.status !== "pending" && found.status !== "authorization-hold") {
+    return c.json({ status: "error", message: `Transaction in status "${found.status}" cannot be activated` }, 400);
+  }
+  found.status = "ok";
+  found.paidAt = new Date().toISOString();
+  return c.json({ status: "ok", message: "Invoice activated" });
+});
+
+app.post("/payments/:transactionId/klarna/commit", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.provider !== "klarna" || found.status !== "authorization-hold") {
+    return paytrailError(c, 400, "Error capturing Klarna Express payment");
+  }
+  found.status = "ok";
+  found.paidAt = new Date().toISOString();
+  return c.json({ status: "ok", transactionId: found.transactionId });
+});
+
+app.post("/payments/:transactionId/klarna/revert", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.provider !== "klarna" || found.status !== "authorization-hold") {
+    return paytrailError(c, 400, "Error reverting Klarna Express payment");
+  }
+  found.status = "fail";
+  return c.json({ status: "ok", transactionId: found.transactionId });
+});
+
+app.post("/payments/:transactionId/cancel-order", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.status === "ok" || found.status === "fail") {
+    return paytrailError(c, 400, `Transaction in status "${found.status}" cannot be cancelled`);
+  }
+  found.status = "fail";
+  return c.json({ status: "ok", transactionId: found.transactionId });
+});
+
+// ============================================================================
+// CARD TOKENIZATION AND TOKEN PAYMENTS
+// ============================================================================
+
+// Form fields are signed like redirect parameters (checkout-* fields, empty body)
+app.post("/tokenization/addcard-form", async (c) => {
+  const contentType = c.req.header("content-type") || "";
+  const raw = contentType.includes("application/json")
+    ? await c.req.json().catch(() => ({}))
+    : await c.req.parseBody();
+  const fields = Object.fromEntries(
+    Object.entries(raw as Record<string, unknown>).map(([key, value]) => [key, String(value)]),
+  );
+  const merchantId = fields["checkout-account"];
+  const secretKey = MERCHANTS[merchantId];
+  if (!secretKey) return paytrailError(c, 401, "Merchant account not found");
+  const algorithm = fields["checkout-algorithm"] || "sha256";
+  if (calculateHmac(secretKey, algorithm, fields) !== fields.signature) {
+    return paytrailError(c, 401, "Invalid signature");
+  }
+  const successUrl = fields["checkout-redirect-success-url"];
+  if (!successUrl || !fields["checkout-redirect-cancel-url"]) {
+    return paytrailError(c, 400, "Validation failed", [
+      '"checkout-redirect-success-url" and "checkout-redirect-cancel-url" are required',
+    ]);
+  }
+
+  // The stand-in skips the card form itself and "adds" a test Visa right away
+  const tokenizationId = crypto.randomUUID();
+  tokenizations.set(tokenizationId, merchantId);
+  const params: Record<string, string> = {
+    "checkout-account": merchantId,
+    "checkout-algorithm": algorithm,
+    "checkout-method": "GET",
+    "checkout-nonce": crypto.randomUUID(),
+    "checkout-timestamp": new Date().toISOString(),
+    "checkout-status": "ok",
+    "checkout-tokenization-id": tokenizationId,
+  };
+  const query = new URLSearchParams({
+    ...params,
+    signature: calculateHmac(secretKey, algorithm, params),
+  });
+  const callbackUrl = fields["checkout-callback-success-url"];
+  if (callbackUrl) {
+    fetch(`${callbackUrl}${callbackUrl.includes("?") ? "&" : "?"}${query}`).catch((error) =>
+      console.warn(`📣 Callback failed: ${callbackUrl}`, error instanceof Error ? error.message : error)
+    );
+  }
+  console.log("✅ Card added, tokenization id:", tokenizationId);
+  return c.redirect(`${successUrl}${successUrl.includes("?") ? "&" : "?"}${query}`);
+});
+
+app.post("/tokenization/:tokenizationId", (c) => {
+  const tokenizationId = c.req.param("tokenizationId");
+  if (c.req.header("checkout-tokenization-id") !== tokenizationId) {
+    return paytrailError(c, 400, "checkout-tokenization-id header must match the tokenization ID in the path");
+  }
+  if (tokenizations.get(tokenizationId) !== c.get("merchantId")) {
+    return paytrailError(c, 404, "Tokenization not found");
+  }
+  const token = crypto.randomUUID();
+  cardTokens.set(token, c.get("merchantId"));
+  return c.json({
+    token,
+    card: {
+      type: "Visa",
+      bin: "415301",
+      partial_pan: "0024",
+      expire_year: "2030",
+      expire_month: "11",
+      cvc_required: "no",
+      funding: "debit",
+      category: "unknown",
+      country_code: "FI",
+      pan_fingerprint: crypto.createHash("sha256").update(tokenizationId).digest("hex"),
+      card_fingerprint: crypto.createHash("sha256").update(token).digest("hex"),
+    },
+    customer: { network_address: "127.0.0.1", country_code: "FI" },
+  });
+});
+
+/** MIT/CIT charge or authorization hold on a card token. */
+function tokenPayment(c: Context, initiator: "mit" | "cit", settledStatus: TransactionStatus) {
+  const payment = parseBody(c);
+  if (!payment) return paytrailError(c, 400, "Request body is not valid JSON");
+  const errors = validatePayment(payment, true);
+  if (!payment.token) errors.push('"token" is required');
+  if (errors.length > 0) return paytrailError(c, 400, "Validation failed", errors);
+  if (cardTokens.get(String(payment.token)) !== c.get("merchantId")) {
+    return paytrailError(c, 400, "Invalid token");
+  }
+
+  const stepUp = initiator === "cit" && (payment.amount as number) > CIT_STEP_UP_THRESHOLD;
+  let transaction: Transaction;
+  try {
+    transaction = createTransaction(
+      c.get("merchantId"),
+      payment,
+      stepUp ? "new" : settledStatus,
+      "creditcard",
+    );
+  } catch (error) {
+    return paytrailError(c, 400, (error as Error).message);
+  }
+  if (stepUp) {
+    const origin = new URL(c.req.url).origin;
+    console.log("⚠️ 3DS step-up required:", transaction.transactionId);
+    return c.json({
+      transactionId: transaction.transactionId,
+      threeDSecureUrl: `${origin}/pay/${transaction.transactionId}?provider=creditcard&settle=${settledStatus}`,
+    }, 403);
+  }
+  console.log(`✅ Token ${initiator} ${settledStatus}:`, transaction.transactionId);
+  return c.json({ transactionId: transaction.transactionId }, 201);
+}
+
+app.post("/payments/token/mit/charge", (c) => tokenPayment(c, "mit", "ok"));
+app.post("/payments/token/mit/authorization-hold", (c) => tokenPayment(c, "mit", "authorization-hold"));
+app.post("/payments/token/cit/charge", (c) => tokenPayment(c, "cit", "ok"));
+app.post("/payments/token/cit/authorization-hold", (c) => tokenPayment(c, "cit", "authorization-hold"));
+
+app.post("/payments/:transactionId/token/commit", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.provider !== "creditcard" || found.status !== "authorization-hold") {
+    return paytrailError(c, 400, `Transaction in status "${found.status}" cannot be committed`);
+  }
+  const commit = parseBody(c) || {};
+  const amount = commit.amount === undefined ? found.amount : commit.amount;
+  if (!Number.isInteger(amount) || (amount as number) > found.amount) {
+    return paytrailError(c, 400, "Validation failed", ['"amount" may not exceed the authorization hold']);
+  }
+  found.amount = amount as number;
+  found.status = "ok";
+  found.paidAt = new Date().toISOString();
+  return c.json({ transactionId: found.transactionId }, 201);
+});
+
+app.post("/payments/:transactionId/token/revert", (c) => {
+  const found = findTransaction(c);
+  if (found instanceof Response) return found;
+  if (found.provider !== "creditcard" || found.status !== "authorization-hold") {
+    return paytrailError(c, 400, `Transaction in status "${found.status}" cannot be reverted`);
+  }
+  found.status = "fail";
+  return c.json({ transactionId: found.transactionId });
+});
+
+// ============================================================================
+// SETTLEMENTS AND REPORTS
+// ============================================================================
+
+const REPORT_STATUS: Record<TransactionStatus, string> = {
+  new: "New",
+  ok: "Paid",
+  fail: "Cancelled",
+  pending: "waiting for approval",
+  delayed: "Delayed",
+  "authorization-hold": "Halted",
+};
+
+/** Paid transactions are settled in one batch per day; the ID is the paid date as YYYYMMDD. */
+function settlementIdFor(transaction: Transaction): number | null {
+  if (transaction.status !== "ok" || !transaction.paidAt) return null;
+  return Number(transaction.paidAt.slice(0, 10).replace(/-/g, ""));
+}
+
+function settlementDates(settlementId: number) {
+  const id = String(settlementId);
+  const day = `${id.slice(0, 4)}-${id.slice(4, 6)}-${id.slice(6, 8)}`;
+  const next = new Date(`${day}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return {
+    createdAt: `${day}T00:00:00+00:00`,
+    settledAt: `${next.toISOString().slice(0, 10)}T04:00:00+00:00`,
+  };
+}
+
+function reportRow(transaction: Transaction): Record<string, unknown> {
+  const created = new Date(transaction.createdAt);
+  const settlementId = settlementIdFor(transaction);
+  return {
+    entryDate: created.toISOString().slice(0, 10).split("-").reverse().join("-"),
+    created: created.toISOString().slice(11, 16),
+    amount: transaction.amount / 100,
+    status: REPORT_STATUS[transaction.status],
+    reference: transaction.reference,
+    stamp: transaction.stamp,
+    paymentMethod: transaction.provider || "",
+    checkoutReference: transaction.transactionId,
+    settlementId: settlementId ?? "",
+    settlementDate: settlementId ? settlementDates(settlementId).settledAt.slice(0, 10) : "",
+  };
+}
+
+/** Accept the report request, then deliver the rows to callbackUrl shortly after. */
+function queueReport(c: Context, rows: Record<string, unknown>[]) {
+  const request = parseBody(c);
+  if (!request) return paytrailError(c, 400, "Request body is not valid JSON");
+  if (!request.callbackUrl || !request.requestType) {
+    return paytrailError(c, 400, "Validation failed", ['"requestType" and "callbackUrl" are required']);
+  }
+  const fields = request.reportFields as string[] | undefined;
+  const payload = fields?.length
+    ? rows.map((row) => Object.fromEntries(fields.map((field) => [field, row[field] ?? ""])))
+    : rows;
+  const requestId = crypto.randomUUID();
+  const callbackUrl = String(request.callbackUrl);
+  const csv = request.requestType === "csv";
+  setTimeout(() => {
+    const columns = Object.keys(payload[0] || {});
+    const body = csv
+      ? [columns.join(";"), ...payload.map((row) => columns.map((col) => row[col]).join(";"))].join("\n")
+      : JSON.stringify(payload);
+    fetch(callbackUrl, {
+      method: "POST",
+      headers: { "content-type": csv ? "application/csv" : "application/json" },
+      body,
+    }).then(
+      (res) => console.log(`📣 Report ${requestId} delivered (${res.status}): ${callbackUrl}`),
+      (error) => console.warn(`📣 Report delivery failed: ${callbackUrl}`, error instanceof Error ? error.message : error),
+    );
+  }, 500);
+  return c.json({ requestId });
+}
+
+app.get("/settlements", (c) => {
+  const startDate = c.req.query("startDate");
+  const endDate = c.req.query("endDate");
+  const limit = Number(c.req.query("limit")) || undefined;
+  const ids = new Set<number>();
+  for (const transaction of transactions.values()) {
+    const id = transaction.merchantId === c.get("merchantId") ? settlementIdFor(transaction) : null;
+    if (id) ids.add(id);
+  }
+  const settlements = [...ids]
+    .sort((a, b) => b - a)
+    .map((id) => ({ id, ...settlementDates(id) }))
+    .filter((s) => (!startDate || s.createdAt.slice(0, 10) >= startDate) &&
+      (!endDate || s.createdAt.slice(0, 10) <= endDate));
+  return c.json(settlements.slice(0, limit));
+});
+
+app.post("/payments/report", (c) => {
+  const request = parseBody(c) || {};
+  const paymentStatus = (request.paymentStatus as string) || "default";
+  const rows = [...transactions.values()]
+    .filter((t) => t.merchantId === c.get("merchantId"))
+    .filter((t) => paymentStatus === "all" || t.status === "ok")
+    .filter((t) => !request.startDate || t.createdAt >= String(request.startDate))
+    .filter((t) => !request.endDate || t.createdAt <= String(request.endDate))
+    .slice(0, Number(request.limit) || 50000)
+    .map(reportRow);
+  return queueReport(c, rows);
+});
+
+app.post("/settlements/:settlementId/payments/report", (c) => {
+  const settlementId = Number(c.req.param("settlementId"));
+  const rows = [...transactions.values()]
+    .filter((t) => t.merchantId === c.get("merchantId") && settlementIdFor(t) === settlementId)
+    .map(reportRow);
+  if (rows.length === 0) return paytrailError(c, 404, "Settlement not found");
+  return queueReport(c, rows);
+});
+
+// ============================================================================
+// HOSTED PAYMENT PAGE
+// ============================================================================
+
+// Settles the transaction, notifies callbackUrls and redirects to redirectUrls
+app.get("/pay/:transactionId", async (c) => {
+  const transaction = transactions.get(c.req.param("transactionId"));
+  if (!transaction) return c.text("Unknown transaction", 404);
+
+  if (transaction.status === "new") {
+    const failed = c.req.query("status") === "fail";
+    const settle = c.req.query("settle") === "authorization-hold" ? "authorization-hold" : "ok";
+    transaction.status = failed ? "fail" : settle;
+    transaction.provider = c.req.query("provider") || transaction.provider || "osuuspankki";
+    if (!failed) transaction.paidAt = new Date().toISOString();
+  }
+  const succeeded = transaction.status !== "fail";
+  const params = signedRedirectParams(transaction);
+
+  const callbackUrl = succeeded ? transaction.callbackUrls?.success : transaction.callbackUrls?.cancel;
+  if (callbackUrl) {
+    const target = `${callbackUrl}${callbackUrl.includes("?") ? "&" : "?"}${params}`;
+    fetch(target).then(
+      (res) => console.log(`📣 Callback ${res.status}: ${callbackUrl}`),
+      (error) => console.warn(`📣 Callback failed: ${callbackUrl}`, error instanceof Error ? error.message : error),
+    );
+  }
+
+  const redirectUrl = succeeded ? transaction.redirectUrls?.success : transaction.redirectUrls?.cancel;
+  if (!redirectUrl) return c.json(Object.fromEntries(params));
+  return c.redirect(`${redirectUrl}${redirectUrl.includes("?") ? "&" : "?"}${params}`);
+});
+
+app.all("*", (c) => paytrailError(c, 404, `No stand-in for ${c.req.method} ${c.req.path}`));
+
+serve({ fetch: app.fetch, port: PORT }, (info) => {
+  console.log(`\n  Paytrail stand-in running at http://localhost:${info.port}\n`);
+});
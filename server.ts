@@ -1,5 +1,6 @@
 /**
- * Local dev server: serves static files from public/ and forwards /api/* to the Hono API.
+ * Node adapter and local dev server: serves static files from public/ and forwards /api/*
+ * to the shared backend (backend/app.ts).
  * Loads .env so PAYTRAIL_MERCHANT_ID / PAYTRAIL_SECRET_KEY work like on Vercel.
  * Run with: npx tsx server.ts  (or npm start)
  */
@@ -11,13 +12,17 @@ import { readFileSync, existsSync } from "fs";
 import { join, extname } from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { nodeRuntime, setRuntime } from "./backend/runtime.ts";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PUBLIC_DIR = join(__dirname, "public");
 
+// Always the Node adapter, even with VERCEL set in .env (e.g. after `vercel env pull`)
+setRuntime(nodeRuntime);
+
 // Lazy-load API app (avoids circular/load issues)
 const getApiApp = async () => {
-  const mod = await import("./api/index.ts");
+  const mod = await import("./backend/app.ts");
   return mod.default;
 };
 
@@ -26,6 +31,7 @@ const MIMES: Record<string, string> = {
   ".css": "text/css",
   ".js": "application/javascript",
   ".json": "application/json",
+  ".yaml": "text/yaml",
   ".ico": "image/x-icon",
   ".png": "image/png",
   ".jpg": "image/jpeg",
@@ -79,7 +85,7 @@ app.all("/api/*", async (c) => {
 
 // Serve static files from public/
 app.use("*", (c, next) => {
-  if (c.req.path.startsWith("/api")) return next();
+  if (c.req.path.startsWith("/api/")) return next();
   return servePublic(c);
 });
 
@@ -113,3 +119,6 @@ function tryServe(port: number) {
 }
 
 tryServe(defaultPort);
+
+// Load the API up front so configuration checks (e.g. the mTLS certificate/key pair) run at startup
+getApiApp().catch((err) => console.error("Failed to load API:", err));
@@ -0,0 +1,139 @@
+/**
+ * The error envelope ({ status: "ERROR", message, error: { code, source, upstreamStatus, ... } }) for
+ * upstream failures, bodies that are not JSON, malformed request bodies and unknown routes.
+ *
+ * Klarna and Paytrail are both pointed at a fake upstream that answers every request with
+ * nextResponse, so each test picks the exact status, headers and body it needs.
+ */
+import assert from "node:assert/strict";
+import { createServer, type Server } from "http";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import { loadApp, requestJson, TEST_MERCHANT_ID, TEST_SECRET_KEY, testPayment } from "./helpers.ts";
+
+const UPSTREAM_PORT = 4130;
+
+interface FakeResponse {
+  status: number;
+  headers?: Record<string, string>;
+  body: string;
+}
+
+describe("Error envelope", () => {
+  let upstream: Server;
+  let nextResponse: FakeResponse = { status: 200, body: "{}" };
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    upstream = createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(nextResponse.status, nextResponse.headers);
+        res.end(nextResponse.body);
+      });
+    });
+    await new Promise<void>((resolve) => upstream.listen(UPSTREAM_PORT, resolve));
+    ({ app, cleanup } = await loadApp({
+      KLARNA_API_BASE_URL: `http://localhost:${UPSTREAM_PORT}`,
+      PAYTRAIL_API_URL: `http://localhost:${UPSTREAM_PORT}`,
+      SP_CLIENT_ID: "klarna_test_client",
+      SP_API_KEY: "klarna-test-api-key",
+    }));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => upstream?.close(resolve));
+    cleanup();
+  });
+
+  function createPaymentRequest() {
+    return requestJson(app, "POST", "/api/payment-request", {
+      klarnaApiKey: "klarna-test-api-key",
+      paymentRequestData: { currency: "EUR", amount: 1590 },
+    });
+  }
+
+  test("maps Klarna validation errors to VALIDATION_FAILED with field errors", async () => {
+    nextResponse = {
+      status: 400,
+      headers: { "Content-Type": "application/json", "klarna-correlation-id": "corr-validation" },
+      body: JSON.stringify({
+        error_type: "INPUT_ERROR",
+        error_code: "BAD_VALUE",
+        error_message: "Validation failed",
+        validation_errors: [{ parameter: "amount", reason: "must be greater than 0" }],
+      }),
+    };
+    const { status, body } = await createPaymentRequest();
+    assert.equal(status, 400);
+    assert.equal(body.status, "ERROR");
+    assert.equal(body.error.code, "VALIDATION_FAILED");
+    assert.equal(body.error.source, "klarna");
+    assert.equal(body.error.upstreamStatus, 400);
+    assert.equal(body.error.correlationId, "corr-validation");
+    assert.deepEqual(body.error.fields, [{ field: "amount", message: "must be greater than 0" }]);
+  });
+
+  test("answers a Klarna 5xx with 502 UPSTREAM_UNAVAILABLE", async () => {
+    nextResponse = {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ error_code: "INTERNAL_ERROR", error_message: "Something went wrong" }),
+    };
+    const { status, body } = await requestJson(app, "GET", "/api/presentation?currency=EUR");
+    assert.equal(status, 502);
+    assert.equal(body.error.code, "UPSTREAM_UNAVAILABLE");
+    assert.equal(body.error.upstreamStatus, 500);
+  });
+
+  test("answers a Klarna body that is not JSON with 502 UPSTREAM_BAD_RESPONSE", async () => {
+    nextResponse = {
+      status: 200,
+      headers: { "Content-Type": "text/html", "klarna-correlation-id": "corr-html" },
+      body: "<html><body>Gateway maintenance</body></html>",
+    };
+    const { status, body } = await createPaymentRequest();
+    assert.equal(status, 502);
+    assert.equal(body.error.code, "UPSTREAM_BAD_RESPONSE");
+    assert.equal(body.error.source, "klarna");
+    assert.equal(body.error.upstreamStatus, 200);
+    assert.equal(body.error.correlationId, "corr-html");
+  });
+
+  test("answers a Paytrail body that is not JSON with 502 UPSTREAM_BAD_RESPONSE", async () => {
+    nextResponse = { status: 201, headers: { "Content-Type": "text/html" }, body: "<html></html>" };
+    const { status, body } = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment: testPayment(),
+    });
+    assert.equal(status, 502);
+    assert.equal(body.error.code, "UPSTREAM_BAD_RESPONSE");
+    assert.equal(body.error.source, "paytrail");
+    assert.equal(body.error.upstreamStatus, 201);
+  });
+
+  test("answers a request body that is not JSON with 400 BAD_REQUEST from the api", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/identity/sdk-tokens", "{not json");
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "BAD_REQUEST");
+    assert.equal(body.error.source, "api");
+  });
+
+  test("answers missing Paytrail credentials with CREDENTIALS_REQUIRED", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/payments", { payment: testPayment() });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "CREDENTIALS_REQUIRED");
+    assert.equal(body.error.source, "paytrail");
+  });
+
+  test("answers an unknown route with 404 NOT_FOUND", async () => {
+    const { status, body } = await requestJson(app, "GET", "/api/no-such-route");
+    assert.equal(status, 404);
+    assert.equal(body.status, "ERROR");
+    assert.equal(body.error.code, "NOT_FOUND");
+    assert.equal(body.path, "/api/no-such-route");
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Shared setup for the node:test suites in this directory.
+ *
+ * startStandIn() runs one of the local API stand-ins (scripts/mock-klarna-server.ts,
+ * scripts/mock-paytrail-server.ts) as a child process on its own port; loadApp() imports the
+ * Hono app from backend/app.ts with the given environment, and tests call its routes with
+ * app.request() instead of starting the Node adapter. Each test file runs in its own process,
+ * so every file gets a fresh app with its own configuration.
+ *
+ * Run with: npm test
+ */
+import { spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import type { Hono } from "hono";
+import { nodeRuntime, setRuntime } from "../backend/runtime.ts";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STAND_IN_START_TIMEOUT_MS = 30000;
+
+// node --test reads the results of a test file from its stdout; the backend's console logs go to
+// stderr instead, so they cannot break that stream
+console.log = console.info = console.debug = console.error;
+
+export const TEST_MERCHANT_ID = "375917";
+export const TEST_SECRET_KEY = "SAIPPUAKAUPPIAS";
+
+export interface StandIn {
+  url: string;
+  stop(): Promise<void>;
+}
+
+/**
+ * Start a stand-in and resolve once it listens on port.
+ */
+export function startStandIn(
+  name: "klarna" | "paytrail",
+  port: number,
+  env: Record<string, string> = {},
+): Promise<StandIn> {
+  const child = spawn(process.execPath, ["--import", "tsx", path.join(ROOT, `scripts/mock-${name}-server.ts`)], {
+    cwd: ROOT,
+    env: { ...process.env, [`MOCK_${name.toUpperCase()}_PORT`]: String(port), ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const exited = new Promise<void>((resolve) => child.once("exit", () => resolve()));
+  const kill = () => {
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+  };
+  // Also when the test file ends without running its after() hooks
+  process.once("exit", kill);
+  const stop = async () => {
+    kill();
+    await exited;
+  };
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`${name} stand-in did not start within ${STAND_IN_START_TIMEOUT_MS}ms:\n${output}`));
+    }, STAND_IN_START_TIMEOUT_MS);
+    const onData = (chunk: Buffer) => {
+      output += chunk.toString();
+      if (output.includes("stand-in running at")) {
+        clearTimeout(timer);
+        resolve({ url: `http://localhost:${port}`, stop });
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${name} stand-in exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Import the app with env set. The ledger goes to a temporary file, removed by the returned cleanup.
+ */
+export async function loadApp(env: Record<string, string>): Promise<{ app: Hono; cleanup(): void }> {
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+  Object.assign(process.env, {
+    LEDGER_FILE: path.join(ledgerDir, "transaction-ledger.json"),
+    // Retries are tested explicitly; elsewhere a failure should come back at once
+    UPSTREAM_MAX_RETRIES: "0",
+    ...env,
+  });
+  setRuntime(nodeRuntime);
+  const { default: app } = await import("../backend/app.ts");
+  return { app, cleanup: () => fs.rmSync(ledgerDir, { recursive: true, force: true }) };
+}
+
+/**
+ * JSON request to an app route; returns status, headers and the parsed body.
+ */
+export async function requestJson(
+  app: Hono,
+  method: string,
+  route: string,
+  body?: unknown,
+  headers: Record<string, string> = {},
+): Promise<{ status: number; headers: Headers; body: any }> {
+  const response = await app.request(route, {
+    method,
+    headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+    ...(body !== undefined && { body: typeof body === "string" ? body : JSON.stringify(body) }),
+  });
+  const text = await response.text();
+  let parsed: unknown = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON (e.g. a CSV report); tests compare the text
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * Paytrail signature of checkout-* params (and body), written from Paytrail's documentation rather
+ * than reused from backend/app.ts, so a change there that breaks the algorithm fails the tests.
+ */
+export function paytrailSignature(
+  secretKey: string,
+  params: Record<string, string>,
+  body = "",
+  algorithm = "sha256",
+): string {
+  const lines = Object.keys(params)
+    .filter((key) => key.startsWith("checkout-"))
+    .sort()
+    .map((key) => `${key}:${params[key]}`);
+  return crypto.createHmac(algorithm, secretKey).update([...lines, body].join("\n")).digest("hex");
+}
+
+/**
+ * A minimal valid Paytrail payment; stamp is unique per call unless given.
+ */
+export function testPayment(overrides: Record<string, unknown> = {}): Record<string, unknown> {
+  return {
+    stamp: `test-${crypto.randomUUID()}`,
+    reference: "9187445",
+    amount: 1590,
+    currency: "EUR",
+    language: "FI",
+    customer: { email: "test.customer@example.com" },
+    items: [{ unitPrice: 1590, units: 1, vatPercentage: 25.5, productCode: "#1234" }],
+    redirectUrls: { success: "https://example.com/success", cancel: "https://example.com/cancel" },
+    ...overrides,
+  };
+}
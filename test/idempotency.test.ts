@@ -0,0 +1,138 @@
+/**
+ * Idempotency of the payment creation routes: replay of a repeated key, 409 for a key reused with
+ * another body, failures not being stored, and keys scoped per Paytrail merchant / Klarna API key.
+ */
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import {
+  loadApp,
+  requestJson,
+  type StandIn,
+  startStandIn,
+  TEST_MERCHANT_ID,
+  TEST_SECRET_KEY,
+  testPayment,
+} from "./helpers.ts";
+
+const OTHER_MERCHANT_ID = "695861";
+const OTHER_SECRET_KEY = "MONISAIPPUAKAUPPIAS";
+
+describe("Idempotency", () => {
+  let paytrail: StandIn;
+  let klarna: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    paytrail = await startStandIn("paytrail", 4123, {
+      MOCK_PAYTRAIL_MERCHANTS: JSON.stringify({
+        [TEST_MERCHANT_ID]: TEST_SECRET_KEY,
+        [OTHER_MERCHANT_ID]: OTHER_SECRET_KEY,
+      }),
+    });
+    klarna = await startStandIn("klarna", 4113);
+    ({ app, cleanup } = await loadApp({ PAYTRAIL_API_URL: paytrail.url, KLARNA_API_BASE_URL: klarna.url }));
+  });
+
+  after(async () => {
+    await Promise.all([paytrail?.stop(), klarna?.stop()]);
+    cleanup();
+  });
+
+  function createPayment(body: Record<string, unknown>, idempotencyKey?: string) {
+    return requestJson(
+      app,
+      "POST",
+      "/api/payments",
+      { merchantId: TEST_MERCHANT_ID, secretKey: TEST_SECRET_KEY, ...body },
+      idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+    );
+  }
+
+  function createPaymentRequest(klarnaApiKey: string, paymentRequestReference: string) {
+    return requestJson(app, "POST", "/api/payment-request", {
+      klarnaApiKey,
+      paymentRequestData: { currency: "EUR", amount: 1590, paymentRequestReference },
+    });
+  }
+
+  test("replays the first response for a repeated Idempotency-Key", async () => {
+    const key = crypto.randomUUID();
+    const payment = testPayment();
+    const first = await createPayment({ payment }, key);
+    const second = await createPayment({ payment }, key);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.equal(second.headers.get("Idempotent-Replayed"), "true");
+    assert.equal(second.body.transactionId, first.body.transactionId);
+  });
+
+  test("derives the key from the payment stamp when no header is sent", async () => {
+    const payment = testPayment();
+    const first = await createPayment({ payment });
+    const second = await createPayment({ payment });
+    assert.equal(second.headers.get("Idempotent-Replayed"), "true");
+    assert.equal(second.body.transactionId, first.body.transactionId);
+  });
+
+  test("replays the testing page's payment creation too", async () => {
+    const payment = testPayment();
+    const first = await requestJson(app, "POST", "/api/testing/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment,
+    });
+    const second = await requestJson(app, "POST", "/api/testing/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment,
+    });
+    assert.equal(first.status, 201);
+    assert.equal(second.headers.get("Idempotent-Replayed"), "true");
+    assert.equal(second.body.transactionId, first.body.transactionId);
+  });
+
+  test("answers 409 CONFLICT for a key reused with a different body", async () => {
+    const key = crypto.randomUUID();
+    await createPayment({ payment: testPayment() }, key);
+    const { status, body } = await createPayment({ payment: testPayment() }, key);
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "CONFLICT");
+  });
+
+  test("does not store a failed response, so a corrected request can reuse the key", async () => {
+    const key = crypto.randomUUID();
+    const invalid = await createPayment({ payment: testPayment({ amount: "15.90" }) }, key);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "VALIDATION_FAILED");
+
+    const corrected = await createPayment({ payment: testPayment() }, key);
+    assert.equal(corrected.status, 201);
+    assert.equal(corrected.headers.get("Idempotent-Replayed"), null);
+  });
+
+  test("scopes Paytrail keys by merchant", async () => {
+    const payment = testPayment();
+    const first = await createPayment({ payment });
+    const other = await createPayment({ merchantId: OTHER_MERCHANT_ID, secretKey: OTHER_SECRET_KEY, payment });
+    assert.equal(other.status, 201);
+    assert.equal(other.headers.get("Idempotent-Replayed"), null);
+    assert.notEqual(other.body.transactionId, first.body.transactionId);
+  });
+
+  test("scopes payment request references by Klarna API key", async () => {
+    const reference = `ref-${crypto.randomUUID()}`;
+    const first = await createPaymentRequest("klarna-key-a", reference);
+    const replayed = await createPaymentRequest("klarna-key-a", reference);
+    const other = await createPaymentRequest("klarna-key-b", reference);
+
+    assert.equal(first.status, 200);
+    assert.equal(replayed.headers.get("Idempotent-Replayed"), "true");
+    assert.equal(replayed.body.paymentRequestId, first.body.paymentRequestId);
+    assert.equal(other.status, 200);
+    assert.equal(other.headers.get("Idempotent-Replayed"), null);
+    assert.notEqual(other.body.paymentRequestId, first.body.paymentRequestId);
+  });
+});
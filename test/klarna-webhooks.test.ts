@@ -0,0 +1,113 @@
+/**
+ * The Klarna webhook receiver: Klarna-Signature verification, the occurred_at window against
+ * replayed deliveries, duplicates, and listing events only to callers whose Klarna API key can
+ * read the payment request (checked against the Klarna stand-in).
+ */
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import { loadApp, requestJson, type StandIn, startStandIn } from "./helpers.ts";
+
+const SIGNING_KEY = "webhook-test-signing-key";
+const KLARNA_API_KEY = "klarna-test-api-key";
+
+describe("Klarna webhooks", () => {
+  let klarna: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    klarna = await startStandIn("klarna", 4116);
+    ({ app, cleanup } = await loadApp({ KLARNA_API_BASE_URL: klarna.url, KLARNA_WEBHOOK_SIGNING_KEY: SIGNING_KEY }));
+  });
+
+  after(async () => {
+    await klarna?.stop();
+    cleanup();
+  });
+
+  function notification(paymentRequestId: string, occurredAt = new Date()): string {
+    return JSON.stringify({
+      metadata: {
+        event_id: crypto.randomUUID(),
+        event_type: "payment.request.state-change.completed",
+        occurred_at: occurredAt.toISOString(),
+      },
+      payload: { payment_request_id: paymentRequestId, state: "COMPLETED" },
+    });
+  }
+
+  function deliver(body: string, signingKey = SIGNING_KEY) {
+    const signature = crypto.createHmac("sha256", signingKey).update(body).digest("base64");
+    return requestJson(app, "POST", "/api/klarna/webhooks", body, { "Klarna-Signature": signature });
+  }
+
+  function listEvents(paymentRequestId: string) {
+    return requestJson(
+      app,
+      "GET",
+      `/api/klarna/webhooks/events?payment_request_id=${encodeURIComponent(paymentRequestId)}`,
+      undefined,
+      { "X-Klarna-Api-Key": KLARNA_API_KEY },
+    );
+  }
+
+  async function createPaymentRequest(): Promise<string> {
+    const { body } = await requestJson(app, "POST", "/api/payment-request", {
+      klarnaApiKey: KLARNA_API_KEY,
+      paymentRequestData: { currency: "EUR", amount: 1590, paymentRequestReference: `ref-${crypto.randomUUID()}` },
+    });
+    return body.paymentRequestId;
+  }
+
+  test("stores a signed notification and acknowledges a re-delivery as duplicate", async () => {
+    const paymentRequestId = await createPaymentRequest();
+    const body = notification(paymentRequestId);
+    const first = await deliver(body);
+    const second = await deliver(body);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+    assert.equal(second.body.duplicate, true);
+
+    const { status, body: listed } = await listEvents(paymentRequestId);
+    assert.equal(status, 200);
+    assert.equal(listed.paymentRequests.length, 1);
+    assert.equal(listed.paymentRequests[0].state, "COMPLETED");
+    assert.equal(listed.paymentRequests[0].events.length, 1);
+  });
+
+  test("rejects a notification signed with another key", async () => {
+    const { status, body } = await deliver(notification("krn:payment:eu1:request:other"), "wrong-key");
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "SIGNATURE_INVALID");
+  });
+
+  test("rejects a signed notification that occurred outside the time window", async () => {
+    const paymentRequestId = await createPaymentRequest();
+    const old = await deliver(notification(paymentRequestId, new Date(Date.now() - 10 * 60 * 1000)));
+    const future = await deliver(notification(paymentRequestId, new Date(Date.now() + 10 * 60 * 1000)));
+    assert.equal(old.status, 400);
+    assert.equal(old.body.error.code, "BAD_REQUEST");
+    assert.equal(future.status, 400);
+
+    const { body } = await listEvents(paymentRequestId);
+    assert.deepEqual(body.paymentRequests, []);
+  });
+
+  test("lists events only for a payment request the caller's Klarna key can read", async () => {
+    const unknown = await listEvents("krn:payment:eu1:request:unknown");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error.source, "klarna");
+
+    const withoutKey = await requestJson(app, "GET", "/api/klarna/webhooks/events?payment_request_id=krn:x");
+    assert.equal(withoutKey.status, 400);
+    assert.equal(withoutKey.body.error.code, "CREDENTIALS_REQUIRED");
+
+    const withoutId = await requestJson(app, "GET", "/api/klarna/webhooks/events", undefined, {
+      "X-Klarna-Api-Key": KLARNA_API_KEY,
+    });
+    assert.equal(withoutId.status, 400);
+    assert.equal(withoutId.body.error.code, "BAD_REQUEST");
+  });
+});
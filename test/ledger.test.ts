@@ -0,0 +1,104 @@
+/**
+ * The transaction ledger behind GET /api/transactions: entries are listed only to the credentials
+ * that created them, and operations on unknown or foreign transactions leave nothing behind.
+ */
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import {
+  loadApp,
+  requestJson,
+  type StandIn,
+  startStandIn,
+  TEST_MERCHANT_ID,
+  TEST_SECRET_KEY,
+  testPayment,
+} from "./helpers.ts";
+
+const OTHER_MERCHANT_ID = "695861";
+const OTHER_SECRET_KEY = "MONISAIPPUAKAUPPIAS";
+
+describe("Transaction ledger", () => {
+  let paytrail: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    paytrail = await startStandIn("paytrail", 4124, {
+      MOCK_PAYTRAIL_MERCHANTS: JSON.stringify({
+        [TEST_MERCHANT_ID]: TEST_SECRET_KEY,
+        [OTHER_MERCHANT_ID]: OTHER_SECRET_KEY,
+      }),
+    });
+    ({ app, cleanup } = await loadApp({ PAYTRAIL_API_URL: paytrail.url }));
+  });
+
+  after(async () => {
+    await paytrail?.stop();
+    cleanup();
+  });
+
+  function listTransactions(merchantId: string, secretKey: string, query = "") {
+    return requestJson(app, "GET", `/api/transactions${query}`, undefined, {
+      "X-Paytrail-Merchant-Id": merchantId,
+      "X-Paytrail-Secret-Key": secretKey,
+    });
+  }
+
+  function refund(transactionId: string, merchantId: string, secretKey: string) {
+    return requestJson(app, "POST", `/api/payments/${transactionId}/refund`, {
+      merchantId,
+      secretKey,
+      amount: 100,
+      refundStamp: `refund-${crypto.randomUUID()}`,
+      refundReference: "9187445",
+      callbackUrls: { success: "https://example.com/refund/success", cancel: "https://example.com/refund/cancel" },
+    });
+  }
+
+  test("lists a created payment to the credentials that created it only", async () => {
+    const created = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment: testPayment(),
+    });
+    assert.equal(created.status, 201);
+    const query = `?id=${created.body.transactionId}`;
+
+    const own = await listTransactions(TEST_MERCHANT_ID, TEST_SECRET_KEY, query);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.transactions.length, 1);
+    assert.equal(own.body.transactions[0].merchantId, TEST_MERCHANT_ID);
+    assert.equal(own.body.transactions[0].owners, undefined);
+    assert.equal(own.body.transactions[0].secretKeySealed, undefined);
+    assert.equal(own.body.ledgerFile, undefined);
+
+    const other = await listTransactions(OTHER_MERCHANT_ID, OTHER_SECRET_KEY, query);
+    assert.deepEqual(other.body.transactions, []);
+  });
+
+  test("does not record an operation on an unknown transaction", async () => {
+    const transactionId = crypto.randomUUID();
+    const { status } = await refund(transactionId, TEST_MERCHANT_ID, TEST_SECRET_KEY);
+    assert.equal(status, 404);
+
+    const { body } = await listTransactions(TEST_MERCHANT_ID, TEST_SECRET_KEY, `?id=${transactionId}`);
+    assert.deepEqual(body.transactions, []);
+  });
+
+  test("does not list a transaction to a caller whose operation on it failed", async () => {
+    const created = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment: testPayment(),
+    });
+    const { status } = await refund(created.body.transactionId, OTHER_MERCHANT_ID, OTHER_SECRET_KEY);
+    assert.equal(status, 404);
+
+    const other = await listTransactions(OTHER_MERCHANT_ID, OTHER_SECRET_KEY, `?id=${created.body.transactionId}`);
+    assert.deepEqual(other.body.transactions, []);
+    const own = await listTransactions(TEST_MERCHANT_ID, TEST_SECRET_KEY, `?id=${created.body.transactionId}`);
+    assert.deepEqual(own.body.transactions[0].operations.map((operation: { ok: boolean }) => operation.ok), [false]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Reading, updating and cancelling a Klarna payment request after creation, against the Klarna
+ * stand-in, and the rejection of Acquiring Partner mode for these routes.
+ */
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import { loadApp, requestJson, type StandIn, startStandIn } from "./helpers.ts";
+
+const KLARNA_API_KEY = "klarna-test-api-key";
+
+describe("Payment request lifecycle", () => {
+  let klarna: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    klarna = await startStandIn("klarna", 4115);
+    ({ app, cleanup } = await loadApp({ KLARNA_API_BASE_URL: klarna.url }));
+  });
+
+  after(async () => {
+    await klarna?.stop();
+    cleanup();
+  });
+
+  async function createPaymentRequest(): Promise<string> {
+    const { status, body } = await requestJson(app, "POST", "/api/payment-request", {
+      klarnaApiKey: KLARNA_API_KEY,
+      paymentRequestData: { currency: "EUR", amount: 1590, paymentRequestReference: `ref-${crypto.randomUUID()}` },
+    });
+    assert.equal(status, 200);
+    return body.paymentRequestId;
+  }
+
+  test("reads the state of a payment request", async () => {
+    const paymentRequestId = await createPaymentRequest();
+    const { status, body } = await requestJson(
+      app,
+      "GET",
+      `/api/payment-request/${encodeURIComponent(paymentRequestId)}`,
+      undefined,
+      { "X-Klarna-Api-Key": KLARNA_API_KEY },
+    );
+    assert.equal(status, 200);
+    assert.equal(body.state, "CREATED");
+    assert.equal(body._request.authMode, "SUB_PARTNER");
+  });
+
+  test("updates the amount and cancels a payment request", async () => {
+    const paymentRequestId = await createPaymentRequest();
+    const path = `/api/payment-request/${encodeURIComponent(paymentRequestId)}`;
+
+    const updated = await requestJson(app, "PATCH", path, { klarnaApiKey: KLARNA_API_KEY, amount: 2000 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.paymentRequest.amount, 2000);
+
+    const cancelled = await requestJson(app, "POST", `${path}/cancel`, { klarnaApiKey: KLARNA_API_KEY });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.state, "CANCELED");
+  });
+
+  test("passes on Klarna's 404 for an unknown payment request", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/payment-request/krn:unknown/cancel", {
+      klarnaApiKey: KLARNA_API_KEY,
+    });
+    assert.equal(status, 404);
+    assert.equal(body.error.source, "klarna");
+  });
+
+  test("rejects Acquiring Partner mode", async () => {
+    const paymentRequestId = await createPaymentRequest();
+    const path = `/api/payment-request/${encodeURIComponent(paymentRequestId)}`;
+
+    const read = await requestJson(app, "GET", `${path}?auth_mode=ACQUIRING_PARTNER`, undefined, {
+      "X-Klarna-Api-Key": KLARNA_API_KEY,
+    });
+    assert.equal(read.status, 400);
+    assert.equal(read.body.error.code, "BAD_REQUEST");
+
+    const cancelled = await requestJson(app, "POST", `${path}/cancel`, {
+      klarnaApiKey: KLARNA_API_KEY,
+      authMode: "ACQUIRING_PARTNER",
+    });
+    assert.equal(cancelled.status, 400);
+    assert.equal(cancelled.body.error.code, "BAD_REQUEST");
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Paytrail callback receiver: signature verification, secret lookup (config or the transaction's
+ * ledger entry), re-delivered callbacks and callbacks that contradict a final status.
+ */
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import {
+  loadApp,
+  paytrailSignature,
+  requestJson,
+  type StandIn,
+  startStandIn,
+  TEST_MERCHANT_ID,
+  TEST_SECRET_KEY,
+  testPayment,
+} from "./helpers.ts";
+
+// Known to the backend through PAYTRAIL_MERCHANTS only
+const CONFIG_MERCHANT_ID = "695861";
+const CONFIG_SECRET_KEY = "MONISAIPPUAKAUPPIAS";
+
+// Signed callback parameters; params override the defaults before signing
+function callbackQuery(secretKey: string, params: Record<string, string> = {}): URLSearchParams {
+  const checkout: Record<string, string> = {
+    "checkout-account": CONFIG_MERCHANT_ID,
+    "checkout-algorithm": "sha256",
+    "checkout-amount": "1590",
+    "checkout-stamp": `stamp-${crypto.randomUUID()}`,
+    "checkout-reference": "9187445",
+    "checkout-transaction-id": crypto.randomUUID(),
+    "checkout-status": "ok",
+    "checkout-provider": "nordea",
+    ...params,
+  };
+  return new URLSearchParams({ ...checkout, signature: paytrailSignature(secretKey, checkout) });
+}
+
+describe("Paytrail callbacks", () => {
+  let paytrail: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    paytrail = await startStandIn("paytrail", 4122);
+    ({ app, cleanup } = await loadApp({
+      PAYTRAIL_API_URL: paytrail.url,
+      PAYTRAIL_MERCHANTS: JSON.stringify({ [CONFIG_MERCHANT_ID]: CONFIG_SECRET_KEY }),
+    }));
+  });
+
+  after(async () => {
+    await paytrail?.stop();
+    cleanup();
+  });
+
+  test("accepts a callback signed with the key of a configured merchant", async () => {
+    const query = callbackQuery(CONFIG_SECRET_KEY);
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 200);
+    assert.equal(body.received, true);
+    assert.equal(body.duplicate, false);
+    assert.equal(body.status, "ok");
+  });
+
+  test("acknowledges a re-delivered callback with 200 and duplicate: true", async () => {
+    const query = callbackQuery(CONFIG_SECRET_KEY);
+    await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(body.transactionId, query.get("checkout-transaction-id"));
+  });
+
+  test("rejects a callback whose parameters were changed after signing", async () => {
+    const query = callbackQuery(CONFIG_SECRET_KEY);
+    query.set("checkout-amount", "1");
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "SIGNATURE_INVALID");
+    assert.equal(body.error.source, "paytrail");
+  });
+
+  test("rejects a callback signed with another key", async () => {
+    const query = callbackQuery("NOT-THE-SECRET");
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "SIGNATURE_INVALID");
+  });
+
+  test("answers 400 when signed parameters are missing", async () => {
+    const query = callbackQuery(CONFIG_SECRET_KEY);
+    query.delete("checkout-stamp");
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "BAD_REQUEST");
+  });
+
+  test("verifies a payment created here with the key sealed in its ledger entry", async () => {
+    const payment = testPayment();
+    const created = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment,
+    });
+    assert.equal(created.status, 201);
+
+    const query = callbackQuery(TEST_SECRET_KEY, {
+      "checkout-account": TEST_MERCHANT_ID,
+      "checkout-stamp": String(payment.stamp),
+      "checkout-transaction-id": created.body.transactionId,
+    });
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 200);
+    assert.equal(body.transactionId, created.body.transactionId);
+  });
+
+  test("rejects a callback for a transaction and merchant it has no key for", async () => {
+    const query = callbackQuery(TEST_SECRET_KEY, { "checkout-account": TEST_MERCHANT_ID });
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/success?${query}`);
+    assert.equal(status, 401);
+    assert.match(body.error.message, /No secret key known/);
+  });
+
+  test("answers 409 when a callback contradicts a final status", async () => {
+    const transactionId = crypto.randomUUID();
+    const stamp = `stamp-${transactionId}`;
+    const paid = callbackQuery(CONFIG_SECRET_KEY, { "checkout-transaction-id": transactionId, "checkout-stamp": stamp });
+    assert.equal((await requestJson(app, "GET", `/api/paytrail/callback/success?${paid}`)).status, 200);
+
+    const failed = callbackQuery(CONFIG_SECRET_KEY, {
+      "checkout-transaction-id": transactionId,
+      "checkout-stamp": stamp,
+      "checkout-status": "fail",
+    });
+    const { status, body } = await requestJson(app, "GET", `/api/paytrail/callback/cancel?${failed}`);
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "CONFLICT");
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Paytrail request signing: the stand-in verifies the checkout-* headers and HMAC of every
+ * request exactly like Paytrail, so a route only succeeds when the backend signed it correctly.
+ */
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import {
+  loadApp,
+  requestJson,
+  type StandIn,
+  startStandIn,
+  TEST_MERCHANT_ID,
+  TEST_SECRET_KEY,
+  testPayment,
+} from "./helpers.ts";
+
+describe("Paytrail HMAC signing", () => {
+  let paytrail: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    paytrail = await startStandIn("paytrail", 4121);
+    ({ app, cleanup } = await loadApp({ PAYTRAIL_API_URL: paytrail.url }));
+  });
+
+  after(async () => {
+    await paytrail?.stop();
+    cleanup();
+  });
+
+  test("signs the body of a payment creation", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment: testPayment(),
+    });
+    assert.equal(status, 201);
+    assert.match(body.transactionId, /^[0-9a-f-]{36}$/);
+  });
+
+  test("signs GET requests without a body", async () => {
+    const created = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: TEST_SECRET_KEY,
+      payment: testPayment(),
+    });
+    const { status, body } = await requestJson(
+      app,
+      "GET",
+      `/api/payments/${created.body.transactionId}`,
+      undefined,
+      { "X-Paytrail-Merchant-Id": TEST_MERCHANT_ID, "X-Paytrail-Secret-Key": TEST_SECRET_KEY },
+    );
+    assert.equal(status, 200);
+    assert.equal(body.status, "new");
+  });
+
+  test("a request signed with the wrong secret key is rejected upstream", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/payments", {
+      merchantId: TEST_MERCHANT_ID,
+      secretKey: "NOT-THE-SECRET",
+      payment: testPayment(),
+    });
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "UPSTREAM_AUTH_FAILED");
+    assert.equal(body.error.source, "paytrail");
+    assert.equal(body.error.upstreamStatus, 401);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Secret redaction: the shared policy in public/js/redaction.js, and the _request / _response
+ * metadata the routes return for the log panels, which leaves the server redacted.
+ */
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import type { Hono } from "hono";
+import { redactSecrets } from "../public/js/redaction.js";
+import { loadApp, requestJson, type StandIn, startStandIn } from "./helpers.ts";
+
+const CUSTOMER_TOKEN = "krn:partner:global:customer-token:0123456789abcdef";
+
+describe("Redaction policy", () => {
+  test("masks secret fields and string tokens at any depth", () => {
+    const redacted = redactSecrets({
+      secretKey: "SAIPPUAKAUPPIAS",
+      nested: { sdkToken: "eyJhbGciOiJIUzI1NiJ9.payload.signature", amount: 1590 },
+      headers: { "Klarna-Customer-Token": CUSTOMER_TOKEN },
+    }) as Record<string, any>;
+    assert.equal(redacted.secretKey, "[redacted]");
+    assert.match(redacted.nested.sdkToken, /^eyJh…\(\d+ chars\)…ure$/);
+    assert.equal(redacted.nested.amount, 1590);
+    assert.notEqual(redacted.headers["Klarna-Customer-Token"], CUSTOMER_TOKEN);
+  });
+
+  test("leaves non-string values of *token fields alone", () => {
+    const redacted = redactSecrets({
+      include_customer_token: true,
+      requestCustomerToken: { scopes: ["payment:customer_present"] },
+      token: null,
+    }) as Record<string, any>;
+    assert.equal(redacted.include_customer_token, true);
+    assert.deepEqual(redacted.requestCustomerToken, { scopes: ["payment:customer_present"] });
+    assert.equal(redacted.token, null);
+  });
+
+  test("returns data unchanged in reveal mode", () => {
+    const data = { secretKey: "SAIPPUAKAUPPIAS" };
+    assert.equal(redactSecrets(data, { reveal: true }), data);
+  });
+});
+
+describe("Redacted route metadata", () => {
+  let klarna: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  before(async () => {
+    klarna = await startStandIn("klarna", 4117);
+    ({ app, cleanup } = await loadApp({
+      KLARNA_API_BASE_URL: klarna.url,
+      SP_CLIENT_ID: "klarna_test_client",
+      SP_API_KEY: "klarna-test-api-key",
+      KLARNA_CUSTOMER_TOKENS: JSON.stringify({ SE: CUSTOMER_TOKEN }),
+    }));
+  });
+
+  after(async () => {
+    await klarna?.stop();
+    cleanup();
+  });
+
+  test("masks tokens in _request and _response but not in the route's own fields", async () => {
+    const { status, body } = await requestJson(app, "POST", "/api/identity/sdk-tokens", { country: "SE" });
+    assert.equal(status, 200);
+    assert.match(body.sdkToken, /^krn:identity:/);
+    assert.notEqual(body._request.klarnaCustomerToken, CUSTOMER_TOKEN);
+    assert.match(body._request.klarnaCustomerToken, /chars\)/);
+    assert.notEqual(body._response.responseBody.sdk_token, body.sdkToken);
+    assert.match(body._response.responseBody.sdk_token, /chars\)/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Retries of upstream calls against errors injected into the Klarna stand-in (PUT /__mock/errors):
+ * 429 with Retry-After, 5xx for GETs and keyed POSTs only, and the retry limit.
+ */
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import type { Hono } from "hono";
+import { loadApp, requestJson, type StandIn, startStandIn } from "./helpers.ts";
+
+describe("Upstream retries", () => {
+  let klarna: StandIn;
+  let app: Hono;
+  let cleanup = () => {};
+
+  // Injected error for a path; "times" makes it transient, retry_after is in seconds
+  async function injectErrors(errors: Record<string, { status: number; times?: number; retry_after?: number }>) {
+    const response = await fetch(`${klarna.url}/__mock/errors`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(errors),
+    });
+    assert.equal(response.status, 200);
+  }
+
+  before(async () => {
+    klarna = await startStandIn("klarna", 4114);
+    ({ app, cleanup } = await loadApp({
+      KLARNA_API_BASE_URL: klarna.url,
+      SP_CLIENT_ID: "klarna_test_client",
+      SP_API_KEY: "klarna-test-api-key",
+      UPSTREAM_MAX_RETRIES: "2",
+    }));
+  });
+
+  beforeEach(() => injectErrors({}));
+
+  after(async () => {
+    await klarna?.stop();
+    cleanup();
+  });
+
+  test("retries a 429 after the delay in Retry-After", async () => {
+    await injectErrors({ "/v2/payment/presentation": { status: 429, times: 1, retry_after: 1 } });
+    const startedAt = Date.now();
+    const { status, body } = await requestJson(app, "GET", "/api/presentation?currency=EUR");
+    assert.equal(status, 200);
+    assert.ok(Date.now() - startedAt >= 1000, "waited for Retry-After");
+    assert.deepEqual(body._response.attempts.map((attempt: { status: number }) => attempt.status), [429, 200]);
+    assert.equal(body._response.attempts[0].retryInMs, 1000);
+  });
+
+  test("retries a 5xx of a GET", async () => {
+    await injectErrors({ "/v2/payment/presentation": { status: 503, times: 1 } });
+    const { status, body } = await requestJson(app, "GET", "/api/presentation?currency=EUR");
+    assert.equal(status, 200);
+    assert.deepEqual(body._response.attempts.map((attempt: { status: number }) => attempt.status), [503, 200]);
+  });
+
+  test("retries a 5xx of a POST sent with an Idempotency-Key", async () => {
+    await injectErrors({ "/v2/payment/requests": { status: 503, times: 1 } });
+    const { status, body } = await requestJson(app, "POST", "/api/payment-request", {
+      klarnaApiKey: "klarna-test-api-key",
+      paymentRequestData: { currency: "EUR", amount: 1590 },
+    });
+    assert.equal(status, 200);
+    assert.equal(body._response.attempts.length, 2);
+  });
+
+  test("does not retry a 5xx of a POST without an Idempotency-Key", async () => {
+    await injectErrors({ "/v2/identity/sdk-tokens": { status: 503, times: 1 } });
+    const { status, body } = await requestJson(app, "POST", "/api/identity/sdk-tokens", {});
+    assert.equal(status, 502);
+    assert.equal(body.error.code, "UPSTREAM_UNAVAILABLE");
+    assert.equal(body._response.attempts.length, 1);
+  });
+
+  test("returns the last failure after UPSTREAM_MAX_RETRIES retries", async () => {
+    await injectErrors({ "/v2/payment/presentation": { status: 503 } });
+    const { status, body } = await requestJson(app, "GET", "/api/presentation?currency=EUR");
+    assert.equal(status, 502);
+    assert.equal(body.error.upstreamStatus, 503);
+    assert.equal(body._response.attempts.length, 3);
+  });
+
+  test("does not wait for a Retry-After above the limit", async () => {
+    await injectErrors({ "/v2/payment/presentation": { status: 429, times: 1, retry_after: 60 } });
+    const { status, body } = await requestJson(app, "GET", "/api/presentation?currency=EUR");
+    assert.equal(status, 429);
+    assert.equal(body._response.attempts.length, 1);
+  });
+});